@@ -0,0 +1,206 @@
+/**
+ * ============================================================================
+ * COTTON-TALES ATMOSPHERE
+ * ============================================================================
+ * Time of day and weather drawn over the current background, so one
+ * `classroom` background can serve day, dusk and a rainy night:
+ * - time: dawn (warm glow), day (untouched), dusk (orange-purple gradient),
+ *   night (darkened and blue-shifted)
+ * - weather: clear, rain, snow, fog (CSS-animated particles)
+ *
+ * Both layers sit between ST's background and the VN stage, and fade over
+ * ATMOSPHERE_FADE_DURATION when they change. Unlike camera directions they
+ * persist: the scene state remembers them and snapshots restore them.
+ * With reduced motion the weather is drawn still.
+ *
+ * Triggered by ct:atmosphere:change (scene-parser.js).
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { power_user } from '../../../../power-user.js';
+import { getSettings } from './settings-manager.js';
+import {
+    TIME_OF_DAY,
+    WEATHER,
+    WEATHER_PARTICLE_COUNTS,
+    ATMOSPHERE_FADE_DURATION,
+} from './constants.js';
+
+const MODULE_NAME = 'CT-Atmosphere';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Time and weather the scene asked for (kept while the layers are off) */
+const current = {
+    time: null,
+    weather: null,
+};
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    atmosphere: null,
+};
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Get (or create) the atmosphere container
+ * Sits just under the VN stage so sprites stay untinted.
+ * @returns {HTMLElement}
+ */
+function getContainer() {
+    let container = document.getElementById('ct-atmosphere');
+    if (container) return container;
+
+    container = document.createElement('div');
+    container.id = 'ct-atmosphere';
+    container.setAttribute('aria-hidden', 'true');
+
+    const stage = document.getElementById('ct-vn-stage');
+    stage ? stage.before(container) : document.body.appendChild(container);
+    return container;
+}
+
+/**
+ * Build the particles for a weather type
+ * @param {HTMLElement} layer - Weather layer
+ * @param {string} weather - WEATHER value
+ */
+function addParticles(layer, weather) {
+    const count = WEATHER_PARTICLE_COUNTS[weather] || 0;
+
+    for (let i = 0; i < count; i++) {
+        const particle = document.createElement('span');
+        particle.className = 'ct-weather-particle';
+        particle.style.setProperty('--i', String(i));
+        // Spread particles out without a visible pattern
+        particle.style.setProperty('--x', `${(i * 37) % 100}%`);
+        particle.style.setProperty('--delay', `${-((i * 53) % 100) / 100}`);
+        particle.style.setProperty('--drift', `${((i * 29) % 11) - 5}`);
+        layer.appendChild(particle);
+    }
+}
+
+/**
+ * Replace one of the atmosphere layers, fading the old one out
+ * @param {'time'|'weather'} kind - Layer to replace
+ * @param {string|null} value - New time or weather (null removes the layer)
+ * @param {boolean} instant - Skip the fade
+ */
+function swapLayer(kind, value, instant) {
+    const container = getContainer();
+    const className = `ct-atmosphere-${kind}`;
+    const previous = [...container.querySelectorAll(`.${className}:not(.ct-atmosphere-leaving)`)];
+
+    if (previous.length === 1 && previous[0].dataset.value === (value || '')) return;
+
+    const duration = instant || power_user.reduced_motion ? 0 : ATMOSPHERE_FADE_DURATION;
+    container.style.setProperty('--ct-atmosphere-fade', `${duration}ms`);
+
+    for (const layer of previous) {
+        layer.classList.add('ct-atmosphere-leaving');
+        setTimeout(() => layer.remove(), duration);
+    }
+
+    if (!value) return;
+
+    const layer = document.createElement('div');
+    layer.className = className;
+    layer.dataset.value = value;
+    layer.classList.toggle('ct-atmosphere-still', !!power_user.reduced_motion);
+    if (kind === 'weather') addParticles(layer, value);
+
+    container.appendChild(layer);
+}
+
+/**
+ * Draw the remembered time and weather (or clear them when turned off)
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Skip the fade
+ */
+function render({ instant = false } = {}) {
+    const enabled = getSettings().atmosphereEnabled !== false;
+
+    // Day and clear skies leave the background as it is
+    const time = enabled && current.time !== TIME_OF_DAY.DAY ? current.time : null;
+    const weather = enabled && current.weather !== WEATHER.CLEAR ? current.weather : null;
+
+    swapLayer('time', time, instant);
+    swapLayer('weather', weather, instant);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Set the time of day and weather
+ * Undefined leaves a value as it is; null clears it.
+ * @param {Object} atmosphere
+ * @param {string|null} [atmosphere.time] - TIME_OF_DAY value
+ * @param {string|null} [atmosphere.weather] - WEATHER value
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Skip the fade (restores)
+ */
+export function setAtmosphere({ time, weather } = {}, { instant = false } = {}) {
+    if (time !== undefined) {
+        current.time = Object.values(TIME_OF_DAY).includes(time) ? time : null;
+    }
+    if (weather !== undefined) {
+        current.weather = Object.values(WEATHER).includes(weather) ? weather : null;
+    }
+
+    render({ instant });
+    console.debug(`[${MODULE_NAME}] Atmosphere: ${current.time || 'no time'}, ${current.weather || 'no weather'}`);
+}
+
+/**
+ * Redraw after the atmosphere setting changed
+ */
+export function refreshAtmosphere() {
+    render({ instant: true });
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the atmosphere layers
+ * Call this from main index.js (after the stage renderer)
+ */
+export function initAtmosphere() {
+    eventHandlers.atmosphere = (event) => {
+        const { time, weather, restore } = event.detail || {};
+        setAtmosphere({ time, weather }, { instant: !!restore });
+    };
+
+    document.addEventListener('ct:atmosphere:change', eventHandlers.atmosphere);
+
+    console.log(`[${MODULE_NAME}] Atmosphere initialized`);
+}
+
+/**
+ * Cleanup atmosphere listeners and DOM
+ */
+export function destroyAtmosphere() {
+    if (eventHandlers.atmosphere) {
+        document.removeEventListener('ct:atmosphere:change', eventHandlers.atmosphere);
+    }
+
+    eventHandlers = {
+        atmosphere: null,
+    };
+
+    current.time = null;
+    current.weather = null;
+    document.getElementById('ct-atmosphere')?.remove();
+}
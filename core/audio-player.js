@@ -0,0 +1,557 @@
+/**
+ * ============================================================================
+ * COTTON-TALES AUDIO PLAYER
+ * ============================================================================
+ * Music and sound-effect playback for Director scene changes.
+ *
+ * Track names from the Director are fuzzy-matched against the music library:
+ * tracks uploaded through Cotton-Tales (settings.musicLibrary) plus any
+ * SillyTavern `bgm` assets. Tracks loop and crossfade using two alternating
+ * audio channels. Volume follows masterVolume × musicVolume, playback is
+ * gated by audioEnabled, and music pauses while the tab is hidden.
+ *
+ * SFX are matched against settings.sfxLibrary and play as independent
+ * one-shots on top of the music, up to MAX_CONCURRENT_SFX at a time.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getRequestHeaders } from '../../../../../script.js';
+import { getSettings } from './settings-manager.js';
+import { findBestMatch, getFileMatchKeys } from './fuzzy-match.js';
+import { MUSIC_CROSSFADE_DURATION, MUSIC_FADE_OUT_DURATION, MAX_CONCURRENT_SFX } from './constants.js';
+
+const MODULE_NAME = 'CT-Audio';
+
+// =============================================================================
+// LIBRARY
+// =============================================================================
+
+/**
+ * Library entry
+ * @typedef {Object} AudioTrack
+ * @property {string} label - Display name (what the Director sees)
+ * @property {string} file - File name
+ * @property {string} url - Playable URL
+ * @property {'library'|'assets'} source - Where the track came from
+ */
+
+/** Cache for ST asset listing */
+const assetCache = {
+    bgm: null,
+    timestamp: 0,
+};
+
+const ASSET_CACHE_TTL = 30000; // 30 seconds
+
+/**
+ * Turn a file name into a readable label ("rainy_day-01.mp3" → "rainy day 01")
+ * @param {string} file - File name or path
+ * @returns {string}
+ */
+function labelFromFile(file) {
+    return String(file).split('/').pop().replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+}
+
+/**
+ * Fetch ST's installed bgm assets
+ * @returns {Promise<AudioTrack[]>}
+ */
+async function getAssetTracks() {
+    const now = Date.now();
+    if (assetCache.bgm && (now - assetCache.timestamp) < ASSET_CACHE_TTL) {
+        return assetCache.bgm;
+    }
+
+    try {
+        const response = await fetch('/api/assets/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const assets = await response.json();
+        assetCache.bgm = (Array.isArray(assets?.bgm) ? assets.bgm : [])
+            .filter(path => typeof path === 'string' && !path.endsWith('.placeholder'))
+            .map(path => ({
+                label: labelFromFile(path),
+                file: path.split('/').pop(),
+                url: path,
+                source: 'assets',
+            }));
+        assetCache.timestamp = now;
+    } catch (error) {
+        console.debug(`[${MODULE_NAME}] Could not list bgm assets:`, error.message);
+        assetCache.bgm = [];
+        assetCache.timestamp = now;
+    }
+
+    return assetCache.bgm;
+}
+
+/**
+ * Get the full music library (uploaded tracks first, then ST bgm assets)
+ * @returns {Promise<AudioTrack[]>}
+ */
+export async function getMusicLibrary() {
+    const settings = getSettings();
+
+    const uploaded = (settings.musicLibrary || [])
+        .filter(entry => entry?.path)
+        .map(entry => ({
+            label: entry.label || labelFromFile(entry.file || entry.path),
+            file: entry.file || entry.path.split('/').pop(),
+            url: entry.path,
+            source: 'library',
+        }));
+
+    return [...uploaded, ...await getAssetTracks()];
+}
+
+/**
+ * Find the library track that best matches a Director track name
+ * @param {string} query - Track name from the Director
+ * @returns {Promise<AudioTrack|null>}
+ */
+export async function findTrack(query) {
+    const library = await getMusicLibrary();
+    return findBestMatch(query, library, track => getFileMatchKeys(track.label, track.file));
+}
+
+/**
+ * Get the uploaded SFX library
+ * @returns {AudioTrack[]}
+ */
+export function getSfxLibrary() {
+    const settings = getSettings();
+
+    return (settings.sfxLibrary || [])
+        .filter(entry => entry?.path)
+        .map(entry => ({
+            label: entry.label || labelFromFile(entry.file || entry.path),
+            file: entry.file || entry.path.split('/').pop(),
+            url: entry.path,
+            source: 'library',
+        }));
+}
+
+/**
+ * Find the SFX that best matches a Director SFX name
+ * @param {string} query - SFX name from the Director
+ * @returns {AudioTrack|null}
+ */
+export function findSfx(query) {
+    return findBestMatch(query, getSfxLibrary(), sfx => getFileMatchKeys(sfx.label, sfx.file));
+}
+
+/**
+ * Drop cached asset listings (call after uploads/deletes)
+ */
+export function clearAudioCache() {
+    assetCache.bgm = null;
+    assetCache.timestamp = 0;
+}
+
+// =============================================================================
+// VOLUME
+// =============================================================================
+
+/**
+ * Effective music volume (0-1) from settings
+ * @returns {number}
+ */
+function getMusicVolume() {
+    const settings = getSettings();
+    if (!settings.audioEnabled) return 0;
+    return ((settings.masterVolume ?? 80) / 100) * ((settings.musicVolume ?? 70) / 100);
+}
+
+/**
+ * Effective SFX volume (0-1) from settings
+ * @returns {number}
+ */
+function getSfxVolume() {
+    const settings = getSettings();
+    if (!settings.audioEnabled) return 0;
+    return ((settings.masterVolume ?? 80) / 100) * ((settings.sfxVolume ?? 80) / 100);
+}
+
+// =============================================================================
+// MUSIC PLAYBACK
+// =============================================================================
+
+/** Two channels so the outgoing track can fade while the next fades in */
+const channels = [null, null];
+let activeChannel = 0;
+
+/** @type {AudioTrack|null} Track currently playing (or wanted while audio is off) */
+let currentTrack = null;
+
+/** Active fade timers per channel */
+const fadeTimers = [null, null];
+
+/** Channels paused because the tab went hidden (both while crossfading) */
+const pausedByVisibility = new Set();
+
+/** Whether we're waiting for a user gesture to satisfy autoplay rules */
+let awaitingGesture = false;
+
+/**
+ * Get (or create) an audio element for a channel
+ * @param {number} index - Channel index
+ * @returns {HTMLAudioElement}
+ */
+function getChannel(index) {
+    if (!channels[index]) {
+        const audio = new Audio();
+        audio.loop = true;
+        audio.preload = 'auto';
+        channels[index] = audio;
+    }
+    return channels[index];
+}
+
+/**
+ * Fade a channel's volume
+ * @param {number} index - Channel index
+ * @param {number} to - Target volume (0-1)
+ * @param {number} duration - Fade time in ms
+ * @returns {Promise<void>}
+ */
+function fadeChannel(index, to, duration) {
+    const audio = getChannel(index);
+    clearInterval(fadeTimers[index]);
+
+    return new Promise(resolve => {
+        const from = audio.volume;
+        const steps = Math.max(1, Math.round(duration / 50));
+        let step = 0;
+
+        if (duration <= 0 || from === to) {
+            audio.volume = to;
+            resolve();
+            return;
+        }
+
+        fadeTimers[index] = setInterval(() => {
+            step++;
+            audio.volume = Math.min(1, Math.max(0, from + (to - from) * (step / steps)));
+
+            if (step >= steps) {
+                clearInterval(fadeTimers[index]);
+                fadeTimers[index] = null;
+                resolve();
+            }
+        }, 50);
+    });
+}
+
+/**
+ * Start an audio element, deferring to the next user gesture if autoplay is blocked
+ * @param {HTMLAudioElement} audio - Audio element
+ */
+async function startPlayback(audio) {
+    try {
+        await audio.play();
+    } catch (error) {
+        if (error?.name !== 'NotAllowedError') {
+            console.warn(`[${MODULE_NAME}] Playback failed:`, error.message);
+            return;
+        }
+
+        if (awaitingGesture) return;
+        awaitingGesture = true;
+
+        console.debug(`[${MODULE_NAME}] Autoplay blocked, waiting for user interaction`);
+        document.addEventListener('pointerdown', () => {
+            awaitingGesture = false;
+            refreshAudioSettings();
+        }, { once: true });
+    }
+}
+
+/**
+ * Play a music track by name, crossfading from the current one
+ * @param {string} trackName - Track name from the Director
+ * @returns {Promise<boolean>} True if a matching track was found
+ */
+export async function playMusic(trackName) {
+    const track = await findTrack(trackName);
+
+    if (!track) {
+        console.warn(`[${MODULE_NAME}] No matching music found for: "${trackName}"`);
+        toastr.warning(`Music not found: "${trackName}"`);
+        return false;
+    }
+
+    if (currentTrack?.url === track.url) {
+        console.debug(`[${MODULE_NAME}] "${track.label}" already playing`);
+        return true;
+    }
+
+    console.log(`[${MODULE_NAME}] Music: "${trackName}" → "${track.label}"`);
+    currentTrack = track;
+
+    if (!getSettings().audioEnabled) {
+        console.debug(`[${MODULE_NAME}] Audio disabled, track queued`);
+        return true;
+    }
+
+    const outgoing = activeChannel;
+    const incoming = 1 - activeChannel;
+    activeChannel = incoming;
+
+    const next = getChannel(incoming);
+    next.src = track.url;
+    next.volume = 0;
+
+    if (!document.hidden) {
+        await startPlayback(next);
+    } else {
+        pausedByVisibility.add(incoming);
+    }
+
+    fadeChannel(outgoing, 0, MUSIC_CROSSFADE_DURATION).then(() => {
+        // Only stop the old channel if it hasn't been reused meanwhile
+        if (activeChannel !== outgoing) {
+            getChannel(outgoing).pause();
+        }
+    });
+    fadeChannel(incoming, getMusicVolume(), MUSIC_CROSSFADE_DURATION);
+
+    return true;
+}
+
+/**
+ * Fade out and stop music
+ */
+export async function stopMusic() {
+    if (!currentTrack) return;
+
+    console.log(`[${MODULE_NAME}] Music stopped`);
+    currentTrack = null;
+
+    const index = activeChannel;
+    await fadeChannel(index, 0, MUSIC_FADE_OUT_DURATION);
+
+    if (!currentTrack) {
+        getChannel(index).pause();
+    }
+}
+
+/**
+ * Get the track currently playing
+ * @returns {AudioTrack|null}
+ */
+export function getCurrentTrack() {
+    return currentTrack;
+}
+
+/**
+ * Re-apply audio settings (volume sliders, audioEnabled toggle)
+ */
+export function refreshAudioSettings() {
+    const audio = getChannel(activeChannel);
+    const enabled = getSettings().audioEnabled;
+
+    activeSfx.forEach(sfx => {
+        sfx.volume = getSfxVolume();
+    });
+
+    if (!enabled) {
+        stopAllSfx();
+    }
+
+    if (!enabled || !currentTrack) {
+        channels.forEach(ch => ch?.pause());
+        return;
+    }
+
+    clearInterval(fadeTimers[activeChannel]);
+    audio.volume = getMusicVolume();
+
+    if (audio.src !== new URL(currentTrack.url, location.href).href) {
+        audio.src = currentTrack.url;
+    }
+
+    if (audio.paused && !document.hidden) {
+        startPlayback(audio);
+    }
+}
+
+// =============================================================================
+// SFX PLAYBACK
+// =============================================================================
+
+/** @type {HTMLAudioElement[]} SFX currently playing, oldest first */
+const activeSfx = [];
+
+/**
+ * Remove a finished SFX from the active list
+ * @param {HTMLAudioElement} audio - Finished SFX
+ */
+function releaseSfx(audio) {
+    const index = activeSfx.indexOf(audio);
+    if (index !== -1) {
+        activeSfx.splice(index, 1);
+    }
+}
+
+/**
+ * Play a sound effect by name
+ * Runs independently of the music channels; when the concurrency cap is
+ * reached the oldest SFX is cut to make room.
+ * @param {string} sfxName - SFX name from the Director
+ * @returns {Promise<boolean>} True if a matching SFX was played
+ */
+export async function playSfx(sfxName) {
+    if (!getSettings().audioEnabled) {
+        console.debug(`[${MODULE_NAME}] Audio disabled, skipping SFX "${sfxName}"`);
+        return false;
+    }
+
+    if (document.hidden) return false;
+
+    const sfx = findSfx(sfxName);
+    if (!sfx) {
+        console.warn(`[${MODULE_NAME}] No matching SFX found for: "${sfxName}"`);
+        return false;
+    }
+
+    while (activeSfx.length >= MAX_CONCURRENT_SFX) {
+        const oldest = activeSfx.shift();
+        oldest.pause();
+    }
+
+    const audio = new Audio(sfx.url);
+    audio.volume = getSfxVolume();
+    audio.addEventListener('ended', () => releaseSfx(audio), { once: true });
+    audio.addEventListener('error', () => releaseSfx(audio), { once: true });
+    activeSfx.push(audio);
+
+    console.log(`[${MODULE_NAME}] SFX: "${sfxName}" → "${sfx.label}"`);
+
+    try {
+        await audio.play();
+        return true;
+    } catch (error) {
+        console.debug(`[${MODULE_NAME}] SFX playback failed:`, error.message);
+        releaseSfx(audio);
+        return false;
+    }
+}
+
+/**
+ * Stop every playing SFX
+ */
+export function stopAllSfx() {
+    activeSfx.splice(0).forEach(audio => audio.pause());
+}
+
+// =============================================================================
+// PREVIEW
+// =============================================================================
+
+/** @type {HTMLAudioElement|null} */
+let previewAudio = null;
+
+/**
+ * Preview a library file from the settings panel
+ * Plays once at the category's volume even while audio triggers are off.
+ * @param {string} url - File URL
+ * @param {'music'|'sfx'} kind - Which volume slider applies
+ * @returns {HTMLAudioElement} The preview element (to listen for 'ended')
+ */
+export function previewAudioFile(url, kind) {
+    stopPreview();
+
+    const settings = getSettings();
+    const categoryVolume = kind === 'music' ? settings.musicVolume : settings.sfxVolume;
+
+    previewAudio = new Audio(url);
+    previewAudio.volume = ((settings.masterVolume ?? 80) / 100) * ((categoryVolume ?? 80) / 100);
+    previewAudio.play().catch(error => {
+        console.warn(`[${MODULE_NAME}] Preview failed:`, error.message);
+    });
+
+    return previewAudio;
+}
+
+/**
+ * Stop the current preview
+ */
+export function stopPreview() {
+    if (previewAudio) {
+        previewAudio.pause();
+        previewAudio = null;
+    }
+}
+
+// =============================================================================
+// TAB VISIBILITY
+// =============================================================================
+
+/**
+ * Pause music while the tab is hidden, resume when it returns
+ * Both channels are handled, so a crossfade picks up where it left off.
+ */
+function handleVisibilityChange() {
+    if (document.hidden) {
+        channels.forEach((audio, index) => {
+            if (audio && !audio.paused) {
+                audio.pause();
+                pausedByVisibility.add(index);
+            }
+        });
+        return;
+    }
+
+    const paused = [...pausedByVisibility];
+    pausedByVisibility.clear();
+    if (!currentTrack || !getSettings().audioEnabled) return;
+
+    for (const index of paused) {
+        // An outgoing track whose fade finished meanwhile stays stopped
+        if (index === activeChannel || fadeTimers[index]) {
+            startPlayback(getChannel(index));
+        }
+    }
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the audio player
+ * Call this from main index.js
+ */
+export function initAudioPlayer() {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    console.log(`[${MODULE_NAME}] Audio player initialized`);
+}
+
+/**
+ * Stop all audio and release resources
+ */
+export function destroyAudioPlayer() {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+    for (let i = 0; i < channels.length; i++) {
+        clearInterval(fadeTimers[i]);
+        fadeTimers[i] = null;
+        if (channels[i]) {
+            channels[i].pause();
+            channels[i].removeAttribute('src');
+            channels[i] = null;
+        }
+    }
+
+    stopAllSfx();
+    stopPreview();
+
+    currentTrack = null;
+    pausedByVisibility.clear();
+    clearAudioCache();
+}
@@ -0,0 +1,356 @@
+/**
+ * ============================================================================
+ * COTTON-TALES BACKLOG
+ * ============================================================================
+ * History overlay for the VN stage, standing in for the scrolling chat.
+ *
+ * Lists past narrative (scene data stripped) line by line, split the way
+ * the dialogue box splits it, with each line's speaker, the expression that
+ * was shown for it and the choice the user picked. Everything is read from
+ * the scene and per-message metadata (ct_expression, ct_scene, ct_choice) -
+ * nothing is re-classified.
+ *
+ * Clicking an entry jumps to that line: the dialogue box opens on it, NVL
+ * pages open on its message, or the chat log scrolls to the message in
+ * other layouts.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { messageFormatting } from '../../../../../script.js';
+import { getMessageMeta } from './message-metadata.js';
+import { getMessageSnapshot } from './scene-snapshots.js';
+import { getMessageChoice } from './choice-handler.js';
+import { resolveCharacterImage } from './stage-renderer.js';
+import { showDialogueMessage, isDialogueActive, getDialogueLines } from './dialogue-box.js';
+import { showNvlMessage, isNvlActive } from './nvl-renderer.js';
+import { MESSAGE_EXTRA_KEYS, BACKLOG_MAX_ENTRIES } from './constants.js';
+
+const MODULE_NAME = 'CT-Backlog';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    keydown: null,
+    layoutChange: null,
+};
+
+// =============================================================================
+// ENTRIES
+// =============================================================================
+
+/**
+ * A backlog line
+ * @typedef {Object} BacklogEntry
+ * @property {number} messageId - Index in chat
+ * @property {number} page - Line of the message (dialogue box page)
+ * @property {string} name - Speaker (empty for narration)
+ * @property {boolean} isUser - Whether the user wrote it
+ * @property {string} html - Formatted narrative
+ * @property {{ name: string, expression: string, outfit: string|null }|null} portrait - Expression shown at the time
+ * @property {string|null} choice - Label of the choice that produced it (first line only)
+ */
+
+/**
+ * Work out which expression was on screen for a line
+ * The line's own expression (Director scene and beats) wins; the message
+ * author falls back to the recorded ct_expression. The scene snapshot fills
+ * in the outfit.
+ * @param {Object} message - Chat message
+ * @param {import('./dialogue-box.js').BoxLine} line - Line of the message
+ * @returns {{ name: string, expression: string, outfit: string|null }|null}
+ */
+function getLinePortrait(message, line) {
+    if (message.is_user || !line.speaker) return null;
+
+    const speaker = line.speaker.toLowerCase();
+    const isAuthor = speaker === String(message.name).toLowerCase();
+    const recorded = isAuthor ? getMessageMeta(message, MESSAGE_EXTRA_KEYS.EXPRESSION) : null;
+    const onStage = getMessageSnapshot(message)?.characters
+        ?.find(c => c.name?.toLowerCase() === speaker);
+
+    const expression = line.expression || recorded?.label;
+    if (!expression) return null;
+
+    return {
+        name: line.speaker,
+        expression,
+        outfit: onStage?.outfit || null,
+    };
+}
+
+/**
+ * Build backlog entries from the chat, one per dialogue line
+ * @returns {BacklogEntry[]}
+ */
+function collectEntries() {
+    const chat = getContext().chat || [];
+    const entries = [];
+
+    for (let messageId = chat.length - 1; messageId >= 0 && entries.length < BACKLOG_MAX_ENTRIES; messageId--) {
+        const message = chat[messageId];
+        if (message.is_system || typeof message.mes !== 'string') continue;
+
+        const lines = getDialogueLines(messageId);
+        const choice = getMessageChoice(message)?.label || null;
+
+        for (let page = lines.length - 1; page >= 0; page--) {
+            const line = lines[page];
+            if (!line.text.trim()) continue;
+
+            entries.push({
+                messageId,
+                page,
+                name: line.speaker || '',
+                isUser: !!message.is_user,
+                html: messageFormatting(line.text, message.name, message.is_system, message.is_user, messageId),
+                portrait: getLinePortrait(message, line),
+                choice: page === 0 ? choice : null,
+            });
+        }
+    }
+
+    return entries.slice(0, BACKLOG_MAX_ENTRIES).reverse();
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+/**
+ * Build an entry element
+ * @param {BacklogEntry} entry - Backlog line
+ * @returns {HTMLElement}
+ */
+function createEntry(entry) {
+    const element = document.createElement('div');
+    element.className = 'ct-backlog-entry';
+    element.classList.toggle('ct-backlog-user', entry.isUser);
+    element.dataset.messageId = String(entry.messageId);
+    element.dataset.page = String(entry.page);
+    element.tabIndex = 0;
+    element.innerHTML = `
+        <div class="ct-backlog-thumb">
+            <i class="fa-solid ${entry.isUser ? 'fa-user' : 'fa-comment'}"></i>
+        </div>
+        <div class="ct-backlog-body">
+            <div class="ct-backlog-header">
+                <span class="ct-backlog-name">${escapeHtml(entry.name)}</span>
+                ${entry.portrait ? `<span class="ct-backlog-expression">${escapeHtml(entry.portrait.expression)}</span>` : ''}
+            </div>
+            ${entry.choice ? `
+                <div class="ct-backlog-choice">
+                    <i class="fa-solid fa-code-branch"></i>
+                    Chose "${escapeHtml(entry.choice)}"
+                </div>
+            ` : ''}
+            <div class="ct-backlog-text">${entry.html}</div>
+        </div>
+    `;
+    return element;
+}
+
+/**
+ * Fill in expression thumbnails once their sprites resolve
+ * @param {HTMLElement} list - Backlog list
+ * @param {BacklogEntry[]} entries - Entries shown
+ */
+async function loadThumbnails(list, entries) {
+    /** @type {Map<string, Promise<string|null>>} */
+    const cache = new Map();
+
+    await Promise.all(entries.filter(e => e.portrait).map(async entry => {
+        const { name, expression, outfit } = entry.portrait;
+        const key = `${name}|${outfit || ''}|${expression}`;
+        if (!cache.has(key)) {
+            cache.set(key, resolveCharacterImage({ name, expression, outfit }).catch(() => null));
+        }
+
+        const src = await cache.get(key);
+        const thumb = list.querySelector(`.ct-backlog-entry[data-message-id="${entry.messageId}"][data-page="${entry.page}"] .ct-backlog-thumb`);
+        if (!src || !thumb) return;
+
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = `${name} (${expression})`;
+        img.loading = 'lazy';
+        thumb.replaceChildren(img);
+    }));
+}
+
+/**
+ * Get (or create) the backlog overlay
+ * @returns {HTMLElement}
+ */
+function getOverlay() {
+    let overlay = document.getElementById('ct-backlog');
+    if (overlay) return overlay;
+
+    overlay = document.createElement('div');
+    overlay.id = 'ct-backlog';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Backlog');
+    overlay.innerHTML = `
+        <div class="ct-backlog-panel">
+            <div class="ct-backlog-title">
+                <i class="fa-solid fa-clock-rotate-left"></i>
+                <span>Backlog</span>
+                <button class="ct-backlog-button" data-action="close" title="Close (Esc)" aria-label="Close">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            </div>
+            <div class="ct-backlog-list"></div>
+        </div>
+    `;
+
+    overlay.addEventListener('click', (e) => {
+        const action = e.target.closest('.ct-backlog-button')?.dataset.action;
+        if (action === 'close' || e.target === overlay) {
+            closeBacklog();
+            return;
+        }
+        if (e.target.closest('a')) return;
+        const entry = e.target.closest('.ct-backlog-entry');
+        if (entry) {
+            jumpToMessage(Number(entry.dataset.messageId), Number(entry.dataset.page));
+        }
+    });
+
+    overlay.addEventListener('keydown', (e) => {
+        const entry = e.target.closest?.('.ct-backlog-entry');
+        if (entry && e.key === 'Enter') {
+            jumpToMessage(Number(entry.dataset.messageId), Number(entry.dataset.page));
+        }
+    });
+
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+// =============================================================================
+// NAVIGATION
+// =============================================================================
+
+/**
+ * Show a message in whatever the current layout uses to present text
+ * @param {number} messageId - Index in chat
+ * @param {number} [page=0] - Line of the message (dialogue box only)
+ */
+export function jumpToMessage(messageId, page = 0) {
+    closeBacklog();
+
+    if (isDialogueActive() && showDialogueMessage(messageId, page)) return;
+    if (isNvlActive() && showNvlMessage(messageId)) return;
+
+    // Plain chat view: scroll to the message if it's loaded
+    const element = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (!element) {
+        console.debug(`[${MODULE_NAME}] Message ${messageId} is not loaded in the chat`);
+        return;
+    }
+
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    element.classList.add('ct-backlog-target');
+    setTimeout(() => element.classList.remove('ct-backlog-target'), 1500);
+}
+
+/**
+ * Whether the backlog is open
+ * @returns {boolean}
+ */
+export function isBacklogOpen() {
+    return !!document.getElementById('ct-backlog');
+}
+
+/**
+ * Open the backlog, scrolled to the latest line
+ */
+export function openBacklog() {
+    const overlay = getOverlay();
+    const list = overlay.querySelector('.ct-backlog-list');
+    const entries = collectEntries();
+
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="ct-empty-state"><div class="ct-empty-state-text">Nothing to show yet</div></div>';
+    } else {
+        list.replaceChildren(...entries.map(createEntry));
+        loadThumbnails(list, entries);
+    }
+
+    list.scrollTop = list.scrollHeight;
+    console.debug(`[${MODULE_NAME}] Opened with ${entries.length} entries`);
+}
+
+/**
+ * Close the backlog
+ */
+export function closeBacklog() {
+    document.getElementById('ct-backlog')?.remove();
+}
+
+/**
+ * Open or close the backlog
+ */
+export function toggleBacklog() {
+    isBacklogOpen() ? closeBacklog() : openBacklog();
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the backlog
+ * Call this from main index.js
+ */
+export function initBacklog() {
+    eventHandlers.keydown = (event) => {
+        if (event.key === 'Escape' && isBacklogOpen()) {
+            event.preventDefault();
+            closeBacklog();
+        }
+    };
+    // Chat switches re-apply the layout, so this also covers CHAT_CHANGED
+    eventHandlers.layoutChange = () => closeBacklog();
+
+    document.addEventListener('keydown', eventHandlers.keydown);
+    document.addEventListener('ct:layout:change', eventHandlers.layoutChange);
+
+    console.log(`[${MODULE_NAME}] Backlog initialized`);
+}
+
+/**
+ * Cleanup backlog listeners and DOM
+ */
+export function destroyBacklog() {
+    if (eventHandlers.keydown) {
+        document.removeEventListener('keydown', eventHandlers.keydown);
+    }
+    if (eventHandlers.layoutChange) {
+        document.removeEventListener('ct:layout:change', eventHandlers.layoutChange);
+    }
+
+    eventHandlers = {
+        keydown: null,
+        layoutChange: null,
+    };
+
+    closeBacklog();
+}
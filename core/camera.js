@@ -0,0 +1,327 @@
+/**
+ * ============================================================================
+ * COTTON-TALES CAMERA
+ * ============================================================================
+ * Plays the camera directions from a vn-scene block:
+ * - shake: jolt the background and stage (light / medium / heavy)
+ * - zoom: push in on a character on stage, then ease back out
+ * - pan: sweep across the background to the left or right
+ * - flash: white flash over the scene
+ * - fade: dip to black and back over the given duration
+ *
+ * Shake, zoom and pan move ST's background layers together with the
+ * sprites drawn over them; flash and fade are overlays beneath the chat.
+ * Every direction is one-shot. With reduced motion only the fade plays.
+ *
+ * Triggered by ct:camera (scene-parser.js).
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { eventSource, event_types } from '../../../../../script.js';
+import { power_user } from '../../../../power-user.js';
+import { getSettings } from './settings-manager.js';
+import {
+    CAMERA_SHAKE_OFFSETS,
+    CAMERA_PAN,
+    CAMERA_SHAKE_DURATION,
+    CAMERA_ZOOM_DURATION,
+    CAMERA_ZOOM_SCALE,
+    CAMERA_PAN_DURATION,
+    CAMERA_FLASH_DURATION,
+    CAMERA_FADE_DURATION,
+    CAMERA_FADE_MAX_DURATION,
+} from './constants.js';
+
+const MODULE_NAME = 'CT-Camera';
+
+/** ST's background layers */
+const BACKGROUND_LAYERS = ['#bg1', '#bg_custom'];
+
+/** Layers the camera moves: the background and everything drawn on it */
+const SCENE_LAYERS = [...BACKGROUND_LAYERS, '#ct-vn-stage', '#ct-expression-wrapper', '#ct-visual-novel-wrapper'];
+
+/** How far the pan travels each way (% of the layer width) */
+const PAN_OFFSET = 6;
+
+/** Scale while panning, so the edges stay covered */
+const PAN_SCALE = 1.15;
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** @type {Set<Animation>} Animations still running */
+const running = new Set();
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    camera: null,
+    chatChanged: null,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Find the layers that are on the page
+ * @param {string[]} selectors - Layer selectors
+ * @returns {HTMLElement[]}
+ */
+function getLayers(selectors) {
+    return selectors
+        .map(selector => /** @type {HTMLElement|null} */ (document.querySelector(selector)))
+        .filter(Boolean);
+}
+
+/**
+ * Run an animation and keep track of it until it ends
+ * @param {HTMLElement} element - Element to animate
+ * @param {Keyframe[]} keyframes - Keyframes
+ * @param {KeyframeAnimationOptions} options - Timing
+ * @returns {Animation}
+ */
+function animate(element, keyframes, options) {
+    const animation = element.animate(keyframes, options);
+    running.add(animation);
+
+    const forget = () => running.delete(animation);
+    animation.addEventListener('finish', forget);
+    animation.addEventListener('cancel', forget);
+    return animation;
+}
+
+/**
+ * Lay a coloured overlay over the scene for the length of an animation
+ * @param {string} className - Overlay class
+ * @param {Keyframe[]} keyframes - Opacity keyframes
+ * @param {number} duration - Length (ms)
+ */
+function playOverlay(className, keyframes, duration) {
+    document.querySelector(`.${className}`)?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = `ct-camera-overlay ${className}`;
+    overlay.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(overlay);
+
+    const animation = animate(overlay, keyframes, { duration, easing: 'ease-in-out', fill: 'forwards' });
+    const remove = () => overlay.remove();
+    animation.addEventListener('finish', remove);
+    animation.addEventListener('cancel', remove);
+}
+
+/**
+ * Find the point to zoom in on for a character
+ * Uses the stage sprite, or the slot it is loading into.
+ * @param {string} name - Character name
+ * @returns {{ x: number, y: number }|null} Viewport coordinates
+ */
+function getZoomFocus(name) {
+    const target = String(name).toLowerCase();
+    const element = [...document.querySelectorAll('#ct-vn-stage .ct-stage-character:not(.ct-stage-leaving)')]
+        .find(el => /** @type {HTMLElement} */ (el).dataset.name?.toLowerCase() === target);
+    if (!element) return null;
+
+    let rect = element.getBoundingClientRect();
+    if (rect.width === 0 && element.parentElement) {
+        rect = element.parentElement.getBoundingClientRect();
+    }
+
+    // Aim for the face rather than the middle of the sprite
+    return {
+        x: rect.left + rect.width / 2,
+        y: rect.top + rect.height * 0.25,
+    };
+}
+
+// =============================================================================
+// DIRECTIONS
+// =============================================================================
+
+/**
+ * Shake the scene
+ * @param {string} intensity - CAMERA_SHAKE value
+ */
+function shake(intensity) {
+    const offset = CAMERA_SHAKE_OFFSETS[intensity];
+    if (!offset) return;
+
+    const keyframes = [
+        { translate: '0 0' },
+        { translate: `${-offset}px ${offset / 2}px` },
+        { translate: `${offset}px ${-offset / 2}px` },
+        { translate: `${-offset / 2}px ${-offset / 2}px` },
+        { translate: `${offset / 2}px ${offset / 2}px` },
+        { translate: '0 0' },
+    ];
+
+    for (const layer of getLayers(SCENE_LAYERS)) {
+        animate(layer, keyframes, { duration: CAMERA_SHAKE_DURATION, easing: 'linear' });
+    }
+}
+
+/**
+ * Push in on a character and ease back out
+ * @param {string} name - Character on stage
+ */
+function zoom(name) {
+    const focus = getZoomFocus(name);
+    if (!focus) {
+        console.debug(`[${MODULE_NAME}] Can't zoom on "${name}": not on stage`);
+        return;
+    }
+
+    const keyframes = [
+        { scale: '1', offset: 0 },
+        { scale: String(CAMERA_ZOOM_SCALE), offset: 0.3 },
+        { scale: String(CAMERA_ZOOM_SCALE), offset: 0.7 },
+        { scale: '1', offset: 1 },
+    ];
+
+    for (const layer of getLayers(SCENE_LAYERS)) {
+        // Each layer scales around the same point on screen
+        const rect = layer.getBoundingClientRect();
+        layer.style.transformOrigin = `${focus.x - rect.left}px ${focus.y - rect.top}px`;
+
+        const animation = animate(layer, keyframes, { duration: CAMERA_ZOOM_DURATION, easing: 'ease-in-out' });
+        const reset = () => layer.style.removeProperty('transform-origin');
+        animation.addEventListener('finish', reset);
+        animation.addEventListener('cancel', reset);
+    }
+}
+
+/**
+ * Sweep across the background
+ * @param {string} direction - CAMERA_PAN value (the way the camera moves)
+ */
+function pan(direction) {
+    // The picture moves the opposite way to the camera
+    const from = direction === CAMERA_PAN.LEFT ? -PAN_OFFSET : PAN_OFFSET;
+    const keyframes = [
+        { transform: 'none', offset: 0 },
+        { transform: `scale(${PAN_SCALE}) translateX(${from}%)`, offset: 0.15 },
+        { transform: `scale(${PAN_SCALE}) translateX(${-from}%)`, offset: 0.85 },
+        { transform: 'none', offset: 1 },
+    ];
+
+    for (const layer of getLayers(BACKGROUND_LAYERS)) {
+        animate(layer, keyframes, { duration: CAMERA_PAN_DURATION, easing: 'ease-in-out' });
+    }
+}
+
+/**
+ * Flash the scene white
+ */
+function flash() {
+    playOverlay('ct-camera-flash', [
+        { opacity: 0 },
+        { opacity: 1, offset: 0.15 },
+        { opacity: 0 },
+    ], CAMERA_FLASH_DURATION);
+}
+
+/**
+ * Dip to black and back
+ * @param {number} duration - Whole fade (ms)
+ */
+function fade(duration) {
+    playOverlay('ct-camera-fade', [
+        { opacity: 0 },
+        { opacity: 1, offset: 0.35 },
+        { opacity: 1, offset: 0.65 },
+        { opacity: 0 },
+    ], duration);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Camera directions for one scene
+ * @typedef {Object} CameraDirections
+ * @property {string|null} shake - CAMERA_SHAKE value
+ * @property {string|null} zoom - Character to zoom in on
+ * @property {string|null} pan - CAMERA_PAN value
+ * @property {boolean} flash - White flash
+ * @property {number|null} fade - Fade to black and back (ms)
+ */
+
+/**
+ * Play a scene's camera directions
+ * @param {CameraDirections} camera - Directions
+ */
+export function playCamera(camera) {
+    if (!camera || getSettings().cameraEnabled === false) return;
+
+    if (camera.fade) {
+        fade(Math.min(Number(camera.fade) || CAMERA_FADE_DURATION, CAMERA_FADE_MAX_DURATION));
+    }
+
+    if (power_user.reduced_motion) {
+        console.debug(`[${MODULE_NAME}] Reduced motion: only fades are played`);
+        return;
+    }
+
+    if (camera.flash) flash();
+    if (camera.shake) shake(camera.shake);
+    if (camera.zoom) zoom(camera.zoom);
+    if (camera.pan) pan(camera.pan);
+}
+
+/**
+ * Stop every camera animation and remove the overlays
+ */
+export function stopCamera() {
+    for (const animation of [...running]) {
+        animation.cancel();
+    }
+    running.clear();
+    document.querySelectorAll('.ct-camera-overlay').forEach(el => el.remove());
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the camera
+ * Call this from main index.js
+ */
+export function initCamera() {
+    eventHandlers.camera = (event) => {
+        const { camera } = event.detail || {};
+        // Let characters entering in the same scene reach their slots first
+        requestAnimationFrame(() => playCamera(camera));
+    };
+    eventHandlers.chatChanged = () => stopCamera();
+
+    document.addEventListener('ct:camera', eventHandlers.camera);
+    eventSource.on(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+
+    console.log(`[${MODULE_NAME}] Camera initialized`);
+}
+
+/**
+ * Cleanup camera listeners and animations
+ */
+export function destroyCamera() {
+    if (eventHandlers.camera) {
+        document.removeEventListener('ct:camera', eventHandlers.camera);
+    }
+    if (eventHandlers.chatChanged) {
+        eventSource.removeListener(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    }
+
+    eventHandlers = {
+        camera: null,
+        chatChanged: null,
+    };
+
+    stopCamera();
+}
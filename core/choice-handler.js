@@ -0,0 +1,190 @@
+/**
+ * ============================================================================
+ * COTTON-TALES CHOICE HANDLER
+ * ============================================================================
+ * Turns a picked VN choice into the user's next chat turn.
+ *
+ * Listens for `ct:choice:inject` (dispatched by scene-parser.js#injectChoice),
+ * places the choice's prompt (or the custom text) into ST's chat input and
+ * optionally sends it. The resulting user message is tagged in its `extra`
+ * metadata so later turns and exports can tell picked choices apart from
+ * free-typed input.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { eventSource, event_types, saveChatDebounced } from '../../../../../script.js';
+import { getSettings } from './settings-manager.js';
+import { MESSAGE_EXTRA_KEYS } from './constants.js';
+import { getMessageMeta, setMessageMeta } from './message-metadata.js';
+import { areChoicesVisible, dismissChoices } from './scene-parser.js';
+
+const MODULE_NAME = 'CT-ChoiceHandler';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/**
+ * Choice waiting to be matched with the next sent user message
+ * @type {{ text: string, label: string, prompt: string, index: number|null, isCustom: boolean }|null}
+ */
+let pendingChoice = null;
+
+/**
+ * Registered ST event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    messageSent: null,
+    chatChanged: null,
+};
+
+// =============================================================================
+// INJECTION
+// =============================================================================
+
+/**
+ * Put text into ST's chat input and notify ST of the change
+ * @param {string} text - Text to place in the input
+ * @returns {boolean} True if the input was found
+ */
+function fillChatInput(text) {
+    const textarea = document.getElementById('send_textarea');
+    if (!(textarea instanceof HTMLTextAreaElement)) {
+        console.warn(`[${MODULE_NAME}] Chat input not found`);
+        return false;
+    }
+
+    textarea.value = text;
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    textarea.focus();
+    return true;
+}
+
+/**
+ * Handle a choice injection request
+ * @param {CustomEvent} event - Event with detail { text, label, prompt, index, isCustom }
+ */
+function handleChoiceInject(event) {
+    const { text, label, prompt, index, isCustom } = event.detail || {};
+
+    if (!text || !text.trim()) {
+        console.warn(`[${MODULE_NAME}] Empty choice, nothing to inject`);
+        return;
+    }
+
+    if (!fillChatInput(text)) return;
+
+    pendingChoice = {
+        text: text.trim(),
+        label: label || text,
+        prompt: prompt || text,
+        index: Number.isInteger(index) ? index : null,
+        isCustom: !!isCustom,
+    };
+
+    console.log(`[${MODULE_NAME}] Choice placed in chat input: "${pendingChoice.label}"`);
+
+    if (getSettings().autoSendChoices) {
+        document.getElementById('send_but')?.click();
+    }
+}
+
+// =============================================================================
+// MESSAGE TAGGING
+// =============================================================================
+
+/**
+ * Tag a freshly sent user message if it came from the pending choice
+ * @param {number} messageId - Index of the sent message
+ */
+function tagSentMessage(messageId) {
+    if (!pendingChoice) return;
+
+    const choice = pendingChoice;
+    pendingChoice = null;
+
+    const context = getContext();
+    const message = context.chat?.[Number(messageId)];
+    if (!message?.is_user) return;
+
+    // Only tag if the user sent the choice as-is (not rewritten before sending)
+    const sent = String(message.mes || '').trim();
+    const expected = [choice.text, context.substituteParams?.(choice.text)?.trim()];
+    if (!expected.includes(sent)) {
+        console.debug(`[${MODULE_NAME}] Sent message differs from picked choice, not tagging`);
+        return;
+    }
+
+    setMessageMeta(message, MESSAGE_EXTRA_KEYS.CHOICE, {
+        index: choice.index,
+        label: choice.label,
+        prompt: choice.prompt,
+        custom: choice.isCustom,
+    });
+
+    saveChatDebounced();
+    console.debug(`[${MODULE_NAME}] Tagged message ${messageId} with choice "${choice.label}"`);
+}
+
+/**
+ * Get the choice a message was produced from, if any
+ * @param {Object} message - Chat message
+ * @returns {{ index: number|null, label: string, prompt: string, custom: boolean }|null}
+ */
+export function getMessageChoice(message) {
+    return getMessageMeta(message, MESSAGE_EXTRA_KEYS.CHOICE);
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the choice handler
+ * Call this from main index.js
+ */
+export function initChoiceHandler() {
+    document.addEventListener('ct:choice:inject', handleChoiceInject);
+
+    eventHandlers.messageSent = (messageId) => {
+        tagSentMessage(messageId);
+
+        // A typed reply answers the open choices too
+        if (areChoicesVisible()) {
+            dismissChoices();
+        }
+    };
+
+    eventHandlers.chatChanged = () => {
+        pendingChoice = null;
+    };
+
+    eventSource.on(event_types.MESSAGE_SENT, eventHandlers.messageSent);
+    eventSource.on(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+
+    console.log(`[${MODULE_NAME}] Choice handler initialized`);
+}
+
+/**
+ * Cleanup the choice handler
+ */
+export function destroyChoiceHandler() {
+    document.removeEventListener('ct:choice:inject', handleChoiceInject);
+
+    if (eventHandlers.messageSent) {
+        eventSource.removeListener(event_types.MESSAGE_SENT, eventHandlers.messageSent);
+    }
+    if (eventHandlers.chatChanged) {
+        eventSource.removeListener(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    }
+
+    eventHandlers = {
+        messageSent: null,
+        chatChanged: null,
+    };
+
+    pendingChoice = null;
+}
@@ -33,6 +33,8 @@ export const LAYOUT_MODE = {
     ADV: 'adv',
     /** Portrait style - Character/Persona portraits in ornate side panels, speech bubbles in main area (RPG style) */
     PRT: 'prt',
+    /** Novel style - Text fills the screen in pages over the background */
+    NVL: 'nvl',
 };
 
 /** Default layout mode */
@@ -437,6 +439,92 @@ export const SPRITE_EFFECTS = {
     SHOCK: 'shock',
 };
 
+/** How long each sprite effect stays on screen (ms) */
+export const SPRITE_EFFECT_DURATIONS = {
+    hearts: 2200,
+    sparkle: 1600,
+    sweat_drop: 1800,
+    anger_vein: 1400,
+    blush: 3000,
+    tears: 2600,
+    shock: 900,
+};
+
+// =============================================================================
+// CAMERA
+// =============================================================================
+
+/** @enum {string} Screen shake intensities */
+export const CAMERA_SHAKE = {
+    LIGHT: 'light',
+    MEDIUM: 'medium',
+    HEAVY: 'heavy',
+};
+
+/** Shake offset per intensity (px) */
+export const CAMERA_SHAKE_OFFSETS = {
+    light: 4,
+    medium: 10,
+    heavy: 20,
+};
+
+/** @enum {string} Directions the camera can pan across the background */
+export const CAMERA_PAN = {
+    LEFT: 'left',
+    RIGHT: 'right',
+};
+
+/** Shake length (ms) */
+export const CAMERA_SHAKE_DURATION = 600;
+
+/** Zoom in, hold and ease back out (ms) */
+export const CAMERA_ZOOM_DURATION = 2500;
+
+/** How far the camera pushes in on a character */
+export const CAMERA_ZOOM_SCALE = 1.35;
+
+/** Pan across the background (ms) */
+export const CAMERA_PAN_DURATION = 4000;
+
+/** White flash (ms) */
+export const CAMERA_FLASH_DURATION = 450;
+
+/** Fade to black and back when the scene gives no duration (ms) */
+export const CAMERA_FADE_DURATION = 1500;
+
+/** Longest fade to black a scene can ask for (ms) */
+export const CAMERA_FADE_MAX_DURATION = 10000;
+
+// =============================================================================
+// ATMOSPHERE (time of day and weather)
+// =============================================================================
+
+/** @enum {string} Time of day tints over the background */
+export const TIME_OF_DAY = {
+    DAWN: 'dawn',
+    DAY: 'day',
+    DUSK: 'dusk',
+    NIGHT: 'night',
+};
+
+/** @enum {string} Weather overlays over the background */
+export const WEATHER = {
+    CLEAR: 'clear',
+    RAIN: 'rain',
+    SNOW: 'snow',
+    FOG: 'fog',
+};
+
+/** Particles drawn per weather type */
+export const WEATHER_PARTICLE_COUNTS = {
+    rain: 60,
+    snow: 40,
+    fog: 4,
+};
+
+/** How long the time/weather layers take to fade between states (ms) */
+export const ATMOSPHERE_FADE_DURATION = 1200;
+
 // =============================================================================
 // TRANSITIONS
 // =============================================================================
@@ -456,9 +544,25 @@ export const DEFAULT_TRANSITION_DURATION = 300;
 /** Sprite transition duration */
 export const SPRITE_TRANSITION_DURATION = 200;
 
+/** How long to wait for ST to swap the background before revealing it (ms) */
+export const BACKGROUND_SWAP_TIMEOUT = 1500;
+
 /** Background transition duration */
 export const BACKGROUND_TRANSITION_DURATION = 500;
 
+// =============================================================================
+// AUDIO
+// =============================================================================
+
+/** Crossfade duration between music tracks (ms) */
+export const MUSIC_CROSSFADE_DURATION = 1500;
+
+/** Fade-out duration when music stops (ms) */
+export const MUSIC_FADE_OUT_DURATION = 800;
+
+/** Maximum sound effects playing at once */
+export const MAX_CONCURRENT_SFX = 4;
+
 // =============================================================================
 // DIALOGUE BOX
 // =============================================================================
@@ -472,9 +576,47 @@ export const DIALOGUE_POSITION = {
 /** Default dialogue box opacity (0-100) */
 export const DEFAULT_DIALOGUE_OPACITY = 85;
 
+/** @enum {string} Kinds of line the dialogue segmenter produces */
+export const DIALOGUE_LINE_KIND = {
+    DIALOGUE: 'dialogue',
+    NARRATION: 'narration',
+    THOUGHT: 'thought',
+};
+
 /** Typewriter effect speed (ms per character) */
 export const DEFAULT_TYPEWRITER_SPEED = 30;
 
+/** Typewriter pause after sentence-ending punctuation (multiples of the speed) */
+export const TYPEWRITER_SENTENCE_PAUSE = 8;
+
+/** Typewriter pause after commas, colons and dashes (multiples of the speed) */
+export const TYPEWRITER_CLAUSE_PAUSE = 3;
+
+/** Unrevealed characters a stream may build up before the typewriter speeds up */
+export const TYPEWRITER_CATCH_UP_CHARS = 80;
+
+/** @enum {string} Reading modes (Ren'Py style) */
+export const READING_MODE = {
+    /** Wait for a click or key */
+    OFF: 'off',
+    /** Turn pages after a delay scaled to their length */
+    AUTO: 'auto',
+    /** Fast-forward through text that has been read */
+    SKIP: 'skip',
+};
+
+/** Auto mode: fixed wait after a page finishes (ms) */
+export const AUTO_ADVANCE_BASE_DELAY = 1000;
+
+/** Auto mode: extra wait per character on the page (ms) */
+export const AUTO_ADVANCE_PER_CHAR = 30;
+
+/** Skip mode: wait between pages (ms) */
+export const SKIP_ADVANCE_DELAY = 80;
+
+/** Most recent messages listed in the backlog */
+export const BACKLOG_MAX_ENTRIES = 200;
+
 // =============================================================================
 // RESPONSE SCHEMA
 // =============================================================================
@@ -507,6 +649,61 @@ export const Z_INDEX = {
     MODAL: 300,
 };
 
+// =============================================================================
+// MESSAGE METADATA
+// =============================================================================
+
+/** Keys Cotton-Tales stores in a chat message's `extra` object */
+export const MESSAGE_EXTRA_KEYS = {
+    CHOICE: 'ct_choice',       // Choice the user picked to produce this message
+    SCENE: 'ct_scene',         // Stage snapshot after this message's scene was applied
+    EXPRESSION: 'ct_expression', // Expression shown for this message and which source picked it
+    STRUCTURED_SCENE: 'ct_structured_scene', // Scene the Director sent through the set_vn_scene tool
+    DIRECTOR_PASS: 'ct_director_pass', // Scene block written for this message by the separate Director pass
+    SCENE_REPAIR: 'ct_scene_repair', // Whether a broken scene block was repaired, and the repaired block
+};
+
+/** @enum {string} Where a message's expression came from, in priority order */
+export const EXPRESSION_SOURCE = {
+    DIRECTOR: 'director',      // characters[].expression in the vn-scene block
+    CUSTOM: 'custom',          // Per-character custom emotion classifier
+    CLASSIFIER: 'classifier',  // Global classifier (expressionApi)
+    FALLBACK: 'fallback',      // fallbackExpression setting
+};
+
+/** @enum {string} How much text the classifier reads at a time */
+export const CLASSIFY_MODE = {
+    MESSAGE: 'message',        // One expression per message
+    LINE: 'line',              // Each dialogue box line on its own
+};
+
+/** @enum {string} Where the Director puts the vn-scene block in its reply */
+export const SCENE_ORDER = {
+    NARRATIVE_FIRST: 'narrative_first', // Narrative, then the block
+    SCENE_FIRST: 'scene_first',         // Block first, so the stage changes before the text types
+};
+
+/** @enum {string} How the Director hands over its scene directions */
+export const DIRECTOR_OUTPUT = {
+    TEXT: 'text',              // A vn-scene block in the reply, read by the linter
+    STRUCTURED: 'structured',  // Tool call or JSON schema where the backend supports one
+};
+
+/** Generation types that are never the Director's (no prompt, no reply schema) */
+export const SKIPPED_GENERATION_TYPES = ['quiet', 'impersonate'];
+
+/** Name of the tool the Director calls in structured mode */
+export const SCENE_TOOL_NAME = 'set_vn_scene';
+
+/** Response length for the separate Director pass (a scene block, no prose) */
+export const DIRECTOR_PASS_MAX_TOKENS = 800;
+
+/** Lint confidence below which a scene block is sent back for repair */
+export const SCENE_REPAIR_MIN_CONFIDENCE = 40;
+
+/** Most repair re-prompts allowed per message */
+export const SCENE_REPAIR_MAX_ATTEMPTS = 3;
+
 // =============================================================================
 // SETTINGS KEYS
 // =============================================================================
@@ -514,6 +711,9 @@ export const Z_INDEX = {
 /** Settings storage key in extension_settings */
 export const SETTINGS_KEY = 'cottonTales';
 
+/** Key for Cotton-Tales data in a chat's metadata */
+export const CHAT_METADATA_KEY = 'cottonTales';
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * COTTON-TALES CONTROL BAR
+ * ============================================================================
+ * On-stage buttons shown while a VN layout is active:
+ * - Auto / Skip (reading-modes.js) in the ADV dialogue box and NVL
+ * - Backlog of past lines (backlog.js)
+ * - Switch the open chat between NVL and its usual layout
+ *
+ * Redrawn on ct:layout:change and ct:reading:mode.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { toggleReadingMode, getReadingMode, isReadingPaused } from './reading-modes.js';
+import { toggleChatNvl } from './layout-manager.js';
+import { toggleBacklog } from './backlog.js';
+import { LAYOUT_MODE, READING_MODE } from './constants.js';
+
+const MODULE_NAME = 'CT-ControlBar';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    layoutChange: null,
+    modeChange: null,
+};
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Get (or create) the control bar
+ * @returns {HTMLElement}
+ */
+function getBar() {
+    let bar = document.getElementById('ct-vn-controls');
+    if (bar) return bar;
+
+    bar = document.createElement('div');
+    bar.id = 'ct-vn-controls';
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', 'Visual novel controls');
+    bar.innerHTML = `
+        <button class="ct-vn-control" data-action="auto" title="Auto (A)" aria-label="Auto">
+            <i class="fa-solid fa-play"></i><span>Auto</span>
+        </button>
+        <button class="ct-vn-control" data-action="skip" title="Skip read text (S)" aria-label="Skip">
+            <i class="fa-solid fa-forward-fast"></i><span>Skip</span>
+        </button>
+        <button class="ct-vn-control" data-action="backlog" title="Backlog" aria-label="Backlog">
+            <i class="fa-solid fa-clock-rotate-left"></i><span>Log</span>
+        </button>
+        <button class="ct-vn-control" data-action="layout"></button>
+    `;
+
+    bar.addEventListener('click', (e) => {
+        const button = e.target.closest('.ct-vn-control');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'auto':
+                toggleReadingMode(READING_MODE.AUTO);
+                break;
+            case 'skip':
+                toggleReadingMode(READING_MODE.SKIP);
+                break;
+            case 'backlog':
+                toggleBacklog();
+                break;
+            case 'layout':
+                toggleChatNvl();
+                break;
+        }
+    });
+
+    document.body.appendChild(bar);
+    return bar;
+}
+
+/**
+ * Draw the bar for a layout, or remove it
+ * @param {string|null} layout - Active layout, null when off
+ */
+function renderBar(layout) {
+    if (!layout) {
+        document.getElementById('ct-vn-controls')?.remove();
+        return;
+    }
+
+    const bar = getBar();
+
+    // Auto/Skip need a reader (dialogue box or NVL pages)
+    const hasReader = layout === LAYOUT_MODE.ADV || layout === LAYOUT_MODE.NVL;
+    bar.querySelectorAll('[data-action="auto"], [data-action="skip"]').forEach(button => {
+        button.hidden = !hasReader;
+    });
+
+    const isNvl = layout === LAYOUT_MODE.NVL;
+    const layoutButton = bar.querySelector('[data-action="layout"]');
+    const label = isNvl ? 'Switch this chat back to dialogue view' : 'Switch this chat to novel view';
+    layoutButton.title = label;
+    layoutButton.setAttribute('aria-label', label);
+    layoutButton.innerHTML = isNvl
+        ? '<i class="fa-solid fa-comments"></i><span>ADV</span>'
+        : '<i class="fa-solid fa-book-open"></i><span>NVL</span>';
+
+    updateModeButtons();
+}
+
+/**
+ * Highlight the active reading mode
+ */
+function updateModeButtons() {
+    const bar = document.getElementById('ct-vn-controls');
+    if (!bar) return;
+
+    const mode = getReadingMode();
+    const paused = isReadingPaused();
+
+    for (const button of bar.querySelectorAll('[data-action="auto"], [data-action="skip"]')) {
+        const active = button.dataset.action === mode;
+        button.classList.toggle('ct-active', active);
+        button.classList.toggle('ct-paused', active && paused);
+        button.setAttribute('aria-pressed', String(active));
+    }
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the control bar
+ * Call this from main index.js
+ */
+export function initControlBar() {
+    eventHandlers.layoutChange = (e) => renderBar(e.detail?.layout || null);
+    eventHandlers.modeChange = () => updateModeButtons();
+
+    document.addEventListener('ct:layout:change', eventHandlers.layoutChange);
+    document.addEventListener('ct:reading:mode', eventHandlers.modeChange);
+
+    console.log(`[${MODULE_NAME}] Control bar initialized`);
+}
+
+/**
+ * Cleanup control bar listeners and DOM
+ */
+export function destroyControlBar() {
+    if (eventHandlers.layoutChange) {
+        document.removeEventListener('ct:layout:change', eventHandlers.layoutChange);
+    }
+    if (eventHandlers.modeChange) {
+        document.removeEventListener('ct:reading:mode', eventHandlers.modeChange);
+    }
+
+    eventHandlers = {
+        layoutChange: null,
+        modeChange: null,
+    };
+
+    renderBar(null);
+}
@@ -22,10 +22,13 @@ import {
     TRANSITION_TYPE,
     DIALOGUE_POSITION,
     EXPRESSION_API,
+    CLASSIFY_MODE,
     PROMPT_TYPE,
     DEFAULT_LLM_PROMPT,
     VECTHARE_TRIGGER,
     DEFAULT_CLASSIFIER_MODEL,
+    SCENE_ORDER,
+    DIRECTOR_OUTPUT,
 } from './constants.js';
 
 /**
@@ -44,7 +47,7 @@ export const defaultSettings = {
     // DISPLAY SETTINGS
     // ==========================================================================
 
-    /** Layout mode: 'adv' (dialogue at bottom) or 'nvl' (text fills screen) */
+    /** Layout mode: 'adv' (dialogue at bottom), 'prt' (portrait panels) or 'nvl' (text fills screen). Chats can override it */
     layoutMode: DEFAULT_LAYOUT_MODE,
 
     /** Dialogue box position */
@@ -75,6 +78,9 @@ export const defaultSettings = {
     /** Choice panel animation: 'fade', 'slide', 'none' */
     choiceAnimation: 'fade',
 
+    /** Send a picked choice immediately (false = only fill the chat input) */
+    autoSendChoices: true,
+
     // ==========================================================================
     // SPRITE SETTINGS
     // ==========================================================================
@@ -101,6 +107,9 @@ export const defaultSettings = {
     /** Which API to use for expression classification */
     expressionApi: EXPRESSION_API.local,
 
+    /** Classify whole messages, or each dialogue line on its own (ADV) */
+    classifyMode: CLASSIFY_MODE.MESSAGE,
+
     /** Which classifier model to use (for local API) */
     classifierModel: DEFAULT_CLASSIFIER_MODEL,
 
@@ -189,6 +198,12 @@ export const defaultSettings = {
     /** Background transition duration (ms) */
     backgroundTransitionDuration: 500,
 
+    /** Play camera directions from schema (shake, zoom, pan, flash, fade) */
+    cameraEnabled: true,
+
+    /** Draw time of day and weather from schema over the background */
+    atmosphereEnabled: true,
+
     // ==========================================================================
     // SCHEMA / PARSING SETTINGS
     // ==========================================================================
@@ -200,7 +215,7 @@ export const defaultSettings = {
     customSchemaPrompt: '',
 
     // ==========================================================================
-    // AUDIO SETTINGS (PHASE 6)
+    // AUDIO SETTINGS
     // ==========================================================================
 
     /** Enable audio triggers */
@@ -215,6 +230,18 @@ export const defaultSettings = {
     /** SFX volume (0-100) */
     sfxVolume: 80,
 
+    /**
+     * User music library (uploaded tracks)
+     * Structure: [{ id, label, file, path }]
+     */
+    musicLibrary: [],
+
+    /**
+     * User SFX library (uploaded one-shots)
+     * Structure: [{ id, label, file, path }]
+     */
+    sfxLibrary: [],
+
     // ==========================================================================
     // PER-CARD NPC/SPRITE DATA
     // ==========================================================================
@@ -238,6 +265,12 @@ export const defaultSettings = {
     /** Custom Director prompt (when style is 'custom') */
     customDirectorPrompt: '',
 
+    /** Where the vn-scene block goes: after the narrative, or first (scene-first) */
+    sceneOrder: SCENE_ORDER.NARRATIVE_FIRST,
+
+    /** How scene directions arrive: a vn-scene block, or a tool call / JSON schema */
+    directorOutput: DIRECTOR_OUTPUT.TEXT,
+
     /** Where to inject Director prompt */
     directorPromptPosition: 'system_end',
 
@@ -246,6 +279,18 @@ export const defaultSettings = {
     /** Automatically parse vn-scene blocks from AI responses */
     autoParseResponses: true,
 
+    /** Main model writes narrative only; a second quiet generation writes the scene block */
+    directorPass: false,
+
+    /** Send the Director pass to the expression connection profile instead of the chat API */
+    directorPassUseProfile: false,
+
+    /** Quiet re-prompts to fix a scene block that fails linting (0 = off) */
+    sceneRepairAttempts: 1,
+
+    /** Apply background, music and entrances as soon as the block closes mid-stream */
+    parseWhileStreaming: true,
+
     /** Hide vn-scene JSON blocks from displayed messages */
     stripSceneJson: true,
 };
@@ -0,0 +1,804 @@
+/**
+ * ============================================================================
+ * COTTON-TALES DIALOGUE BOX
+ * ============================================================================
+ * The ADV dialogue box: shows messages a line (page) at a time under a
+ * name plate and types them out with the typewriter
+ * (settings.typewriterEnabled / typewriterSpeed). The chat log is hidden
+ * behind it and can be opened from the box.
+ *
+ * Messages are split into per-speaker lines by the dialogue segmenter, so
+ * the name plate follows whoever is talking; narration has no name plate.
+ * Each line carries its speaker's expression and the Director's `beats`
+ * for that line (expression or effect changes inside one reply), which
+ * the stage applies as the line is reached.
+ *
+ * New replies are typed as they stream in; older messages (chat load,
+ * swipes) appear at once. Clicking the box or pressing Space/Enter
+ * finishes the current page, then turns to the next. Reduced motion turns
+ * typing off.
+ *
+ * Dispatches ct:dialogue:page when a page opens and ct:dialogue:complete
+ * when it has finished typing (used by Auto/Skip, reading-modes.js), and
+ * ct:dialogue:line with the line's speaker, expression and beats (used by
+ * the stage and the per-line classifier).
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { eventSource, event_types, messageFormatting } from '../../../../../script.js';
+import { power_user } from '../../../../power-user.js';
+import { getSettings } from './settings-manager.js';
+import { hasSceneData, stripSceneJson, stripStreamingSceneJson } from './linter/index.js';
+import { getMessageScene } from './director-runtime.js';
+import { createTypewriter } from './typewriter.js';
+import { segmentDialogue } from './dialogue-segmenter.js';
+import { getMessageSnapshot, findLatestSnapshot } from './scene-snapshots.js';
+import { DIALOGUE_POSITION, DIALOGUE_LINE_KIND, DEFAULT_DIALOGUE_OPACITY, DEFAULT_TYPEWRITER_SPEED } from './constants.js';
+
+const MODULE_NAME = 'CT-DialogueBox';
+
+/** Keys that finish the current page or turn to the next */
+const ADVANCE_KEYS = ['Space', 'Enter'];
+
+/** Body class while the dialogue box replaces the chat log */
+const DIALOGUE_ACTIVE_CLASS = 'ct-dialogue-active';
+
+/** Body class while the chat log is opened over the box */
+const LOG_OPEN_CLASS = 'ct-dialogue-log-open';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Whether the box is shown (ADV layout) */
+let boxActive = false;
+
+/** @type {import('./typewriter.js').Typewriter|null} */
+let typewriter = null;
+
+/**
+ * A page in the box
+ * @typedef {Object} DialoguePosition
+ * @property {number} messageId - Index in chat
+ * @property {number} page - Line within the message
+ */
+
+/**
+ * A line shown in the box
+ * @typedef {import('./dialogue-segmenter.js').DialogueLine & { expression: string|null, beats: Object[] }} BoxLine
+ */
+
+/** @type {DialoguePosition|null} Page on screen */
+let position = null;
+
+/** Messages up to this index have been read */
+let readThrough = -1;
+
+/** Message being streamed into the box */
+let streamingMessageId = null;
+
+/** Text streamed so far */
+let streamingText = '';
+
+/** Whether a reply is being generated (so its message gets typed) */
+let awaitingReply = false;
+
+/** @type {{ messageId: number, text: string, snapshot: Object|null, previous: Object|null, lines: BoxLine[] }|null} Last segmented message */
+let lineCache = null;
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    generationStarted: null,
+    generationEnded: null,
+    streamToken: null,
+    characterRendered: null,
+    messageUpdated: null,
+    chatUpdated: null,
+    chatChanged: null,
+    lateScene: null,
+    keydown: null,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Whether text should be typed rather than shown at once
+ * @returns {boolean}
+ */
+function shouldAnimate() {
+    return !!getSettings().typewriterEnabled && !power_user.reduced_motion;
+}
+
+/**
+ * Get a message's narrative without scene data
+ * @param {Object} message - Chat message
+ * @param {string} [text] - Text to use instead of message.mes (streaming)
+ * @param {boolean} [streaming=false] - Text is still arriving (hide an unfinished block)
+ * @returns {string}
+ */
+function getNarrative(message, text = message.mes, streaming = false) {
+    const raw = String(text || '');
+    if (message.is_user) return raw;
+    if (streaming) return stripStreamingSceneJson(raw);
+    return hasSceneData(raw) ? stripSceneJson(raw) : raw;
+}
+
+/**
+ * Find the latest message worth showing
+ * @returns {number|null} Message index
+ */
+function getLatestMessageId() {
+    const chat = getContext().chat || [];
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (!chat[i].is_system) return i;
+    }
+    return null;
+}
+
+/**
+ * Check whether a key event came from a text field
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isTypingTarget(event) {
+    const target = /** @type {HTMLElement} */ (event.target);
+    return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Get (or create) the dialogue box
+ * Lives in #sheld just above the send form.
+ * @returns {HTMLElement|null}
+ */
+function getBox() {
+    let box = document.getElementById('ct-dialogue-box');
+    if (box) return box;
+
+    const sheld = document.getElementById('sheld');
+    if (!sheld) return null;
+
+    box = document.createElement('div');
+    box.id = 'ct-dialogue-box';
+    box.innerHTML = `
+        <div class="ct-dialogue-nameplate"></div>
+        <button class="ct-dialogue-log" title="Show chat log" aria-label="Show chat log">
+            <i class="fa-solid fa-scroll"></i>
+        </button>
+        <div class="ct-dialogue-text" aria-live="polite"></div>
+        <div class="ct-dialogue-indicator" aria-hidden="true">
+            <i class="fa-solid fa-caret-down"></i>
+        </div>
+    `;
+
+    box.addEventListener('click', (e) => {
+        if (e.target.closest('.ct-dialogue-log')) {
+            document.body.classList.toggle(LOG_OPEN_CLASS);
+            return;
+        }
+        if (e.target.closest('a') || window.getSelection()?.toString()) return;
+        advanceDialogue();
+    });
+
+    const form = document.getElementById('form_sheld');
+    form ? sheld.insertBefore(box, form) : sheld.appendChild(box);
+
+    typewriter = createTypewriter(box.querySelector('.ct-dialogue-text'), {
+        getSpeed: () => getSettings().typewriterSpeed || DEFAULT_TYPEWRITER_SPEED,
+        onComplete: () => handlePageComplete(),
+    });
+
+    applyDialogueStyle();
+    return box;
+}
+
+/**
+ * Apply position and opacity from settings
+ */
+export function applyDialogueStyle() {
+    const box = document.getElementById('ct-dialogue-box');
+    if (!box) return;
+
+    const settings = getSettings();
+    const position = Object.values(DIALOGUE_POSITION).includes(settings.dialoguePosition)
+        ? settings.dialoguePosition
+        : DIALOGUE_POSITION.BOTTOM;
+
+    box.dataset.position = position;
+    setDialogueOpacity(settings.dialogueOpacity ?? DEFAULT_DIALOGUE_OPACITY);
+}
+
+/**
+ * Set the box background opacity (live preview from the settings slider)
+ * @param {number} percent - Opacity (0-100)
+ */
+export function setDialogueOpacity(percent) {
+    document.getElementById('ct-dialogue-box')?.style.setProperty('--ct-dialogue-opacity', String(percent / 100));
+}
+
+// =============================================================================
+// PAGES
+// =============================================================================
+
+/**
+ * Read the Director's per-line directions from a message
+ * @param {Object} message - Chat message
+ * @returns {{ hints: string[], beats: Object[] }} Speaking characters and expression beats
+ */
+function getSceneDirections(message) {
+    const scene = getMessageScene(message);
+    return {
+        hints: (scene?.characters || []).filter(c => c.action === 'speaks' && c.name).map(c => c.name),
+        beats: scene?.beats || [],
+    };
+}
+
+/**
+ * Attach each beat to the line it happens on
+ * A beat names a paragraph; within it, the beat character's own line is
+ * preferred. Beats past the end land on the last line.
+ * @param {BoxLine[]} lines - Lines of the message
+ * @param {Object[]} beats - { line, character, expression, effect }
+ */
+function placeBeats(lines, beats) {
+    for (const beat of beats) {
+        const character = beat.character.toLowerCase();
+        const inParagraph = lines.filter(line => line.paragraph === beat.line);
+        const target = inParagraph.find(line => line.speaker?.toLowerCase() === character)
+            || inParagraph[0]
+            || (beat.line > lines[lines.length - 1].paragraph ? lines[lines.length - 1] : null);
+
+        target?.beats.push(beat);
+    }
+}
+
+/**
+ * Split a message into lines (one per speaker turn or paragraph)
+ * The scene's characters[].expression is where each character ends up, so a
+ * line's expression is its speaker's latest beat. Before their first beat a
+ * character still wears the mood they came in with (the previous scene);
+ * characters without beats, or new to the scene, show the end mood.
+ * @param {Object} message - Chat message
+ * @param {Object} options
+ * @param {string} options.text - Message text (the partial reply while streaming)
+ * @param {boolean} options.streaming - Whether the message is still being written
+ * @param {Object|null} options.snapshot - The message's scene snapshot
+ * @param {Object|null} options.previous - The scene snapshot before the message
+ * @returns {BoxLine[]} Lines (at least one)
+ */
+function splitMessage(message, { text, streaming, snapshot, previous }) {
+    const context = getContext();
+    const staged = snapshot?.characters || [];
+    // The scene block arrives last, so there is nothing to read mid-stream
+    const { hints, beats } = streaming ? { hints: [], beats: [] } : getSceneDirections(message);
+
+    const segments = segmentDialogue(getNarrative(message, text, streaming), {
+        speakers: [...staged.map(c => c.name), message.name, context.name1, context.name2],
+        hints,
+        defaultSpeaker: message.name,
+    });
+
+    /** @type {BoxLine[]} */
+    const lines = segments.length > 0
+        ? segments.map(line => ({ ...line, expression: null, beats: [] }))
+        : [{ speaker: message.name || null, text: '', kind: DIALOGUE_LINE_KIND.DIALOGUE, paragraph: 0, expression: null, beats: [] }];
+
+    placeBeats(lines, beats);
+
+    const final = new Map(staged.map(c => [c.name.toLowerCase(), c.expression || null]));
+    const current = new Map();
+    const changing = new Set(beats.filter(b => b.expression).map(b => b.character.toLowerCase()));
+    for (const character of previous?.characters || []) {
+        const name = character.name.toLowerCase();
+        if (changing.has(name) && character.expression) current.set(name, character.expression);
+    }
+    for (const line of lines) {
+        for (const beat of line.beats) {
+            if (beat.expression) current.set(beat.character.toLowerCase(), beat.expression);
+        }
+        const speaker = line.speaker?.toLowerCase();
+        line.expression = current.get(speaker) ?? final.get(speaker) ?? null;
+    }
+
+    return lines;
+}
+
+/**
+ * Get a message's lines, reusing the last split while nothing changed
+ * @param {number} messageId - Index in chat
+ * @returns {BoxLine[]} Lines (at least one)
+ */
+function getMessageLines(messageId) {
+    const message = getContext().chat?.[messageId];
+    if (!message) return [{ speaker: null, text: '', kind: DIALOGUE_LINE_KIND.NARRATION, paragraph: 0, expression: null, beats: [] }];
+
+    const streaming = messageId === streamingMessageId;
+    const text = streaming ? streamingText : message.mes;
+    const snapshot = getMessageSnapshot(message) || null;
+    const previous = findLatestSnapshot(messageId - 1)?.snapshot || null;
+    if (lineCache?.messageId === messageId && lineCache.text === text
+        && lineCache.snapshot === snapshot && lineCache.previous === previous) {
+        return lineCache.lines;
+    }
+
+    const lines = splitMessage(message, { text, streaming, snapshot, previous });
+    lineCache = { messageId, text, snapshot, previous, lines };
+    return lines;
+}
+
+/**
+ * Find the page after the current one
+ * @returns {DialoguePosition|null}
+ */
+function getNextPosition() {
+    if (!position) return null;
+
+    if (position.page + 1 < getMessageLines(position.messageId).length) {
+        return { messageId: position.messageId, page: position.page + 1 };
+    }
+
+    const chat = getContext().chat || [];
+    for (let i = position.messageId + 1; i < chat.length; i++) {
+        if (!chat[i].is_system) return { messageId: i, page: 0 };
+    }
+    return null;
+}
+
+/**
+ * Whether a page has been read before
+ * @param {DialoguePosition|null} target - Page to check
+ * @returns {boolean}
+ */
+function isRead(target) {
+    return !!target && target.messageId <= readThrough;
+}
+
+/**
+ * Draw the current page
+ * @param {Object} [options]
+ * @param {boolean} [options.animate=false] - Type the text
+ * @param {boolean} [options.keepProgress=false] - Same page with new text: keep what's typed
+ */
+function renderPage({ animate = false, keepProgress = false } = {}) {
+    const box = getBox();
+    if (!box || !typewriter) return;
+
+    const message = position ? getContext().chat?.[position.messageId] : null;
+    if (!message) {
+        position = null;
+        box.classList.add('ct-dialogue-empty');
+        typewriter.setContent('', { animate: false });
+        return;
+    }
+
+    const lines = getMessageLines(position.messageId);
+    position.page = Math.min(position.page, lines.length - 1);
+    const lastPage = position.page === lines.length - 1;
+    const line = lines[position.page];
+
+    box.querySelector('.ct-dialogue-nameplate').textContent = line.speaker || '';
+    box.classList.toggle('ct-dialogue-user', !!message.is_user);
+    box.classList.toggle('ct-dialogue-narration', line.kind === DIALOGUE_LINE_KIND.NARRATION);
+    box.classList.toggle('ct-dialogue-thought', line.kind === DIALOGUE_LINE_KIND.THOUGHT);
+    box.classList.remove('ct-dialogue-empty', 'ct-dialogue-done');
+
+    if (!keepProgress) {
+        document.dispatchEvent(new CustomEvent('ct:dialogue:page', {
+            detail: {
+                ...position,
+                read: isRead(position),
+                speaker: line.speaker,
+                kind: line.kind,
+            },
+        }));
+        announceLine(line);
+    }
+
+    const html = messageFormatting(line.text, message.name, message.is_system, message.is_user, position.messageId);
+    typewriter.setContent(html, {
+        animate: animate && shouldAnimate(),
+        keepProgress,
+        streaming: lastPage && position.messageId === streamingMessageId,
+    });
+}
+
+/**
+ * Tell the stage and classifier what the current line holds
+ * Sent when a line opens, and again when a streamed line settles (its
+ * scene data only exists once the reply is complete).
+ * @param {BoxLine} line - Line on screen
+ */
+function announceLine(line) {
+    document.dispatchEvent(new CustomEvent('ct:dialogue:line', {
+        detail: {
+            ...position,
+            speaker: line.speaker,
+            kind: line.kind,
+            text: line.text,
+            expression: line.expression,
+            beats: line.beats,
+            streaming: position.messageId === streamingMessageId,
+        },
+    }));
+}
+
+/**
+ * Typing finished: mark the message read once its last page is done
+ */
+function handlePageComplete() {
+    if (!position) return;
+
+    const lines = getMessageLines(position.messageId);
+    if (position.page >= lines.length - 1 && position.messageId !== streamingMessageId) {
+        readThrough = Math.max(readThrough, position.messageId);
+    }
+
+    const next = getNextPosition();
+    document.getElementById('ct-dialogue-box')?.classList.add('ct-dialogue-done');
+    document.dispatchEvent(new CustomEvent('ct:dialogue:complete', {
+        detail: {
+            ...position,
+            text: lines[position.page]?.text || '',
+            hasNext: !!next,
+            nextRead: isRead(next),
+        },
+    }));
+}
+
+/**
+ * Jump to a message
+ * @param {number|null} messageId - Index in chat (null clears the box)
+ * @param {Object} [options]
+ * @param {boolean} [options.animate=false] - Type the text
+ * @param {boolean} [options.lastPage=false] - Open on the message's last page
+ * @param {number} [options.page=0] - Page to open on otherwise
+ */
+function showMessage(messageId, { animate = false, lastPage = false, page = 0 } = {}) {
+    position = messageId === null ? null : {
+        messageId,
+        page: lastPage ? getMessageLines(messageId).length - 1 : page,
+    };
+    renderPage({ animate });
+}
+
+/**
+ * Show the end of the latest message without typing
+ * Everything up to it counts as read.
+ */
+function showLatest() {
+    if (!boxActive || streamingMessageId !== null) return;
+
+    const latest = getLatestMessageId();
+    if (latest !== null) {
+        readThrough = Math.max(readThrough, latest);
+    }
+    showMessage(latest, { lastPage: true });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Finish typing the current text
+ * @returns {boolean} Whether there was anything left to type
+ */
+export function skipTypewriter() {
+    if (!typewriter?.isTyping()) return false;
+    typewriter.skip();
+    return true;
+}
+
+/**
+ * Whether the box is still typing
+ * @returns {boolean}
+ */
+export function isTypewriterTyping() {
+    return !!typewriter?.isTyping();
+}
+
+/**
+ * Whether the dialogue box is showing
+ * @returns {boolean}
+ */
+export function isDialogueActive() {
+    return boxActive;
+}
+
+/**
+ * Reading state of the current page (for Auto/Skip)
+ * @returns {{ typing: boolean, text: string, hasNext: boolean, nextRead: boolean }|null}
+ */
+export function getDialogueState() {
+    if (!boxActive || !position) return null;
+
+    const next = getNextPosition();
+    return {
+        typing: isTypewriterTyping(),
+        text: getMessageLines(position.messageId)[position.page]?.text || '',
+        hasNext: !!next,
+        nextRead: isRead(next),
+    };
+}
+
+/**
+ * Open the box on a message (backlog jump)
+ * Reading on from there turns through the following messages.
+ * @param {number} messageId - Index in chat
+ * @param {number} [page=0] - Line of the message to open on
+ * @returns {boolean} Whether the box could show it
+ */
+export function showDialogueMessage(messageId, page = 0) {
+    if (!boxActive || streamingMessageId !== null || !getContext().chat?.[messageId]) return false;
+
+    document.body.classList.remove(LOG_OPEN_CLASS);
+    showMessage(messageId, { page });
+    return true;
+}
+
+/**
+ * Split a finished message into the lines the box shows for it
+ * Used by the backlog, so its entries match what was on screen.
+ * @param {number} messageId - Index in chat
+ * @returns {BoxLine[]} Lines (empty if there's no such message)
+ */
+export function getDialogueLines(messageId) {
+    const message = getContext().chat?.[messageId];
+    if (!message) return [];
+
+    return splitMessage(message, {
+        text: message.mes,
+        streaming: false,
+        snapshot: getMessageSnapshot(message) || null,
+        previous: findLatestSnapshot(messageId - 1)?.snapshot || null,
+    });
+}
+
+/**
+ * Finish the current page, or move on to the next one
+ * @returns {boolean} Whether anything happened
+ */
+export function advanceDialogue() {
+    if (!boxActive) return false;
+    if (skipTypewriter()) return true;
+
+    const next = getNextPosition();
+    if (!next) return false;
+
+    position = next;
+    renderPage({ animate: true });
+    return true;
+}
+
+/**
+ * Show the dialogue box (ADV layout)
+ */
+export function showDialogueBox() {
+    if (boxActive) return;
+
+    boxActive = true;
+    document.body.classList.add(DIALOGUE_ACTIVE_CLASS);
+    showLatest();
+}
+
+/**
+ * Remove the dialogue box and give the chat log back
+ */
+export function hideDialogueBox() {
+    boxActive = false;
+    position = null;
+    lineCache = null;
+    streamingMessageId = null;
+    streamingText = '';
+    typewriter?.destroy();
+    typewriter = null;
+
+    document.body.classList.remove(DIALOGUE_ACTIVE_CLASS, LOG_OPEN_CLASS);
+    document.getElementById('ct-dialogue-box')?.remove();
+}
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+
+/**
+ * Type streamed text as it arrives
+ * @param {string} text - Full text received so far
+ */
+function handleStreamToken(text) {
+    if (!boxActive || !awaitingReply) return;
+
+    const chat = getContext().chat || [];
+    const messageId = chat.length - 1;
+    const message = chat[messageId];
+    if (!message || message.is_user || message.is_system) return;
+
+    streamingText = String(text || '');
+
+    if (streamingMessageId !== messageId) {
+        streamingMessageId = messageId;
+        readThrough = Math.min(readThrough, messageId - 1);
+        position = { messageId, page: 0 };
+        renderPage({ animate: true });
+    } else if (position?.messageId === messageId) {
+        renderPage({ animate: true, keepProgress: true });
+    }
+}
+
+/**
+ * Stop following a stream and settle on the saved text
+ */
+function endStream() {
+    const messageId = streamingMessageId;
+    streamingMessageId = null;
+    streamingText = '';
+
+    if (position?.messageId === messageId) {
+        renderPage({ animate: true, keepProgress: true });
+
+        const line = getMessageLines(messageId)[position.page];
+        if (line) announceLine(line);
+    }
+}
+
+/**
+ * Show a finished reply, typing it if it was just generated
+ * @param {number} messageId - Rendered message index
+ */
+function handleCharacterRendered(messageId) {
+    if (!boxActive) return;
+
+    const id = Number(messageId);
+    if (id === streamingMessageId) {
+        // Swap in the final text (scene data removed) without restarting
+        endStream();
+        return;
+    }
+
+    if (id !== getLatestMessageId()) return;
+    if (awaitingReply) {
+        // New text (or a new swipe) is unread
+        readThrough = Math.min(readThrough, id - 1);
+    }
+    showMessage(id, { animate: awaitingReply });
+}
+
+/**
+ * Redraw the current page if its message was edited
+ * @param {number} messageId - Updated message index
+ */
+function handleMessageUpdated(messageId) {
+    if (!boxActive || streamingMessageId !== null) return;
+    if (Number(messageId) === position?.messageId) {
+        renderPage({ animate: true, keepProgress: true });
+    }
+}
+
+/**
+ * Re-read the current page's speakers and beats once its scene arrives
+ * (scene tool, Director pass or repair - after the message itself)
+ * @param {number} messageId - Message whose scene arrived
+ */
+function handleLateScene(messageId) {
+    lineCache = null;
+    if (!boxActive || streamingMessageId !== null || messageId !== position?.messageId) return;
+
+    renderPage({ keepProgress: true });
+    announceLine(getMessageLines(position.messageId)[position.page]);
+}
+
+/**
+ * Initialize the dialogue box
+ * Call this from main index.js
+ */
+export function initDialogueBox() {
+    eventHandlers.generationStarted = (type, _params, dryRun) => {
+        if (dryRun || type === 'quiet') return;
+        awaitingReply = true;
+    };
+
+    eventHandlers.generationEnded = () => {
+        awaitingReply = false;
+        if (streamingMessageId !== null) {
+            endStream();
+        }
+    };
+
+    eventHandlers.streamToken = (text) => handleStreamToken(text);
+    eventHandlers.characterRendered = (messageId) => handleCharacterRendered(messageId);
+    eventHandlers.messageUpdated = (messageId) => handleMessageUpdated(messageId);
+    eventHandlers.chatUpdated = () => showLatest();
+    eventHandlers.chatChanged = () => {
+        readThrough = -1;
+        lineCache = null;
+        showLatest();
+    };
+
+    eventHandlers.lateScene = (event) => handleLateScene(event.detail?.messageId);
+
+    eventHandlers.keydown = (event) => {
+        if (!boxActive || isTypingTarget(event) || event.ctrlKey || event.altKey || event.metaKey) return;
+        if (document.querySelector('.ct-choice-panel.ct-visible, #ct-backlog')) return;
+        if (!ADVANCE_KEYS.includes(event.code)) return;
+
+        if (advanceDialogue()) {
+            event.preventDefault();
+        }
+    };
+
+    eventSource.on(event_types.GENERATION_STARTED, eventHandlers.generationStarted);
+    eventSource.on(event_types.GENERATION_ENDED, eventHandlers.generationEnded);
+    eventSource.on(event_types.GENERATION_STOPPED, eventHandlers.generationEnded);
+    eventSource.on(event_types.STREAM_TOKEN_RECEIVED, eventHandlers.streamToken);
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, eventHandlers.characterRendered);
+    eventSource.on(event_types.USER_MESSAGE_RENDERED, eventHandlers.chatUpdated);
+    eventSource.on(event_types.MESSAGE_UPDATED, eventHandlers.messageUpdated);
+    eventSource.on(event_types.MESSAGE_SWIPED, eventHandlers.chatUpdated);
+    eventSource.on(event_types.MESSAGE_DELETED, eventHandlers.chatUpdated);
+    eventSource.on(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    document.addEventListener('ct:director:scene', eventHandlers.lateScene);
+    document.addEventListener('keydown', eventHandlers.keydown);
+
+    console.log(`[${MODULE_NAME}] Dialogue box initialized`);
+}
+
+/**
+ * Cleanup dialogue box listeners and DOM
+ */
+export function destroyDialogueBox() {
+    if (eventHandlers.generationStarted) {
+        eventSource.removeListener(event_types.GENERATION_STARTED, eventHandlers.generationStarted);
+    }
+    if (eventHandlers.generationEnded) {
+        eventSource.removeListener(event_types.GENERATION_ENDED, eventHandlers.generationEnded);
+        eventSource.removeListener(event_types.GENERATION_STOPPED, eventHandlers.generationEnded);
+    }
+    if (eventHandlers.streamToken) {
+        eventSource.removeListener(event_types.STREAM_TOKEN_RECEIVED, eventHandlers.streamToken);
+    }
+    if (eventHandlers.characterRendered) {
+        eventSource.removeListener(event_types.CHARACTER_MESSAGE_RENDERED, eventHandlers.characterRendered);
+    }
+    if (eventHandlers.messageUpdated) {
+        eventSource.removeListener(event_types.MESSAGE_UPDATED, eventHandlers.messageUpdated);
+    }
+    if (eventHandlers.chatUpdated) {
+        eventSource.removeListener(event_types.USER_MESSAGE_RENDERED, eventHandlers.chatUpdated);
+        eventSource.removeListener(event_types.MESSAGE_SWIPED, eventHandlers.chatUpdated);
+        eventSource.removeListener(event_types.MESSAGE_DELETED, eventHandlers.chatUpdated);
+    }
+    if (eventHandlers.chatChanged) {
+        eventSource.removeListener(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    }
+    if (eventHandlers.lateScene) {
+        document.removeEventListener('ct:director:scene', eventHandlers.lateScene);
+    }
+    if (eventHandlers.keydown) {
+        document.removeEventListener('keydown', eventHandlers.keydown);
+    }
+
+    eventHandlers = {
+        generationStarted: null,
+        generationEnded: null,
+        streamToken: null,
+        characterRendered: null,
+        messageUpdated: null,
+        chatUpdated: null,
+        chatChanged: null,
+        lateScene: null,
+        keydown: null,
+    };
+
+    awaitingReply = false;
+    hideDialogueBox();
+}
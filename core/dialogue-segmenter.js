@@ -0,0 +1,386 @@
+/**
+ * ============================================================================
+ * COTTON-TALES DIALOGUE SEGMENTER
+ * ============================================================================
+ * Splits narrative into an ordered list of lines, each with a speaker and
+ * a kind:
+ * - dialogue: quoted speech, or a `Name: line` script line
+ * - thought: speech attributed with "thought" / "wondered", or a
+ *   paragraph in parentheses
+ * - narration: everything else (no speaker)
+ *
+ * A paragraph is one line unless more than one character speaks in it;
+ * then it is split where the speaker changes. Action beats between quotes
+ * stay with the speech they belong to, so formatting is never cut apart
+ * mid-sentence.
+ *
+ * Speakers are found, in order, from a `Name:` prefix, a known name next
+ * to the quote ("..." Luna said / Luna frowned. "..."), the previous
+ * speaker in the paragraph, the Director's `speaks` hints and finally the
+ * message's author.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { DIALOGUE_LINE_KIND } from './constants.js';
+
+/** Quoted speech: straight, curly, CJK and guillemet quotes */
+const QUOTE_PATTERN = /"[^"\n]*"|“[^”\n]*”|「[^」\n]*」|『[^』\n]*』|«[^»\n]*»/g;
+
+/** `Name: text` script lines (optionally bold) */
+const SCRIPT_LINE_PATTERN = /^\s*(?:\*\*)?([^\s:*"“「(][^:\n"“「]{0,40}?)(?:\*\*)?\s*:\s+(\S.*)$/;
+
+/** Attribution verbs that make speech a thought */
+const THOUGHT_PATTERN = /\b(?:thought|thinks|thinking|wondered|wonders|mused|muses|pondered|ponders)\b/i;
+
+/** A whole paragraph in parentheses (optionally italic) */
+const PARENTHESIZED_PATTERN = /^[*_]*\([\s\S]*\)[*_]*$/;
+
+/** Sentence boundary inside narration */
+const SENTENCE_BREAK = /(?<=[.!?…])\s+/;
+
+/** Sentences, with their trailing whitespace */
+const SENTENCE_PATTERN = /[^.!?…]*(?:[.!?…]+["'”’)]*\s*|$)/g;
+
+/** How much narration next to a quote is searched for its speaker (chars) */
+const ATTRIBUTION_WINDOW = 80;
+
+/**
+ * A line of dialogue or narration
+ * @typedef {Object} DialogueLine
+ * @property {string|null} speaker - Who says or thinks it (null for narration)
+ * @property {string} text - Raw text of the line (markdown kept)
+ * @property {string} kind - DIALOGUE_LINE_KIND value
+ * @property {number} paragraph - Index of the paragraph the line came from
+ */
+
+/**
+ * A way of writing a speaker's name
+ * @typedef {Object} NameMatcher
+ * @property {string} name - Full speaker name
+ * @property {string} variant - Lowercase form matched (full or first name)
+ * @property {RegExp} pattern - Word-boundary matcher for the variant
+ */
+
+/**
+ * A piece of a paragraph
+ * @typedef {Object} Run
+ * @property {'quote'|'narration'} type
+ * @property {string} text
+ * @property {string|null} [speaker] - Attributed speaker (quotes)
+ * @property {string} [kind] - DIALOGUE_LINE_KIND value (quotes)
+ */
+
+// =============================================================================
+// NAME MATCHING
+// =============================================================================
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build matchers for the names that may speak
+ * Multi-word names also match by their first word ("Luna" for "Luna Starfall").
+ * @param {string[]} names - Candidate speakers
+ * @returns {NameMatcher[]}
+ */
+function buildNameMatchers(names) {
+    const matchers = [];
+    const seen = new Set();
+
+    for (const name of names) {
+        const full = String(name || '').trim();
+        if (!full) continue;
+
+        const variants = [full];
+        const first = full.split(/\s+/)[0];
+        if (first !== full && first.length >= 3) variants.push(first);
+
+        for (const variant of variants) {
+            const key = variant.toLowerCase();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            matchers.push({
+                name: full,
+                variant: key,
+                pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(variant)}(?![\\p{L}\\p{N}])`, 'iu'),
+            });
+        }
+    }
+
+    return matchers;
+}
+
+/**
+ * Find the earliest known name in a piece of text
+ * @param {string} text - Text to search
+ * @param {NameMatcher[]} matchers - Name matchers
+ * @returns {string|null} Speaker name
+ */
+function findFirstName(text, matchers) {
+    let best = null;
+    let bestIndex = Infinity;
+
+    for (const { name, pattern } of matchers) {
+        const match = pattern.exec(text);
+        if (match && match.index < bestIndex) {
+            best = name;
+            bestIndex = match.index;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find a known name, tolerating case and first-name-only
+ * @param {string} candidate - Name as written
+ * @param {NameMatcher[]} matchers - Name matchers
+ * @returns {string|null} Speaker name
+ */
+function resolveName(candidate, matchers) {
+    const target = candidate.trim().toLowerCase();
+    return matchers.find(matcher => matcher.variant === target)?.name || null;
+}
+
+// =============================================================================
+// ATTRIBUTION
+// =============================================================================
+
+/**
+ * Narration right after a quote: who is speaking in its first sentence
+ * ("..." Luna said.)
+ * @param {string} text - Narration after the quote
+ * @param {NameMatcher[]} matchers - Name matchers
+ * @returns {string|null}
+ */
+function getNameAfter(text, matchers) {
+    const window = text.slice(0, ATTRIBUTION_WINDOW);
+    const sentence = window.split(SENTENCE_BREAK)[0];
+    return findFirstName(sentence, matchers);
+}
+
+/**
+ * Narration right before a quote: the subject of its last sentence
+ * (Luna looked at Mark. "...")
+ * @param {string} text - Narration before the quote
+ * @param {NameMatcher[]} matchers - Name matchers
+ * @returns {string|null}
+ */
+function getNameBefore(text, matchers) {
+    const sentences = text.slice(-ATTRIBUTION_WINDOW).split(SENTENCE_BREAK).filter(s => s.trim());
+    const last = sentences[sentences.length - 1] || '';
+    return findFirstName(last, matchers);
+}
+
+/**
+ * Whether a quote is attributed as a thought
+ * @param {Run|undefined} before - Narration before
+ * @param {Run|undefined} after - Narration after
+ * @returns {boolean}
+ */
+function isThought(before, after) {
+    const afterText = after?.text.slice(0, ATTRIBUTION_WINDOW).split(SENTENCE_BREAK)[0] || '';
+    const beforeText = before?.text.slice(-ATTRIBUTION_WINDOW) || '';
+    return THOUGHT_PATTERN.test(afterText) || /\b(?:thought|wondered)\s*[,:]?\s*$/i.test(beforeText);
+}
+
+// =============================================================================
+// SEGMENTATION
+// =============================================================================
+
+/**
+ * Split a paragraph into quote and narration runs
+ * @param {string} paragraph
+ * @returns {Run[]}
+ */
+function splitRuns(paragraph) {
+    /** @type {Run[]} */
+    const runs = [];
+    let last = 0;
+
+    for (const match of paragraph.matchAll(QUOTE_PATTERN)) {
+        if (match.index > last) {
+            runs.push({ type: 'narration', text: paragraph.slice(last, match.index) });
+        }
+        runs.push({ type: 'quote', text: match[0] });
+        last = match.index + match[0].length;
+    }
+    if (last < paragraph.length) {
+        runs.push({ type: 'narration', text: paragraph.slice(last) });
+    }
+
+    return runs;
+}
+
+/**
+ * Split the narration between two speakers' quotes
+ * Sentences from the first one naming the next speaker onwards belong to
+ * them ("Luna said, crossing her arms. | Mark shrugged."). The beat run is
+ * shortened in place.
+ * @param {Run} beat - Narration after the previous speaker's quote
+ * @param {string|null} previous - Previous speaker
+ * @param {string|null} next - Next speaker
+ * @param {NameMatcher[]} matchers - Name matchers
+ * @returns {Run|null} Narration for the next speaker, if any
+ */
+function splitBeat(beat, previous, next, matchers) {
+    const sentences = beat.text.match(SENTENCE_PATTERN) || [];
+
+    const index = sentences.findIndex((sentence, i) => {
+        const name = findFirstName(sentence, matchers);
+        // The first sentence usually attributes the previous quote
+        return name === next && (i > 0 || name !== previous);
+    });
+    if (index === -1) return null;
+
+    beat.text = sentences.slice(0, index).join('');
+    return { type: 'narration', text: sentences.slice(index).join('') };
+}
+
+/**
+ * Segment one prose paragraph
+ * @param {string} paragraph - Paragraph text
+ * @param {NameMatcher[]} matchers - Name matchers
+ * @param {string|null} fallback - Speaker for unattributed speech
+ * @returns {DialogueLine[]}
+ */
+function segmentParagraph(paragraph, matchers, fallback) {
+    if (PARENTHESIZED_PATTERN.test(paragraph)) {
+        return [{ speaker: fallback, text: paragraph, kind: DIALOGUE_LINE_KIND.THOUGHT }];
+    }
+
+    const runs = splitRuns(paragraph);
+    if (!runs.some(run => run.type === 'quote')) {
+        return [{ speaker: null, text: paragraph, kind: DIALOGUE_LINE_KIND.NARRATION }];
+    }
+
+    // Attribute each quote
+    let previous = null;
+    runs.forEach((run, i) => {
+        if (run.type !== 'quote') return;
+
+        const before = runs[i - 1]?.type === 'narration' ? runs[i - 1] : undefined;
+        const after = runs[i + 1]?.type === 'narration' ? runs[i + 1] : undefined;
+
+        run.speaker = (after && getNameAfter(after.text, matchers))
+            || (before && getNameBefore(before.text, matchers))
+            || previous
+            || fallback;
+        run.kind = isThought(before, after) ? DIALOGUE_LINE_KIND.THOUGHT : DIALOGUE_LINE_KIND.DIALOGUE;
+        previous = run.speaker;
+    });
+
+    // Group runs by speaker; narration stays with the speech around it
+    /** @type {{ speaker: string|null, kind: string, runs: Run[] }[]} */
+    const groups = [];
+    /** @type {Run[]} */
+    let pending = [];
+
+    for (const run of runs) {
+        const current = groups[groups.length - 1];
+
+        if (run.type === 'narration') {
+            current ? current.runs.push(run) : pending.push(run);
+            continue;
+        }
+
+        if (current && current.speaker === run.speaker && current.kind === run.kind) {
+            current.runs.push(run);
+            continue;
+        }
+
+        const group = { speaker: run.speaker, kind: run.kind, runs: pending };
+        pending = [];
+
+        // A beat introducing the new speaker moves with them
+        const beat = current?.runs[current.runs.length - 1];
+        if (beat?.type === 'narration') {
+            const moved = splitBeat(beat, current.speaker, run.speaker, matchers);
+            if (moved) group.runs.push(moved);
+        }
+
+        group.runs.push(run);
+        groups.push(group);
+    }
+
+    return groups
+        .map(group => ({
+            speaker: group.speaker,
+            text: group.runs.map(run => run.text).join('').trim(),
+            kind: group.kind,
+        }))
+        .filter(line => line.text);
+}
+
+/**
+ * Parse `Name: line` script lines in a paragraph
+ * @param {string} paragraph - Paragraph text
+ * @param {NameMatcher[]} matchers - Name matchers
+ * @param {string|null} fallback - Speaker for unattributed speech
+ * @returns {DialogueLine[]|null} Lines, or null if the paragraph is prose
+ */
+function segmentScript(paragraph, matchers, fallback) {
+    const rows = paragraph.split('\n').map(row => {
+        const match = SCRIPT_LINE_PATTERN.exec(row);
+        if (!match) return { row };
+
+        const [, candidate, text] = match;
+        const speaker = resolveName(candidate, matchers) || (/^["“「]/.test(text) ? candidate.trim() : null);
+        return speaker ? { row, speaker, text: text.trim() } : { row };
+    });
+
+    if (!rows.some(r => r.speaker)) return null;
+
+    const lines = [];
+    for (const { row, speaker, text } of rows) {
+        if (speaker) {
+            lines.push({
+                speaker,
+                text,
+                kind: PARENTHESIZED_PATTERN.test(text) ? DIALOGUE_LINE_KIND.THOUGHT : DIALOGUE_LINE_KIND.DIALOGUE,
+            });
+        } else if (row.trim()) {
+            lines.push(...segmentParagraph(row.trim(), matchers, fallback));
+        }
+    }
+    return lines;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Split narrative into per-speaker lines
+ * @param {string} narrative - Narrative text (scene data already removed)
+ * @param {Object} [options]
+ * @param {string[]} [options.speakers=[]] - Names that may speak (stage, chat members, user)
+ * @param {string[]} [options.hints=[]] - Characters the Director marked as `speaks`
+ * @param {string|null} [options.defaultSpeaker=null] - Message author, for unattributed speech
+ * @returns {DialogueLine[]}
+ */
+export function segmentDialogue(narrative, { speakers = [], hints = [], defaultSpeaker = null } = {}) {
+    const text = String(narrative || '').trim();
+    if (!text) return [];
+
+    const matchers = buildNameMatchers([...hints, ...speakers, defaultSpeaker]);
+
+    // One speaking hint names the voice of unattributed speech
+    const fallback = hints.length === 1
+        ? hints[0]
+        : hints.find(h => h?.toLowerCase() === defaultSpeaker?.toLowerCase()) || hints[0] || defaultSpeaker;
+
+    const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    return paragraphs.flatMap((paragraph, index) => {
+        const lines = segmentScript(paragraph, matchers, fallback) || segmentParagraph(paragraph, matchers, fallback);
+        return lines.map(line => ({ ...line, paragraph: index }));
+    });
+}
@@ -0,0 +1,286 @@
+/**
+ * ============================================================================
+ * COTTON-TALES DIRECTOR PROMPT INJECTION
+ * ============================================================================
+ * Injects the resolved Director prompt into every generation.
+ *
+ * The prompt is re-resolved right before each generation so {{ct_*}}
+ * macros always reflect the current scene.
+ *
+ * Position mapping:
+ * - system_start    → BEFORE_PROMPT extension prompt (before story string / main prompt)
+ * - system_end      → IN_PROMPT extension prompt (after story string / main prompt)
+ * - after_scenario  → spliced in right after the character's scenario
+ * - before_examples → spliced in right before the example dialogue
+ *
+ * ST has no extension prompt slot for the last two, so they are placed by
+ * hand: GENERATE_BEFORE_COMBINE_PROMPTS hands over the scenario and example
+ * text, which GENERATE_AFTER_COMBINE_PROMPTS finds in the finished Text
+ * Completion prompt; for Chat Completion the prompt becomes its own system
+ * message in CHAT_COMPLETION_PROMPT_READY. Without a scenario the prompt
+ * goes before the examples, and without examples before the chat history.
+ *
+ * In structured output mode a note on the tool or JSON reply is appended.
+ * With the separate Director pass the main reply gets no Director prompt at
+ * all - the pass has its own (director-pass.js).
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import {
+    eventSource,
+    event_types,
+    extension_prompt_types,
+    extension_prompt_roles,
+    setExtensionPrompt,
+    substituteParams,
+} from '../../../../../script.js';
+import { oai_settings } from '../../../../openai.js';
+import { getSettings } from './settings-manager.js';
+import { getResolvedDirectorPrompt, getInjectionPosition, INJECTION_POSITIONS } from './director-prompts.js';
+import { getStructuredPromptNote } from './structured-output.js';
+import { isDirectorPassActive } from './director-pass.js';
+import { SKIPPED_GENERATION_TYPES } from './constants.js';
+
+const MODULE_NAME = 'CT-DirectorInjection';
+
+/** Extension prompt key used for the Director prompt */
+const PROMPT_KEY = 'COTTON_TALES_DIRECTOR';
+
+/**
+ * Registered ST event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    generationAfterCommands: null,
+    beforeCombinePrompts: null,
+    afterCombinePrompts: null,
+    chatCompletionPromptReady: null,
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Prompt waiting to be spliced in at an anchor (after_scenario / before_examples) */
+let anchoredPrompt = null;
+
+/** Anchor text from the prompt being built: { api, scenario, examples, chat } */
+let promptAnchors = null;
+
+// =============================================================================
+// POSITION MAPPING
+// =============================================================================
+
+/**
+ * Map a Cotton-Tales injection position to ST's extension prompt position
+ * @param {string} position - One of INJECTION_POSITIONS
+ * @returns {number|null} extension_prompt_types value, or null for positions placed by hand
+ */
+function toExtensionPromptPosition(position) {
+    switch (position) {
+        case INJECTION_POSITIONS.SYSTEM_START:
+            return extension_prompt_types.BEFORE_PROMPT;
+        case INJECTION_POSITIONS.AFTER_SCENARIO:
+        case INJECTION_POSITIONS.BEFORE_EXAMPLES:
+            return null;
+        case INJECTION_POSITIONS.SYSTEM_END:
+        default:
+            return extension_prompt_types.IN_PROMPT;
+    }
+}
+
+// =============================================================================
+// ANCHORED POSITIONS
+// =============================================================================
+
+/**
+ * Find where an anchored prompt goes in a Text Completion prompt
+ * @param {string} prompt - Combined prompt
+ * @param {{ scenario: string, examples: string, chat: string }} anchors - Anchor text
+ * @returns {{ index: number, after: boolean }|null} Offset, and whether it follows its anchor (null if none was found)
+ */
+function findTextAnchor(prompt, { scenario, examples, chat }) {
+    if (getInjectionPosition() === INJECTION_POSITIONS.AFTER_SCENARIO && scenario) {
+        const index = prompt.indexOf(scenario);
+        if (index !== -1) return { index: index + scenario.length, after: true };
+    }
+
+    for (const anchor of [examples, chat]) {
+        const index = anchor ? prompt.indexOf(anchor) : -1;
+        if (index !== -1) return { index, after: false };
+    }
+
+    return null;
+}
+
+/**
+ * Find where an anchored prompt goes in a Chat Completion prompt
+ * @param {Object[]} chat - Chat Completion messages
+ * @param {{ scenario: string }} anchors - Anchor text
+ * @returns {number} Message index to insert at
+ */
+function findChatAnchor(chat, { scenario }) {
+    if (getInjectionPosition() === INJECTION_POSITIONS.AFTER_SCENARIO && scenario) {
+        const index = chat.findIndex(m => m.role === 'system' && typeof m.content === 'string' && m.content.includes(scenario));
+        if (index !== -1) return index + 1;
+    }
+
+    const firstExample = chat.findIndex(m => m.name?.startsWith('example_'));
+    if (firstExample !== -1) {
+        // Keep the [Example Chat] separator with its examples
+        const separator = substituteParams(oai_settings.new_example_chat_prompt || '');
+        return separator && chat[firstExample - 1]?.content === separator ? firstExample - 1 : firstExample;
+    }
+
+    const history = chat.findIndex(m => m.role !== 'system');
+    return history !== -1 ? history : chat.length;
+}
+
+/**
+ * Remember the scenario and example text of the prompt being built
+ * @param {Object} data - GENERATE_BEFORE_COMBINE_PROMPTS data
+ */
+function captureAnchors(data) {
+    promptAnchors = anchoredPrompt ? {
+        api: data.api,
+        scenario: String(data.scenario || '').trim(),
+        examples: String(data.mesExmString || '').trim(),
+        chat: String(data.finalMesSend?.[0]?.message || '').trim(),
+    } : null;
+}
+
+/**
+ * Splice the anchored prompt into a combined Text Completion prompt
+ * @param {{ prompt: string, dryRun: boolean }} eventData - GENERATE_AFTER_COMBINE_PROMPTS data
+ */
+function injectIntoTextPrompt(eventData) {
+    // Chat Completion builds this string too, but sends its messages instead
+    if (!promptAnchors || promptAnchors.api === 'openai') return;
+
+    const anchors = promptAnchors;
+    promptAnchors = null;
+    if (!anchoredPrompt || typeof eventData.prompt !== 'string') return;
+
+    let anchor = findTextAnchor(eventData.prompt, anchors);
+    if (!anchor) {
+        console.warn(`[${MODULE_NAME}] No anchor found for the Director prompt, putting it first`);
+        anchor = { index: 0, after: false };
+    }
+
+    const { index, after } = anchor;
+    const insert = after ? `\n${anchoredPrompt}` : `${anchoredPrompt}\n`;
+    eventData.prompt = `${eventData.prompt.slice(0, index)}${insert}${eventData.prompt.slice(index)}`;
+}
+
+/**
+ * Insert the anchored prompt into a Chat Completion prompt
+ * @param {{ chat: Object[], dryRun: boolean }} eventData - CHAT_COMPLETION_PROMPT_READY data
+ */
+function injectIntoChatPrompt(eventData) {
+    // Raw generations (generateRaw) never went through the prompt builder
+    const anchors = promptAnchors;
+    promptAnchors = null;
+    if (!anchoredPrompt || !anchors || !Array.isArray(eventData.chat)) return;
+
+    const index = findChatAnchor(eventData.chat, anchors);
+    eventData.chat.splice(index, 0, { role: 'system', content: anchoredPrompt });
+}
+
+// =============================================================================
+// INJECTION
+// =============================================================================
+
+/**
+ * Remove the Director prompt from the next generation
+ */
+export function clearDirectorPrompt() {
+    setExtensionPrompt(PROMPT_KEY, '', extension_prompt_types.IN_PROMPT, 0);
+    anchoredPrompt = null;
+}
+
+/**
+ * Resolve the Director prompt and register it for the upcoming generation
+ * @param {string} [type] - Generation type from ST
+ * @returns {Promise<boolean>} True if the prompt was injected
+ */
+export async function updateDirectorPrompt(type) {
+    const settings = getSettings();
+
+    if (!settings.directorEnabled || isDirectorPassActive() || SKIPPED_GENERATION_TYPES.includes(type)) {
+        clearDirectorPrompt();
+        return false;
+    }
+
+    try {
+        const note = getStructuredPromptNote();
+        const prompt = [await getResolvedDirectorPrompt(), note].filter(Boolean).join('\n\n');
+        const position = toExtensionPromptPosition(getInjectionPosition());
+
+        clearDirectorPrompt();
+        if (position === null) {
+            anchoredPrompt = prompt;
+        } else {
+            setExtensionPrompt(PROMPT_KEY, prompt, position, 0, false, extension_prompt_roles.SYSTEM);
+        }
+        console.debug(`[${MODULE_NAME}] Director prompt injected (${getInjectionPosition()}, ${prompt.length} chars)`);
+        return true;
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to resolve Director prompt:`, error);
+        clearDirectorPrompt();
+        return false;
+    }
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize Director prompt injection
+ * Call this from main index.js
+ */
+export function initDirectorInjection() {
+    eventHandlers.generationAfterCommands = async (type) => {
+        await updateDirectorPrompt(type);
+    };
+
+    eventHandlers.beforeCombinePrompts = (data) => captureAnchors(data);
+    eventHandlers.afterCombinePrompts = (eventData) => injectIntoTextPrompt(eventData);
+    eventHandlers.chatCompletionPromptReady = (eventData) => injectIntoChatPrompt(eventData);
+
+    eventSource.on(event_types.GENERATION_AFTER_COMMANDS, eventHandlers.generationAfterCommands);
+    eventSource.on(event_types.GENERATE_BEFORE_COMBINE_PROMPTS, eventHandlers.beforeCombinePrompts);
+    eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, eventHandlers.afterCombinePrompts);
+    eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, eventHandlers.chatCompletionPromptReady);
+
+    console.log(`[${MODULE_NAME}] Director prompt injection initialized`);
+}
+
+/**
+ * Cleanup Director prompt injection
+ */
+export function destroyDirectorInjection() {
+    if (eventHandlers.generationAfterCommands) {
+        eventSource.removeListener(event_types.GENERATION_AFTER_COMMANDS, eventHandlers.generationAfterCommands);
+    }
+    if (eventHandlers.beforeCombinePrompts) {
+        eventSource.removeListener(event_types.GENERATE_BEFORE_COMBINE_PROMPTS, eventHandlers.beforeCombinePrompts);
+    }
+    if (eventHandlers.afterCombinePrompts) {
+        eventSource.removeListener(event_types.GENERATE_AFTER_COMBINE_PROMPTS, eventHandlers.afterCombinePrompts);
+    }
+    if (eventHandlers.chatCompletionPromptReady) {
+        eventSource.removeListener(event_types.CHAT_COMPLETION_PROMPT_READY, eventHandlers.chatCompletionPromptReady);
+    }
+
+    eventHandlers = {
+        generationAfterCommands: null,
+        beforeCombinePrompts: null,
+        afterCombinePrompts: null,
+        chatCompletionPromptReady: null,
+    };
+
+    clearDirectorPrompt();
+    promptAnchors = null;
+}
@@ -0,0 +1,120 @@
+/**
+ * ============================================================================
+ * COTTON-TALES DIRECTOR PASS
+ * ============================================================================
+ * Optional two-pass Director. Many roleplay models write worse prose when
+ * they also have to produce JSON, so in this mode the main model writes the
+ * narrative only and a second, quiet generation reads the finished reply and
+ * writes just its vn-scene block.
+ *
+ * The pass runs on the chat API through generateQuietPrompt, or on the
+ * expression connection profile when one is picked and the setting asks for
+ * it. Its output goes through the regular scene linter (director-runtime.js).
+ * Scene repairs (scene-repair.js) use the same route.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { generateQuietPrompt, substituteParams } from '../../../../../script.js';
+import { ConnectionManagerRequestService } from '../../../shared.js';
+import { getSettings } from './settings-manager.js';
+import { getResolvedDirectorPassPrompt } from './director-prompts.js';
+import { DIRECTOR_PASS_MAX_TOKENS } from './constants.js';
+
+const MODULE_NAME = 'CT-DirectorPass';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Check whether scene blocks come from the separate Director pass
+ * @returns {boolean}
+ */
+export function isDirectorPassActive() {
+    const settings = getSettings();
+    return !!settings.directorEnabled && !!settings.directorPass;
+}
+
+/**
+ * Get the connection profile the pass should use
+ * @returns {string|null} Profile ID, or null for the chat API
+ */
+function getPassProfile() {
+    const settings = getSettings();
+    if (!settings.directorPassUseProfile) return null;
+    return settings.expressionConnectionProfile || null;
+}
+
+/**
+ * Wrap the reply the pass should direct
+ * @param {string} narrative - Reply text
+ * @returns {string}
+ */
+function formatReply(narrative) {
+    // Only the heading is substituted - the reply is sent as written
+    return `${substituteParams('### {{char}}\'s Latest Reply')}\n\n${narrative}`;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Send a quiet Director request (the pass itself, or a scene repair)
+ * Goes to the expression connection profile when the pass is set to use it.
+ * @param {string} prompt - Instructions, macros already resolved
+ * @param {string} content - Text for the model to work on
+ * @returns {Promise<string|null>} Raw output, or null if nothing came back
+ */
+export async function sendDirectorRequest(prompt, content) {
+    const profileId = getPassProfile();
+    let output;
+
+    if (profileId) {
+        const messages = [
+            { role: 'system', content: prompt },
+            { role: 'user', content },
+        ];
+        const result = await ConnectionManagerRequestService.sendRequest(
+            profileId,
+            messages,
+            DIRECTOR_PASS_MAX_TOKENS,
+            { extractData: true },
+        );
+        output = result?.content ?? result?.response ?? '';
+    } else {
+        output = await generateQuietPrompt({
+            quietPrompt: `${prompt}\n\n${content}`,
+            responseLength: DIRECTOR_PASS_MAX_TOKENS,
+        });
+    }
+
+    return typeof output === 'string' && output.trim() ? output : null;
+}
+
+/**
+ * Run the Director pass for a finished reply
+ * @param {string} narrative - Reply text written by the main model
+ * @returns {Promise<string|null>} The pass's raw output, or null if it failed
+ */
+export async function runDirectorPass(narrative) {
+    if (!narrative?.trim()) return null;
+
+    try {
+        const prompt = substituteParams(await getResolvedDirectorPassPrompt());
+        const output = await sendDirectorRequest(prompt, formatReply(narrative));
+
+        if (!output) {
+            console.warn(`[${MODULE_NAME}] Director pass returned nothing`);
+            return null;
+        }
+
+        console.debug(`[${MODULE_NAME}] Director pass done (${output.length} chars)`);
+        return output;
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Director pass failed:`, error);
+        return null;
+    }
+}
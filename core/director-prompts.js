@@ -9,12 +9,17 @@
  * 2. What format to output (JSON schema)
  * 3. How to structure VN-style responses
  *
+ * Every preset comes in two orders (SCENE_ORDER): the block after the
+ * narrative, or scene-first, where the block opens the reply so the stage
+ * can change before the text starts typing.
+ *
  * @version 1.0.0
  * ============================================================================
  */
 
 import { getSettings } from './settings-manager.js';
 import { resolveCtMacros } from './macro-resolver.js';
+import { SCENE_ORDER } from './constants.js';
 
 const MODULE_NAME = 'CT-DirectorPrompts';
 
@@ -30,6 +35,9 @@ export const VN_SCHEMA = {
         background: { type: 'string|null', description: 'Background to display. Use null to keep current.' },
         music: { type: 'string|null', description: 'Music track to play. Use null to keep current.' },
         sfx: { type: 'string|null', description: 'One-shot sound effect to play.' },
+        transition: { type: 'enum|null', values: ['none', 'fade', 'dissolve', 'slide_left', 'slide_right'], description: 'Transition for this scene\'s changes. Use null for the default.' },
+        time: { type: 'enum|null', values: ['dawn', 'day', 'dusk', 'night'], description: 'Time of day drawn over the background. Use null to keep current.' },
+        weather: { type: 'enum|null', values: ['clear', 'rain', 'snow', 'fog'], description: 'Weather drawn over the background. Use null to keep current.' },
     },
     characters: {
         type: 'array',
@@ -39,6 +47,28 @@ export const VN_SCHEMA = {
             outfit: { type: 'string|null', description: 'Outfit to wear. Use null to keep current.' },
             position: { type: 'enum', values: ['left', 'center', 'right'], description: 'Screen position' },
             action: { type: 'enum|null', values: ['enters', 'exits', 'speaks'], description: 'Character action' },
+            effect: { type: 'enum|null', values: ['hearts', 'sparkle', 'sweat_drop', 'anger_vein', 'blush', 'tears', 'shock'], description: 'One-shot effect shown on the sprite' },
+        },
+    },
+    camera: {
+        type: 'object|null',
+        description: 'One-shot camera directions for dramatic moments. Omit or null for none.',
+        properties: {
+            shake: { type: 'enum|null', values: ['light', 'medium', 'heavy'], description: 'Screen shake intensity' },
+            zoom: { type: 'string|null', description: 'Character on stage to zoom in on' },
+            pan: { type: 'enum|null', values: ['left', 'right'], description: 'Pan across the background' },
+            flash: { type: 'boolean', description: 'White flash' },
+            fade: { type: 'number|null', description: 'Fade to black and back, duration in ms' },
+        },
+    },
+    beats: {
+        type: 'array',
+        description: 'Expression or effect changes partway through the narrative, in order. Omit if moods hold for the whole message.',
+        items: {
+            line: { type: 'number', description: 'Paragraph of the narrative where the change happens (0 = first)' },
+            character: { type: 'string', description: 'Character name exactly as defined' },
+            expression: { type: 'string|null', description: 'Expression from this line on' },
+            effect: { type: 'enum|null', values: ['hearts', 'sparkle', 'sweat_drop', 'anger_vein', 'blush', 'tears', 'shock'], description: 'One-shot effect at this line' },
         },
     },
     choices: {
@@ -63,14 +93,9 @@ export function getSchemaString() {
 // =============================================================================
 
 /**
- * Default Director system prompt template
- * Uses {{ct_*}} macros that get resolved at runtime
+ * Assets and scene state shared by the default prompts and the Director pass
  */
-export const DEFAULT_DIRECTOR_PROMPT = `## Visual Novel Director Mode
-
-You are running a visual novel. In addition to writing narrative, you control the scene.
-
-### Available Assets
+const DEFAULT_ASSETS = `### Available Assets
 
 **Backgrounds:** {{ct_backgrounds}}
 **Current Background:** {{ct_bg_current}}
@@ -83,17 +108,30 @@ You are running a visual novel. In addition to writing narrative, you control th
 ### Current Scene State
 {{ct_scene_characters}}
 Location: {{ct_scene_location}}
+Time: {{ct_time_current}}
+Weather: {{ct_weather_current}}`;
 
-### Output Format
+/**
+ * Introduction and assets shared by the default prompts
+ */
+const DEFAULT_CONTEXT = `## Visual Novel Director Mode
 
-After your narrative response, include a JSON block with scene directions:
+You are running a visual novel. In addition to writing narrative, you control the scene.
 
-\`\`\`vn-scene
+${DEFAULT_ASSETS}`;
+
+/**
+ * Scene block format shared by the default prompts
+ */
+const SCENE_BLOCK_FORMAT = `\`\`\`vn-scene
 {
   "scene": {
     "background": "background_name or null",
     "music": "track_name or null",
-    "sfx": "effect_name or null"
+    "sfx": "effect_name or null",
+    "transition": "none|fade|dissolve|slide_left|slide_right|null",
+    "time": "dawn|day|dusk|night|null",
+    "weather": "clear|rain|snow|fog|null"
   },
   "characters": [
     {
@@ -101,7 +139,23 @@ After your narrative response, include a JSON block with scene directions:
       "expression": "emotion",
       "outfit": "outfit_name or null",
       "position": "left|center|right",
-      "action": "enters|exits|speaks|null"
+      "action": "enters|exits|speaks|null",
+      "effect": "hearts|sparkle|sweat_drop|anger_vein|blush|tears|shock|null"
+    }
+  ],
+  "camera": {
+    "shake": "light|medium|heavy|null",
+    "zoom": "Character Name or null",
+    "pan": "left|right|null",
+    "flash": false,
+    "fade": "duration_ms or null"
+  },
+  "beats": [
+    {
+      "line": 0,
+      "character": "Character Name",
+      "expression": "emotion",
+      "effect": "hearts|sparkle|sweat_drop|anger_vein|blush|tears|shock|null"
     }
   ],
   "choices": [
@@ -111,15 +165,52 @@ After your narrative response, include a JSON block with scene directions:
     }
   ]
 }
-\`\`\`
+\`\`\``;
 
-### Guidelines
+/**
+ * Guidelines shared by the default prompts
+ */
+const DEFAULT_GUIDELINES = `### Guidelines
 
-1. **Backgrounds:** Only change when location actually changes
+1. **Backgrounds:** Only change when location actually changes (add a transition only for a dramatic cut or scene shift); set time and weather only when they change, keeping them consistent with the current scene state
 2. **Expressions:** Match character's emotional state in the narrative
 3. **Choices:** Offer {{ct_choice_count}} meaningful choices when appropriate (not every message)
 4. **NPCs:** Can enter/exit scenes as story demands
-5. **Keep JSON valid:** Use exact asset names from the available lists
+5. **Effects:** Use sparingly, for a strong reaction in this message only
+6. **Camera:** Only for big moments (impacts, reveals, time skips) - omit it otherwise
+7. **Beats:** When a mood shifts mid-reply, add a beat at the paragraph where it changes (0 = first paragraph); characters[].expression is the mood at the end
+8. **Keep JSON valid:** Use exact asset names from the available lists
+`;
+
+/**
+ * Default Director system prompt template
+ * Uses {{ct_*}} macros that get resolved at runtime
+ */
+export const DEFAULT_DIRECTOR_PROMPT = `${DEFAULT_CONTEXT}
+
+### Output Format
+
+After your narrative response, include a JSON block with scene directions:
+
+${SCENE_BLOCK_FORMAT}
+
+${DEFAULT_GUIDELINES}`;
+
+/**
+ * Scene-first Director prompt: the block comes before the narrative, so the
+ * stage is set before the text starts typing
+ */
+export const SCENE_FIRST_DIRECTOR_PROMPT = `${DEFAULT_CONTEXT}
+
+### Output Format
+
+Start your response with a JSON block of scene directions, then write the narrative after it:
+
+${SCENE_BLOCK_FORMAT}
+
+(narrative follows here)
+
+${DEFAULT_GUIDELINES}9. **Scene first:** The block opens the reply and sets the stage before the text shows - expressions are still where characters end up, with earlier moods in beats
 `;
 
 /**
@@ -130,13 +221,24 @@ export const MINIMAL_DIRECTOR_PROMPT = `Output scene directions after narrative
 Assets: {{ct_backgrounds}} | {{ct_expressions}}
 NPCs: {{ct_npcs}}
 
-Schema: { scene: {background, music, sfx}, characters: [{name, expression, position, action}], choices: [{label, prompt}] }
+Schema: { scene: {background, music, sfx, transition, time, weather}, characters: [{name, expression, position, action, effect}], choices: [{label, prompt}], camera?: {shake, zoom, pan, flash, fade}, beats?: [{line, character, expression, effect}] }
 `;
 
 /**
- * Detailed Director prompt with examples
+ * Minimal scene-first Director prompt
+ */
+export const MINIMAL_SCENE_FIRST_PROMPT = `Start with scene directions in a \`\`\`vn-scene JSON block, then write the narrative.
+
+Assets: {{ct_backgrounds}} | {{ct_expressions}}
+NPCs: {{ct_npcs}}
+
+Schema: { scene: {background, music, sfx, transition, time, weather}, characters: [{name, expression, position, action, effect}], choices: [{label, prompt}], camera?: {shake, zoom, pan, flash, fade}, beats?: [{line, character, expression, effect}] }
+`;
+
+/**
+ * Assets and scene state shared by the detailed prompts
  */
-export const DETAILED_DIRECTOR_PROMPT = `## Visual Novel Director System
+const DETAILED_CONTEXT = `## Visual Novel Director System
 
 You control both narrative AND visual presentation. Think of yourself as a VN game engine.
 
@@ -155,25 +257,29 @@ You control both narrative AND visual presentation. Think of yourself as a VN ga
 
 **Current Scene:**
 - Background: {{ct_bg_current}}
-- Characters present: {{ct_scene_characters}}
-
-### Output Structure
+- Time: {{ct_time_current}}
+- Weather: {{ct_weather_current}}
+- Characters present: {{ct_scene_characters}}`;
 
-1. Write your narrative response normally
-2. End with a \`\`\`vn-scene code block containing JSON
-
-### Example Response
-
-*Luna looked up from her book, startled by {{user}}'s sudden entrance.*
+/**
+ * Example narrative for the detailed prompts
+ */
+const EXAMPLE_NARRATIVE = `*Luna looked up from her book, startled by {{user}}'s sudden entrance.*
 
-"O-oh! I didn't hear you come in..." *She clutched the book to her chest, cheeks flushing.*
+"O-oh! I didn't hear you come in..." *She clutched the book to her chest, cheeks flushing.*`;
 
-\`\`\`vn-scene
+/**
+ * Example scene block for the detailed prompts
+ */
+const EXAMPLE_SCENE_BLOCK = `\`\`\`vn-scene
 {
   "scene": {
     "background": null,
     "music": null,
-    "sfx": "door_open"
+    "sfx": "door_open",
+    "transition": null,
+    "time": null,
+    "weather": null
   },
   "characters": [
     {
@@ -181,7 +287,16 @@ You control both narrative AND visual presentation. Think of yourself as a VN ga
       "expression": "embarrassed",
       "outfit": null,
       "position": "center",
-      "action": "speaks"
+      "action": "speaks",
+      "effect": "blush"
+    }
+  ],
+  "beats": [
+    {
+      "line": 0,
+      "character": "Luna",
+      "expression": "surprised",
+      "effect": "shock"
     }
   ],
   "choices": [
@@ -199,17 +314,103 @@ You control both narrative AND visual presentation. Think of yourself as a VN ga
     }
   ]
 }
-\`\`\`
+\`\`\``;
 
-### Rules
+/**
+ * Rules shared by the detailed prompts
+ */
+const DETAILED_RULES = `### Rules
 
 1. **Use exact asset names** - Don't invent backgrounds or expressions
 2. **null = keep current** - Only specify what changes
 3. **Choices are optional** - Include when player agency makes sense
 4. **Position matters** - left/center/right for multi-character scenes
 5. **actions:** enters (new to scene), exits (leaving), speaks (talking), null (just present)
+6. **transition:** none, fade, dissolve, slide_left, slide_right - applies to this scene's background and sprite changes, null for the default
+7. **effects:** hearts, sparkle, sweat_drop, anger_vein, blush, tears, shock - plays once on the sprite, null for none
+8. **camera (optional):** shake (light/medium/heavy), zoom (a character on stage), pan (left/right), flash (true for a white flash), fade (ms to fade to black and back) - one-shot, leave out when nothing dramatic happens
+9. **beats (optional):** mood changes inside the reply - line is the paragraph (0 = first) where a character's expression or effect changes; the character's entry in characters holds where they end up
+10. **time / weather:** dawn, day, dusk, night / clear, rain, snow, fog - drawn over the background and kept until changed, null to keep current
+`;
+
+/**
+ * Detailed Director prompt with examples
+ */
+export const DETAILED_DIRECTOR_PROMPT = `${DETAILED_CONTEXT}
+
+### Output Structure
+
+1. Write your narrative response normally
+2. End with a \`\`\`vn-scene code block containing JSON
+
+### Example Response
+
+${EXAMPLE_NARRATIVE}
+
+${EXAMPLE_SCENE_BLOCK}
+
+${DETAILED_RULES}`;
+
+/**
+ * Detailed scene-first Director prompt with examples
+ */
+export const DETAILED_SCENE_FIRST_PROMPT = `${DETAILED_CONTEXT}
+
+### Output Structure
+
+1. Start with a \`\`\`vn-scene code block containing JSON - it sets the stage before any text shows
+2. Write your narrative response after it
+
+### Example Response
+
+${EXAMPLE_SCENE_BLOCK}
+
+${EXAMPLE_NARRATIVE}
+
+${DETAILED_RULES}11. **scene first:** the block always comes before the narrative; characters still holds where everyone ends up, and beats handle anything that changes partway through
 `;
 
+/**
+ * Director pass prompt: a second, quiet generation that reads a finished
+ * reply and writes only its scene block
+ */
+export const DIRECTOR_PASS_PROMPT = `## Visual Novel Director Pass
+
+You are the director of a visual novel. The story reply is already written - you do not continue it. Read {{char}}'s latest reply and write the scene directions that go with it.
+
+${DEFAULT_ASSETS}
+
+### Output Format
+
+Reply with a single JSON block and nothing else:
+
+${SCENE_BLOCK_FORMAT}
+
+${DEFAULT_GUIDELINES}`;
+
+/**
+ * Scene repair prompt: sent with a block that failed linting and what was wrong with it
+ */
+export const SCENE_REPAIR_PROMPT = `## Visual Novel Scene Repair
+
+The scene block below could not be read. Rewrite it as valid JSON in this format, keeping the same directions wherever you can:
+
+${SCENE_BLOCK_FORMAT}
+
+Reply with the corrected vn-scene block only - no narrative, no explanation.`;
+
+/**
+ * Appended to the Director prompt when scene directions go through the set_vn_scene tool
+ */
+export const STRUCTURED_TOOL_NOTE = `### Scene Output
+Do not write a vn-scene block. Write your narrative, then call the \`set_vn_scene\` tool once with the scene, characters, camera, beats and choices described above.`;
+
+/**
+ * Appended to the Director prompt when the reply is held to a JSON schema
+ */
+export const STRUCTURED_SCHEMA_NOTE = `### Scene Output
+Do not write a vn-scene block. Reply with a single JSON object: your narrative goes in its "narrative" field, and the scene, characters, camera, beats and choices described above go alongside it.`;
+
 // =============================================================================
 // PROMPT MANAGEMENT
 // =============================================================================
@@ -227,15 +428,26 @@ export function getDirectorPromptTemplate() {
     }
 
     // Use preset based on setting
-    switch (settings.directorPromptStyle) {
-        case 'minimal':
-            return MINIMAL_DIRECTOR_PROMPT;
-        case 'detailed':
-            return DETAILED_DIRECTOR_PROMPT;
-        case 'default':
-        default:
-            return DEFAULT_DIRECTOR_PROMPT;
-    }
+    return getPresetTemplate(settings.directorPromptStyle, settings.sceneOrder);
+}
+
+/**
+ * Get a preset's template for a scene order
+ * @param {string} key - Preset key (unknown keys use the default preset)
+ * @param {string} [order] - SCENE_ORDER value
+ * @returns {string} The raw prompt template
+ */
+export function getPresetTemplate(key, order = SCENE_ORDER.NARRATIVE_FIRST) {
+    const preset = PROMPT_PRESETS[key] || PROMPT_PRESETS.default;
+    return order === SCENE_ORDER.SCENE_FIRST ? preset.sceneFirstTemplate : preset.template;
+}
+
+/**
+ * Check whether the Director is asked to put the scene block first
+ * @returns {boolean}
+ */
+export function isSceneFirst() {
+    return getSettings().sceneOrder === SCENE_ORDER.SCENE_FIRST;
 }
 
 /**
@@ -248,6 +460,14 @@ export async function getResolvedDirectorPrompt() {
     return resolved;
 }
 
+/**
+ * Get the resolved Director pass prompt
+ * @returns {Promise<string>} Prompt with all macros resolved
+ */
+export async function getResolvedDirectorPassPrompt() {
+    return await resolveCtMacros(DIRECTOR_PASS_PROMPT);
+}
+
 /**
  * Validate that a prompt template contains required macros
  * @param {string} template - Prompt template to validate
@@ -302,16 +522,19 @@ export const PROMPT_PRESETS = {
         name: 'Default',
         description: 'Balanced prompt with all features',
         template: DEFAULT_DIRECTOR_PROMPT,
+        sceneFirstTemplate: SCENE_FIRST_DIRECTOR_PROMPT,
     },
     minimal: {
         name: 'Minimal',
         description: 'Compact prompt for capable models',
         template: MINIMAL_DIRECTOR_PROMPT,
+        sceneFirstTemplate: MINIMAL_SCENE_FIRST_PROMPT,
     },
     detailed: {
         name: 'Detailed',
         description: 'Verbose prompt with examples',
         template: DETAILED_DIRECTOR_PROMPT,
+        sceneFirstTemplate: DETAILED_SCENE_FIRST_PROMPT,
     },
 };
 
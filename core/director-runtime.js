@@ -0,0 +1,692 @@
+/**
+ * ============================================================================
+ * COTTON-TALES DIRECTOR RUNTIME
+ * ============================================================================
+ * Connects the Director pipeline to SillyTavern's message lifecycle.
+ *
+ * When a character message arrives (or is swiped/edited), the raw text is
+ * run through the scene linter, the resulting scene is applied to the stage,
+ * any choices are offered to the user, and the scene JSON is stripped from
+ * the rendered message so only the narrative shows in chat.
+ *
+ * The stored message text is never modified - stripping happens on the
+ * rendered DOM only, so the Director's output stays available for re-parsing.
+ *
+ * Each applied scene is snapshotted onto its message (scene-snapshots.js) so
+ * swipes, edits, deletes and branches can roll the stage back correctly, and
+ * the live stage is mirrored into chat metadata (stage-persistence.js) so
+ * reopening a chat replays it.
+ *
+ * While a reply streams in, its scene block is applied as soon as it closes
+ * (background, music, time, weather and entrances only - the rest waits for
+ * the full reply), and an unfinished block is kept out of the live message.
+ *
+ * In structured output mode a scene sent through the set_vn_scene tool is
+ * stored on its swipe and read instead of the text (structured-output.js).
+ * With the separate Director pass, the reply is narrative only; the pass
+ * writes its scene block afterwards and that is linted instead.
+ *
+ * A new reply whose block fails linting is sent for repair (scene-repair.js);
+ * the outcome is recorded on its swipe and a repaired block is linted in
+ * place of the broken one from then on.
+ *
+ * getMessageScene() reads a message's scene from wherever it is stored, and
+ * ct:director:scene is dispatched when one arrives after its message did.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { eventSource, event_types, messageFormatting, saveChatDebounced } from '../../../../../script.js';
+import { getSettings } from './settings-manager.js';
+import { getMessageMeta, setMessageMeta } from './message-metadata.js';
+import { MESSAGE_EXTRA_KEYS } from './constants.js';
+import { lintSceneResponse, lintStructuredScene, lintStreamingScene, hasSceneData, stripSceneJson, stripStreamingSceneJson } from './linter/index.js';
+import { applyScene, restoreScene, displayChoices, injectChoice, dismissChoices } from './scene-parser.js';
+import { saveMessageSnapshot, clearMessageSnapshot, rebuildStage, getMessageSnapshot } from './scene-snapshots.js';
+import { saveStageState, getSavedStageState, clearPendingChoices } from './stage-persistence.js';
+import { isSceneFirst } from './director-prompts.js';
+import { isDirectorPassActive, runDirectorPass } from './director-pass.js';
+import { isSceneRepairEnabled, needsSceneRepair, repairSceneBlock } from './scene-repair.js';
+
+const MODULE_NAME = 'CT-DirectorRuntime';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/**
+ * Registered ST event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    messageReceived: null,
+    messageSwiped: null,
+    messageEdited: null,
+    messageRendered: null,
+    messagesReloaded: null,
+    messageDeleted: null,
+    chatChanged: null,
+    generationStarted: null,
+    streamToken: null,
+};
+
+/**
+ * Reply being streamed
+ * applied: its scene block has already been applied early
+ */
+let stream = {
+    active: false,
+    messageId: null,
+    applied: false,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Check whether the Director pipeline should process messages
+ * @returns {boolean}
+ */
+function isRuntimeActive() {
+    const settings = getSettings();
+    return !!settings.directorEnabled && settings.autoParseResponses !== false;
+}
+
+/**
+ * Get a chat message by ID if it's a character message the Director can parse
+ * @param {number} messageId - Message index in chat
+ * @returns {Object|null} Chat message or null
+ */
+function getDirectorMessage(messageId) {
+    const context = getContext();
+    const message = context.chat?.[Number(messageId)];
+
+    if (!message || message.is_user || message.is_system) {
+        return null;
+    }
+
+    if (typeof message.mes !== 'string' || !message.mes.trim()) {
+        return null;
+    }
+
+    return message;
+}
+
+/**
+ * Collect names the linter can use to resolve fuzzy character references
+ * @returns {string[]} Known character names
+ */
+function getKnownCharacterNames() {
+    const context = getContext();
+    const settings = getSettings();
+    const names = new Set();
+
+    if (context.name2) {
+        names.add(context.name2);
+    }
+
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        for (const avatar of group?.members || []) {
+            const member = context.characters?.find(c => c.avatar === avatar);
+            if (member?.name) names.add(member.name);
+        }
+    }
+
+    const cardNpcs = settings.cardNpcs?.[context.characterId];
+    if (Array.isArray(cardNpcs)) {
+        for (const npc of cardNpcs) {
+            if (npc?.name) names.add(npc.name);
+        }
+    }
+
+    return [...names];
+}
+
+/**
+ * Get the scene a message's current swipe received through the scene tool
+ * @param {Object} message - Chat message
+ * @returns {Object|null} Tool arguments, or null if the scene is in the text
+ */
+function getStructuredScene(message) {
+    const stored = getMessageMeta(message, MESSAGE_EXTRA_KEYS.STRUCTURED_SCENE);
+    if (!stored || stored.swipeId !== (message.swipe_id ?? 0)) return null;
+    return stored.scene;
+}
+
+/**
+ * Get the scene block the Director pass wrote for a message's current swipe
+ * @param {Object} message - Chat message
+ * @returns {string|null} Pass output, or null if the scene is in the text
+ */
+function getDirectorPassOutput(message) {
+    const stored = getMessageMeta(message, MESSAGE_EXTRA_KEYS.DIRECTOR_PASS);
+    if (!stored || stored.swipeId !== (message.swipe_id ?? 0)) return null;
+    return stored.text;
+}
+
+/**
+ * Get the repaired version of a message's broken scene block
+ * @param {Object} message - Chat message
+ * @param {import('./linter/index.js').LintResult} lint - Lint of the message's own block
+ * @returns {string|null} Repaired block, or null if this block wasn't repaired
+ */
+function getRepairedScene(message, lint) {
+    const stored = getMessageMeta(message, MESSAGE_EXTRA_KEYS.SCENE_REPAIR);
+    if (!stored?.repaired || stored.swipeId !== (message.swipe_id ?? 0)) return null;
+    return stored.block === lint.diagnostics.rawJson ? stored.text : null;
+}
+
+/**
+ * Check that a message is still the reply an async step started from
+ * It may have been swiped, edited or deleted (or the chat closed) meanwhile.
+ * @param {number} messageId - Message index in chat
+ * @param {Object} message - Chat message the step started from
+ * @param {Object} reply - Swipe and text at the start
+ * @param {number} reply.swipeId
+ * @param {string} reply.text
+ * @returns {boolean}
+ */
+function isUnchangedReply(messageId, message, { swipeId, text }) {
+    return getContext().chat?.[Number(messageId)] === message
+        && message.mes === text
+        && (message.swipe_id ?? 0) === swipeId;
+}
+
+// =============================================================================
+// MESSAGE PROCESSING
+// =============================================================================
+
+/**
+ * Lint the scene a message carries, wherever it is stored
+ * Tool arguments win; otherwise the Director pass output or the text is
+ * linted, with a repaired block standing in for a broken one.
+ * @param {Object} message - Chat message
+ * @returns {import('./linter/index.js').LintResult}
+ */
+function lintMessageScene(message) {
+    const lintOptions = {
+        validCharacters: getKnownCharacterNames(),
+        sceneFirst: isSceneFirst(),
+    };
+
+    const structured = getStructuredScene(message);
+    if (structured) {
+        return lintStructuredScene(structured, lintOptions);
+    }
+
+    const lint = lintSceneResponse(getDirectorPassOutput(message) ?? message.mes, lintOptions);
+    const repaired = getRepairedScene(message, lint);
+    return repaired ? lintSceneResponse(repaired, { ...lintOptions, allowFallback: false }) : lint;
+}
+
+/**
+ * Get a message's scene directions, linted
+ * Read scenes through this rather than linting message.mes: a scene from
+ * the scene tool, the Director pass or a repair is not in the text.
+ * @param {Object} message - Chat message
+ * @returns {Object|null} Normalized scene, or null if the message has none
+ */
+export function getMessageScene(message) {
+    if (!message || message.is_user || message.is_system || typeof message.mes !== 'string') return null;
+    return lintMessageScene(message).scene;
+}
+
+/**
+ * Tell expressions and the dialogue box a message's scene arrived after it did
+ * (tool call, Director pass or repair), so they read it again
+ * @param {number} messageId - Message index in chat
+ */
+function announceLateScene(messageId) {
+    document.dispatchEvent(new CustomEvent('ct:director:scene', {
+        detail: { messageId: Number(messageId) },
+    }));
+}
+
+/**
+ * Lint a message and apply its scene directions
+ * @param {number} messageId - Message index in chat
+ * @param {Object} [options]
+ * @param {boolean} [options.offerChoices=true] - Show the choice panel for this message's choices
+ * @returns {import('./linter/index.js').LintResult|null} Lint result, or null if skipped
+ */
+export function processMessage(messageId, { offerChoices = true } = {}) {
+    if (!isRuntimeActive()) return null;
+
+    const message = getDirectorMessage(messageId);
+    if (!message) return null;
+
+    // Start from the stage as it was before this message (unless part of it
+    // was applied while streaming - rebuilding would undo and replay that)
+    const streamedEarly = stream.applied && stream.messageId === Number(messageId);
+    resetStream();
+    if (!streamedEarly) {
+        rebuildStage(Number(messageId) - 1);
+    }
+
+    const lint = lintMessageScene(message);
+
+    if (lint.warnings.length > 0) {
+        console.debug(`[${MODULE_NAME}] Lint warnings for message ${messageId}:`, lint.warnings);
+    }
+
+    if (!lint.scene) {
+        console.debug(`[${MODULE_NAME}] No scene data in message ${messageId}`);
+        clearMessageSnapshot(messageId);
+        // Only a message that may offer choices replaces the pending ones
+        saveStageState(offerChoices ? { pendingChoices: null } : {});
+        return lint;
+    }
+
+    const result = applyScene(lint.scene);
+    saveMessageSnapshot(messageId, result.choices);
+    console.log(`[${MODULE_NAME}] Message ${messageId} applied (${lint.source}, ${lint.confidence}%)`);
+
+    const showChoices = offerChoices && result.choices?.length > 0;
+    if (offerChoices) {
+        saveStageState({
+            pendingChoices: showChoices ? { messageId: Number(messageId), choices: result.choices } : null,
+        });
+    } else {
+        saveStageState();
+    }
+
+    if (showChoices) {
+        offerSceneChoices(result.choices);
+    }
+
+    return lint;
+}
+
+/**
+ * Apply a scene the Director sent through the scene tool
+ * Tools run once the reply is in chat, so the scene belongs to the last message.
+ * @param {Object} scene - Tool arguments
+ * @returns {boolean} True if there was a message to apply it to
+ */
+export function applyStructuredScene(scene) {
+    const messageId = getContext().chat.length - 1;
+    const message = getDirectorMessage(messageId);
+
+    if (!message || !scene || typeof scene !== 'object') {
+        console.warn(`[${MODULE_NAME}] Scene tool called without a reply to apply it to`);
+        return false;
+    }
+
+    setMessageMeta(message, MESSAGE_EXTRA_KEYS.STRUCTURED_SCENE, { swipeId: message.swipe_id ?? 0, scene });
+    saveChatDebounced();
+
+    processMessage(messageId);
+    stripRenderedMessage(messageId);
+    announceLateScene(messageId);
+    return true;
+}
+
+/**
+ * Run the Director pass for a new reply and apply the scene it writes
+ * Skipped when the reply already carries its own scene.
+ * @param {number} messageId - Message index in chat
+ * @returns {Promise<boolean>} True if a pass scene was applied
+ */
+async function applyDirectorPass(messageId) {
+    const message = getDirectorMessage(messageId);
+    if (!message || hasSceneData(message.mes) || getStructuredScene(message)) return false;
+
+    const reply = { swipeId: message.swipe_id ?? 0, text: message.mes };
+    const output = await runDirectorPass(reply.text);
+    if (!output || !isUnchangedReply(messageId, message, reply)) return false;
+
+    setMessageMeta(message, MESSAGE_EXTRA_KEYS.DIRECTOR_PASS, { swipeId: reply.swipeId, text: output });
+    saveChatDebounced();
+
+    const lint = processMessage(messageId, { offerChoices: isLastMessage(messageId) });
+    announceLateScene(messageId);
+    await repairMessageScene(messageId, lint);
+    return true;
+}
+
+/**
+ * Send a new reply's broken scene block for repair and apply the result
+ * Each block is only tried once; the outcome is recorded on the swipe.
+ * @param {number} messageId - Message index in chat
+ * @param {import('./linter/index.js').LintResult|null} lint - Lint of the reply's block
+ * @returns {Promise<boolean>} True if a repaired scene was applied
+ */
+async function repairMessageScene(messageId, lint) {
+    if (!lint || !isSceneRepairEnabled() || !needsSceneRepair(lint)) return false;
+
+    const message = getDirectorMessage(messageId);
+    if (!message || getStructuredScene(message)) return false;
+
+    const reply = { swipeId: message.swipe_id ?? 0, text: message.mes };
+    const block = lint.diagnostics.rawJson;
+    const stored = getMessageMeta(message, MESSAGE_EXTRA_KEYS.SCENE_REPAIR);
+    if (stored?.swipeId === reply.swipeId && stored.block === block) return false;
+
+    const repair = await repairSceneBlock(lint, {
+        validCharacters: getKnownCharacterNames(),
+    });
+    if (!isUnchangedReply(messageId, message, reply)) return false;
+
+    setMessageMeta(message, MESSAGE_EXTRA_KEYS.SCENE_REPAIR, {
+        swipeId: reply.swipeId,
+        block,
+        repaired: repair.repaired,
+        attempts: repair.attempts,
+        text: repair.text,
+    });
+    saveChatDebounced();
+
+    if (!repair.repaired) return false;
+
+    processMessage(messageId, { offerChoices: isLastMessage(messageId) });
+    announceLateScene(messageId);
+    return true;
+}
+
+/**
+ * Show scene choices and inject whichever one the user picks
+ * @param {Object[]} choices - Normalized choice objects
+ */
+async function offerSceneChoices(choices) {
+    const selected = await displayChoices(choices);
+    if (selected) {
+        clearPendingChoices();
+        injectChoice(selected);
+    }
+}
+
+/**
+ * Replay the stage saved for the open chat
+ * Uses the chat metadata copy when it's current, otherwise rebuilds from
+ * per-message snapshots. Unanswered choices on the last message are re-offered.
+ */
+function restoreStageForChat() {
+    if (!getSettings().directorEnabled) return;
+
+    const saved = getSavedStageState();
+    let pending = saved?.pendingChoices;
+
+    if (saved) {
+        restoreScene(saved.stage);
+        console.log(`[${MODULE_NAME}] Stage restored from chat metadata`);
+    } else {
+        rebuildStage();
+        // Nothing after the last message, so its snapshot's choices are unanswered
+        const lastId = (getContext().chat?.length || 0) - 1;
+        const choices = getMessageSnapshot(getDirectorMessage(lastId))?.choices;
+        pending = choices?.length > 0 ? { messageId: lastId, choices } : null;
+        saveStageState({ pendingChoices: pending });
+    }
+
+    if (pending && isLastMessage(pending.messageId) && getDirectorMessage(pending.messageId)) {
+        offerSceneChoices(pending.choices);
+    }
+}
+
+/**
+ * Rebuild the stage from stored snapshots if the Director is active
+ * @param {number} [upToIndex] - Last message index to consider
+ */
+function rebuildStageIfActive(upToIndex) {
+    if (!getSettings().directorEnabled) return;
+    rebuildStage(upToIndex);
+    saveStageState();
+}
+
+/**
+ * Check if a message is the latest one in chat
+ * @param {number} messageId - Message index
+ * @returns {boolean}
+ */
+function isLastMessage(messageId) {
+    const chat = getContext().chat || [];
+    return Number(messageId) === chat.length - 1;
+}
+
+// =============================================================================
+// STREAMING
+// =============================================================================
+
+/**
+ * Stop following the current stream
+ */
+function resetStream() {
+    stream = {
+        active: false,
+        messageId: null,
+        applied: false,
+    };
+}
+
+/**
+ * Apply the early parts of a scene block that closed mid-stream
+ * Expressions, exits, effects, camera, beats and choices are left for the
+ * full pass, which merges forward from here when the reply is complete.
+ * @param {Object} scene - Linted scene
+ */
+function applyStreamingScene(scene) {
+    const { background, music, transition, time, weather } = scene.scene || {};
+    const entrances = (scene.characters || [])
+        .filter(c => c.action === 'enters')
+        .map(c => ({ ...c, effect: null }));
+
+    applyScene({
+        scene: { background, music, transition, time, weather },
+        characters: entrances,
+        choices: [],
+    });
+}
+
+/**
+ * Follow a streaming reply
+ * @param {string} text - Full text received so far
+ */
+function handleStreamToken(text) {
+    if (!stream.active || !isRuntimeActive() || getSettings().parseWhileStreaming === false) return;
+
+    const chat = getContext().chat || [];
+    const messageId = chat.length - 1;
+    const message = chat[messageId];
+    if (!message || message.is_user || message.is_system) return;
+
+    if (stream.messageId !== messageId) {
+        stream.messageId = messageId;
+        stream.applied = false;
+    }
+
+    const partial = String(text || '');
+    hideStreamingSceneJson(messageId, message, partial);
+
+    if (stream.applied) return;
+
+    const lint = lintStreamingScene(partial, { validCharacters: getKnownCharacterNames() });
+    if (!lint?.scene) return;
+
+    stream.applied = true;
+    applyStreamingScene(lint.scene);
+    console.log(`[${MODULE_NAME}] Message ${messageId} scene applied mid-stream`);
+}
+
+/**
+ * Keep scene JSON out of a message that is still streaming
+ * @param {number} messageId - Message index in chat
+ * @param {Object} message - Chat message
+ * @param {string} partial - Text received so far
+ */
+function hideStreamingSceneJson(messageId, message, partial) {
+    if (getSettings().stripSceneJson === false) return;
+
+    const narrative = stripStreamingSceneJson(partial);
+    if (narrative === partial) return;
+
+    // ST draws each token itself; redraw on the next frame so ours wins
+    requestAnimationFrame(() => {
+        const textElement = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+        if (!textElement || stream.messageId !== messageId) return;
+        textElement.innerHTML = messageFormatting(narrative, message.name, message.is_system, message.is_user, messageId);
+    });
+}
+
+// =============================================================================
+// DISPLAY STRIPPING
+// =============================================================================
+
+/**
+ * Replace a rendered message's text with its narrative (scene JSON removed)
+ * @param {number} messageId - Message index in chat
+ */
+export function stripRenderedMessage(messageId) {
+    const settings = getSettings();
+    if (!settings.directorEnabled || !settings.stripSceneJson) return;
+
+    const message = getDirectorMessage(messageId);
+    if (!message || !hasSceneData(message.mes)) return;
+
+    const textElement = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+    if (!textElement) return;
+
+    const narrative = stripSceneJson(message.mes);
+    if (narrative === message.mes) return;
+
+    textElement.innerHTML = messageFormatting(narrative, message.name, message.is_system, message.is_user, Number(messageId));
+}
+
+/**
+ * Strip scene JSON from every rendered message
+ */
+export function stripAllRenderedMessages() {
+    document.querySelectorAll('#chat .mes[mesid]').forEach(el => {
+        stripRenderedMessage(Number(el.getAttribute('mesid')));
+    });
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the Director runtime
+ * Call this from main index.js
+ */
+export function initDirectorRuntime() {
+    eventHandlers.messageReceived = (messageId) => {
+        const lint = processMessage(messageId);
+        if (isRuntimeActive() && isDirectorPassActive()) {
+            applyDirectorPass(messageId);
+        } else {
+            repairMessageScene(messageId, lint);
+        }
+    };
+
+    eventHandlers.messageSwiped = (messageId) => {
+        dismissChoices();
+        // Drop the previous swipe's stage even if the new swipe is still generating
+        rebuildStageIfActive(Number(messageId) - 1);
+        processMessage(messageId, { offerChoices: isLastMessage(messageId) });
+        stripRenderedMessage(messageId);
+    };
+
+    eventHandlers.messageEdited = (messageId) => {
+        processMessage(messageId, { offerChoices: false });
+        if (!isLastMessage(messageId)) {
+            rebuildStageIfActive();
+        }
+    };
+
+    eventHandlers.messageDeleted = () => {
+        dismissChoices();
+        rebuildStageIfActive();
+    };
+
+    eventHandlers.chatChanged = () => {
+        resetStream();
+        dismissChoices();
+        restoreStageForChat();
+        stripAllRenderedMessages();
+    };
+
+    eventHandlers.messageRendered = (messageId) => {
+        stripRenderedMessage(messageId);
+    };
+
+    eventHandlers.messagesReloaded = () => {
+        stripAllRenderedMessages();
+    };
+
+    eventHandlers.generationStarted = (type, _params, dryRun) => {
+        if (dryRun || type === 'quiet') return;
+        resetStream();
+        stream.active = true;
+    };
+
+    eventHandlers.streamToken = (text) => {
+        handleStreamToken(text);
+    };
+
+    eventSource.on(event_types.MESSAGE_RECEIVED, eventHandlers.messageReceived);
+    eventSource.on(event_types.MESSAGE_SWIPED, eventHandlers.messageSwiped);
+    eventSource.on(event_types.MESSAGE_EDITED, eventHandlers.messageEdited);
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, eventHandlers.messageRendered);
+    eventSource.on(event_types.MESSAGE_UPDATED, eventHandlers.messageRendered);
+    eventSource.on(event_types.MORE_MESSAGES_LOADED, eventHandlers.messagesReloaded);
+    eventSource.on(event_types.MESSAGE_DELETED, eventHandlers.messageDeleted);
+    eventSource.on(event_types.MESSAGE_SWIPE_DELETED, eventHandlers.messageDeleted);
+    eventSource.on(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    eventSource.on(event_types.GENERATION_STARTED, eventHandlers.generationStarted);
+    eventSource.on(event_types.STREAM_TOKEN_RECEIVED, eventHandlers.streamToken);
+
+    console.log(`[${MODULE_NAME}] Director runtime initialized`);
+}
+
+/**
+ * Cleanup Director runtime listeners
+ */
+export function destroyDirectorRuntime() {
+    if (eventHandlers.messageReceived) {
+        eventSource.removeListener(event_types.MESSAGE_RECEIVED, eventHandlers.messageReceived);
+    }
+    if (eventHandlers.messageSwiped) {
+        eventSource.removeListener(event_types.MESSAGE_SWIPED, eventHandlers.messageSwiped);
+    }
+    if (eventHandlers.messageEdited) {
+        eventSource.removeListener(event_types.MESSAGE_EDITED, eventHandlers.messageEdited);
+    }
+    if (eventHandlers.messageRendered) {
+        eventSource.removeListener(event_types.CHARACTER_MESSAGE_RENDERED, eventHandlers.messageRendered);
+        eventSource.removeListener(event_types.MESSAGE_UPDATED, eventHandlers.messageRendered);
+    }
+    if (eventHandlers.messagesReloaded) {
+        eventSource.removeListener(event_types.MORE_MESSAGES_LOADED, eventHandlers.messagesReloaded);
+    }
+    if (eventHandlers.messageDeleted) {
+        eventSource.removeListener(event_types.MESSAGE_DELETED, eventHandlers.messageDeleted);
+        eventSource.removeListener(event_types.MESSAGE_SWIPE_DELETED, eventHandlers.messageDeleted);
+    }
+    if (eventHandlers.chatChanged) {
+        eventSource.removeListener(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    }
+    if (eventHandlers.generationStarted) {
+        eventSource.removeListener(event_types.GENERATION_STARTED, eventHandlers.generationStarted);
+    }
+    if (eventHandlers.streamToken) {
+        eventSource.removeListener(event_types.STREAM_TOKEN_RECEIVED, eventHandlers.streamToken);
+    }
+
+    eventHandlers = {
+        messageReceived: null,
+        messageSwiped: null,
+        messageEdited: null,
+        messageRendered: null,
+        messagesReloaded: null,
+        messageDeleted: null,
+        chatChanged: null,
+        generationStarted: null,
+        streamToken: null,
+    };
+
+    resetStream();
+    dismissChoices();
+}
@@ -0,0 +1,113 @@
+/**
+ * ============================================================================
+ * COTTON-TALES FUZZY MATCHING
+ * ============================================================================
+ * Resolves loose asset names from the Director ("beach", "sad piano") to
+ * real assets. Shared by background, music and SFX lookups.
+ *
+ * Match order: exact > starts with > contains > word match > Levenshtein
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * Find the best matching item for a query
+ * @template T
+ * @param {string} query - Name from the Director
+ * @param {T[]} items - Candidate items
+ * @param {(item: T) => string[]} getKeys - Lowercase names to match against.
+ *        The first key is the display name used for word and typo matching.
+ * @returns {T|null} Best match or null
+ */
+export function findBestMatch(query, items, getKeys) {
+    if (!query || !Array.isArray(items) || items.length === 0) return null;
+
+    const q = String(query).toLowerCase().trim();
+    if (!q) return null;
+
+    const entries = items.map(item => ({ item, keys: getKeys(item).filter(Boolean) }));
+
+    // 1. Exact match
+    let match = entries.find(e => e.keys.some(k => k === q));
+    if (match) return match.item;
+
+    // 2. Starts with
+    match = entries.find(e => e.keys.some(k => k.startsWith(q)));
+    if (match) return match.item;
+
+    // 3. Contains
+    match = entries.find(e => e.keys.some(k => k.includes(q)));
+    if (match) return match.item;
+
+    // 4. Word match (e.g., "beach" matches "sunny_beach.jpg")
+    const words = q.split(/[\s_-]+/);
+    match = entries.find(e => {
+        const nameWords = (e.keys[0] || '').split(/[\s_-]+/);
+        return words.some(w => nameWords.some(nw => nw.includes(w) || w.includes(nw)));
+    });
+    if (match) return match.item;
+
+    // 5. Levenshtein distance for typo tolerance
+    let bestScore = Infinity;
+    let bestMatch = null;
+    for (const e of entries) {
+        const score = levenshteinDistance(q, e.keys[0] || '');
+        if (score < bestScore && score <= Math.max(3, q.length * 0.4)) {
+            bestScore = score;
+            bestMatch = e.item;
+        }
+    }
+
+    return bestMatch;
+}
+
+/**
+ * Get lowercase match keys for a file-backed asset
+ * @param {string} name - Display name / label
+ * @param {string} file - File name or path
+ * @returns {string[]} [name, file, file without extension]
+ */
+export function getFileMatchKeys(name, file) {
+    const base = String(file || '').split('/').pop().toLowerCase();
+    return [
+        String(name || '').toLowerCase().trim(),
+        base,
+        base.replace(/\.[^.]+$/, ''),
+    ];
+}
+
+/**
+ * Simple Levenshtein distance for typo tolerance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+export function levenshteinDistance(a, b) {
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    const matrix = [];
+    for (let i = 0; i <= b.length; i++) {
+        matrix[i] = [i];
+    }
+    for (let j = 0; j <= a.length; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= b.length; i++) {
+        for (let j = 1; j <= a.length; j++) {
+            if (b.charAt(i - 1) === a.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j] + 1
+                );
+            }
+        }
+    }
+
+    return matrix[b.length][a.length];
+}
@@ -0,0 +1,428 @@
+/**
+ * ============================================================================
+ * COTTON-TALES LAYOUT MANAGER
+ * ============================================================================
+ * Applies the VN layout style (settings.layoutMode) while VN mode is on.
+ *
+ * ADV: full-screen stage with sprites and a typewriter dialogue box in
+ *      place of the chat log (dialogue-box.js, default).
+ * PRT: RPG-style portraits in side panels - characters on the left, the
+ *      user's persona on the right - with the chat in the centre drawn as
+ *      framed dialogue. The current speaker's portrait is highlighted.
+ * NVL: paged full-screen text over the background (nvl-renderer.js).
+ *
+ * Each chat can override the global layout; the control bar's toggle
+ * switches the open chat between NVL and the usual layout.
+ *
+ * Dispatches ct:layout:change ({ layout }, null when off) after applying.
+ *
+ * Portraits cover group members, the open character, and anyone the
+ * Director has put on stage (including card NPCs).
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext, saveMetadataDebounced } from '../../../../extensions.js';
+import { eventSource, event_types, chat_metadata } from '../../../../../script.js';
+import { getUserAvatar, user_avatar } from '../../../../personas.js';
+import { debounce } from '../../../../utils.js';
+import { debounce_timeout } from '../../../../constants.js';
+import { getSettings } from './settings-manager.js';
+import { getSceneState } from './macro-resolver.js';
+import { resolveCharacterImage } from './stage-renderer.js';
+import { showNvl, hideNvl } from './nvl-renderer.js';
+import { showDialogueBox, hideDialogueBox } from './dialogue-box.js';
+import { lastExpression } from '../ct-expressions.js';
+import { LAYOUT_MODE, DEFAULT_LAYOUT_MODE, DEFAULT_FALLBACK_EXPRESSION, CHAT_METADATA_KEY } from './constants.js';
+
+const MODULE_NAME = 'CT-Layout';
+
+/** Body class per layout */
+const LAYOUT_CLASSES = {
+    [LAYOUT_MODE.ADV]: 'ct-layout-adv',
+    [LAYOUT_MODE.PRT]: 'ct-layout-prt',
+    [LAYOUT_MODE.NVL]: 'ct-layout-nvl',
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Whether VN mode is on with a chat open */
+let layoutActive = false;
+
+/** Name of the character currently speaking (or generating), null for the user */
+let currentSpeaker = null;
+
+/** Whether the user spoke last */
+let userSpeaking = false;
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    chatChanged: null,
+    messageUpdated: null,
+    memberDrafted: null,
+    stageChanged: null,
+};
+
+// =============================================================================
+// LAYOUT SELECTION
+// =============================================================================
+
+/**
+ * Check a layout value
+ * @param {*} mode - Candidate layout
+ * @returns {boolean}
+ */
+function isLayoutMode(mode) {
+    return Object.values(LAYOUT_MODE).includes(mode);
+}
+
+/**
+ * Get the global layout from settings
+ * @returns {string} LAYOUT_MODE value
+ */
+function getGlobalLayout() {
+    const mode = getSettings().layoutMode;
+    return isLayoutMode(mode) ? mode : DEFAULT_LAYOUT_MODE;
+}
+
+/**
+ * Get the layout that should be shown
+ * The open chat's override wins over the global setting.
+ * @returns {string} LAYOUT_MODE value
+ */
+export function getActiveLayout() {
+    const chatMode = chat_metadata?.[CHAT_METADATA_KEY]?.layoutMode;
+    return isLayoutMode(chatMode) ? chatMode : getGlobalLayout();
+}
+
+/**
+ * Set (or clear) the open chat's layout override
+ * @param {string|null} mode - LAYOUT_MODE value, or null to follow settings
+ */
+export function setChatLayout(mode) {
+    if (!chat_metadata || !getContext().chatId) return;
+
+    const saved = chat_metadata[CHAT_METADATA_KEY] || {};
+    chat_metadata[CHAT_METADATA_KEY] = {
+        ...saved,
+        layoutMode: isLayoutMode(mode) && mode !== getGlobalLayout() ? mode : null,
+    };
+    saveMetadataDebounced();
+
+    applyLayout();
+}
+
+/**
+ * Switch the open chat between NVL and its usual layout
+ */
+export function toggleChatNvl() {
+    if (getActiveLayout() !== LAYOUT_MODE.NVL) {
+        setChatLayout(LAYOUT_MODE.NVL);
+        return;
+    }
+
+    const global = getGlobalLayout();
+    setChatLayout(global === LAYOUT_MODE.NVL ? LAYOUT_MODE.ADV : global);
+}
+
+/**
+ * Apply the active layout's body class and DOM
+ */
+export function applyLayout() {
+    const layout = layoutActive ? getActiveLayout() : null;
+
+    for (const [mode, className] of Object.entries(LAYOUT_CLASSES)) {
+        document.body.classList.toggle(className, mode === layout);
+    }
+
+    if (layout === LAYOUT_MODE.PRT) {
+        renderPortraitsDebounced();
+    } else {
+        document.getElementById('ct-prt-panels')?.remove();
+    }
+
+    if (layout === LAYOUT_MODE.ADV) {
+        showDialogueBox();
+    } else {
+        hideDialogueBox();
+    }
+
+    if (layout === LAYOUT_MODE.NVL) {
+        showNvl();
+    } else {
+        hideNvl();
+    }
+
+    document.dispatchEvent(new CustomEvent('ct:layout:change', { detail: { layout } }));
+
+    console.debug(`[${MODULE_NAME}] Layout: ${layout || 'off'}`);
+}
+
+/**
+ * Turn layouts on or off (follows VN mode)
+ * @param {boolean} active - Whether VN mode is on with a chat open
+ */
+export function setLayoutActive(active) {
+    layoutActive = !!active;
+    applyLayout();
+}
+
+// =============================================================================
+// PRT - PARTICIPANTS
+// =============================================================================
+
+/**
+ * Portrait entry
+ * @typedef {Object} Participant
+ * @property {string} name - Character name
+ * @property {string|null} expression - Expression to show
+ * @property {string|null} outfit - Outfit to show
+ */
+
+/**
+ * Collect everyone who gets a character portrait
+ * Group members (or the open character), then Director stage characters.
+ * @returns {Participant[]}
+ */
+function getParticipants() {
+    const context = getContext();
+    const participants = new Map();
+
+    const add = (name, { expression = null, outfit = null } = {}) => {
+        if (!name) return;
+        const key = name.toLowerCase();
+        const existing = participants.get(key);
+        participants.set(key, {
+            name: existing?.name || name,
+            expression: expression || existing?.expression || lastExpression[name] || null,
+            outfit: outfit || existing?.outfit || null,
+        });
+    };
+
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        for (const avatar of group?.members || []) {
+            if (group.disabled_members?.includes(avatar)) continue;
+            add(context.characters?.find(c => c.avatar === avatar)?.name);
+        }
+    } else if (context.characterId !== undefined) {
+        add(context.name2);
+    }
+
+    for (const character of getSceneState().characters || []) {
+        add(character.name, character);
+    }
+
+    return [...participants.values()];
+}
+
+/**
+ * Work out who spoke last from the chat
+ */
+function updateSpeakerFromChat() {
+    const chat = getContext().chat || [];
+
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (message.is_system) continue;
+
+        userSpeaking = !!message.is_user;
+        currentSpeaker = message.is_user ? null : message.name;
+        return;
+    }
+
+    userSpeaking = false;
+    currentSpeaker = null;
+}
+
+// =============================================================================
+// PRT - RENDERING
+// =============================================================================
+
+/**
+ * Get (or create) the portrait panels
+ * @returns {HTMLElement}
+ */
+function getPanelsElement() {
+    let panels = document.getElementById('ct-prt-panels');
+    if (panels) return panels;
+
+    panels = document.createElement('div');
+    panels.id = 'ct-prt-panels';
+    panels.setAttribute('aria-hidden', 'true');
+    panels.innerHTML = `
+        <div class="ct-prt-panel" data-side="characters"></div>
+        <div class="ct-prt-panel" data-side="persona"></div>
+    `;
+
+    document.body.appendChild(panels);
+    return panels;
+}
+
+/**
+ * Build a portrait element
+ * @param {string} name - Name for the nameplate
+ * @param {string} src - Image URL
+ * @param {boolean} speaking - Highlight as the active speaker
+ * @returns {HTMLElement}
+ */
+function createPortrait(name, src, speaking) {
+    const portrait = document.createElement('div');
+    portrait.className = 'ct-prt-portrait';
+    portrait.dataset.name = name;
+    portrait.classList.toggle('ct-prt-speaking', speaking);
+
+    const frame = document.createElement('div');
+    frame.className = 'ct-prt-frame';
+
+    if (src) {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = name;
+        frame.appendChild(img);
+    } else {
+        frame.innerHTML = '<i class="fa-solid fa-user"></i>';
+    }
+
+    const nameplate = document.createElement('div');
+    nameplate.className = 'ct-prt-nameplate';
+    nameplate.textContent = name;
+
+    portrait.append(frame, nameplate);
+    return portrait;
+}
+
+/**
+ * Redraw both portrait panels
+ */
+async function renderPortraits() {
+    if (!layoutActive || getActiveLayout() !== LAYOUT_MODE.PRT) return;
+
+    const context = getContext();
+    const fallback = getSettings().fallbackExpression || DEFAULT_FALLBACK_EXPRESSION;
+    const participants = getParticipants();
+
+    const portraits = await Promise.all(participants.map(async participant => {
+        const src = await resolveCharacterImage({
+            name: participant.name,
+            expression: participant.expression || fallback,
+            outfit: participant.outfit,
+        });
+        const speaking = !userSpeaking && participant.name.toLowerCase() === currentSpeaker?.toLowerCase();
+        return createPortrait(participant.name, src, speaking);
+    }));
+
+    // Layout may have changed while sprites were loading
+    if (!layoutActive || getActiveLayout() !== LAYOUT_MODE.PRT) return;
+
+    const panels = getPanelsElement();
+    const characterPanel = panels.querySelector('[data-side="characters"]');
+    const personaPanel = panels.querySelector('[data-side="persona"]');
+
+    characterPanel.replaceChildren(...portraits);
+    characterPanel.classList.toggle('ct-prt-has-speaker', portraits.some(p => p.classList.contains('ct-prt-speaking')));
+
+    personaPanel.replaceChildren(createPortrait(
+        context.name1 || 'You',
+        user_avatar ? getUserAvatar(user_avatar) : '',
+        userSpeaking,
+    ));
+    personaPanel.classList.toggle('ct-prt-has-speaker', userSpeaking);
+}
+
+const renderPortraitsDebounced = debounce(renderPortraits, debounce_timeout.quick);
+
+/**
+ * Re-read the speaker from chat and redraw portraits
+ */
+function refreshPortraits() {
+    updateSpeakerFromChat();
+    if (layoutActive && getActiveLayout() === LAYOUT_MODE.PRT) {
+        renderPortraitsDebounced();
+    }
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the layout manager
+ * Call this from main index.js
+ */
+export function initLayoutManager() {
+    eventHandlers.chatChanged = () => {
+        // The new chat may have its own layout
+        applyLayout();
+        refreshPortraits();
+    };
+    eventHandlers.messageUpdated = () => refreshPortraits();
+    eventHandlers.stageChanged = () => refreshPortraits();
+
+    // Group chats: highlight whoever is about to speak
+    eventHandlers.memberDrafted = (chId) => {
+        const character = getContext().characters?.[chId];
+        if (!character) return;
+
+        currentSpeaker = character.name;
+        userSpeaking = false;
+        if (layoutActive && getActiveLayout() === LAYOUT_MODE.PRT) {
+            renderPortraitsDebounced();
+        }
+    };
+
+    eventSource.on(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    eventSource.on(event_types.GROUP_UPDATED, eventHandlers.chatChanged);
+    eventSource.on(event_types.MESSAGE_RECEIVED, eventHandlers.messageUpdated);
+    eventSource.on(event_types.MESSAGE_SENT, eventHandlers.messageUpdated);
+    eventSource.on(event_types.MESSAGE_SWIPED, eventHandlers.messageUpdated);
+    eventSource.on(event_types.MESSAGE_DELETED, eventHandlers.messageUpdated);
+    eventSource.on(event_types.GROUP_MEMBER_DRAFTED, eventHandlers.memberDrafted);
+
+    document.addEventListener('ct:character:enter', eventHandlers.stageChanged);
+    document.addEventListener('ct:character:exit', eventHandlers.stageChanged);
+    document.addEventListener('ct:character:update', eventHandlers.stageChanged);
+    document.addEventListener('ct:expression:change', eventHandlers.stageChanged);
+
+    console.log(`[${MODULE_NAME}] Layout manager initialized`);
+}
+
+/**
+ * Cleanup layout manager listeners and DOM
+ */
+export function destroyLayoutManager() {
+    if (eventHandlers.chatChanged) {
+        eventSource.removeListener(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+        eventSource.removeListener(event_types.GROUP_UPDATED, eventHandlers.chatChanged);
+    }
+    if (eventHandlers.messageUpdated) {
+        eventSource.removeListener(event_types.MESSAGE_RECEIVED, eventHandlers.messageUpdated);
+        eventSource.removeListener(event_types.MESSAGE_SENT, eventHandlers.messageUpdated);
+        eventSource.removeListener(event_types.MESSAGE_SWIPED, eventHandlers.messageUpdated);
+        eventSource.removeListener(event_types.MESSAGE_DELETED, eventHandlers.messageUpdated);
+    }
+    if (eventHandlers.memberDrafted) {
+        eventSource.removeListener(event_types.GROUP_MEMBER_DRAFTED, eventHandlers.memberDrafted);
+    }
+    if (eventHandlers.stageChanged) {
+        document.removeEventListener('ct:character:enter', eventHandlers.stageChanged);
+        document.removeEventListener('ct:character:exit', eventHandlers.stageChanged);
+        document.removeEventListener('ct:character:update', eventHandlers.stageChanged);
+        document.removeEventListener('ct:expression:change', eventHandlers.stageChanged);
+    }
+
+    eventHandlers = {
+        chatChanged: null,
+        messageUpdated: null,
+        memberDrafted: null,
+        stageChanged: null,
+    };
+
+    layoutActive = false;
+    applyLayout();
+}
@@ -11,6 +11,9 @@
  * 3. Generic JSON/code blocks
  * 4. Raw JSON in response
  *
+ * Scene-first replies put the block at the top instead of the end; with the
+ * sceneFirst option a block (or bare object) opening the reply is preferred.
+ *
  * @version 1.0.0
  * ============================================================================
  */
@@ -151,6 +154,16 @@ const EXTRACTION_PATTERNS = [
     },
 ];
 
+/**
+ * Priority of a bare object opening the response (found by findLeadingJsonObject,
+ * since a regex can't balance braces). Expected in scene-first mode, a last
+ * resort otherwise.
+ */
+const LEADING_JSON_PATTERN = {
+    sceneFirst: { name: 'leading-json', priority: 9 },
+    default: { name: 'leading-json', priority: 2 },
+};
+
 // =============================================================================
 // PREPROCESSING FUNCTIONS
 // =============================================================================
@@ -265,9 +278,11 @@ function tryParseJson(str) {
 /**
  * Extract JSON from an LLM response
  * @param {string} response - Raw LLM response
+ * @param {Object} [options]
+ * @param {boolean} [options.sceneFirst=false] - Expect the block before the narrative
  * @returns {{ rawJson: string|null, narrative: string, source: string, confidence: number, fixes: string[], attempts: number }}
  */
-export function extractJsonFromResponse(response) {
+export function extractJsonFromResponse(response, options = {}) {
     const result = {
         rawJson: null,
         narrative: response || '',
@@ -288,7 +303,7 @@ export function extractJsonFromResponse(response) {
     }
 
     // Collect all candidates
-    const candidates = extractAllJsonCandidates(processed);
+    const candidates = extractAllJsonCandidates(processed, options);
     result.attempts = candidates.length;
 
     if (candidates.length === 0) {
@@ -311,6 +326,11 @@ export function extractJsonFromResponse(response) {
             // Remove the JSON block from narrative
             result.narrative = processed.replace(candidate.fullMatch, '').trim();
 
+            // Schema-held replies carry the narrative inside the object
+            if (!result.narrative && typeof candidate.parsed?.narrative === 'string') {
+                result.narrative = candidate.parsed.narrative.trim();
+            }
+
             console.debug(`[${MODULE_NAME}] Extracted from ${candidate.source} (confidence: ${candidate.confidence})`);
             break;
         }
@@ -332,13 +352,16 @@ export function extractJsonFromResponse(response) {
 /**
  * Extract ALL JSON candidates from response (for diagnostics)
  * @param {string} response - Preprocessed response
+ * @param {Object} [options]
+ * @param {boolean} [options.sceneFirst=false] - Prefer a block that opens the response
  * @returns {Array} Array of candidate objects
  */
-export function extractAllJsonCandidates(response) {
+export function extractAllJsonCandidates(response, { sceneFirst = false } = {}) {
     if (!response) return [];
 
     const candidates = [];
     const processed = preprocessResponse(response);
+    const top = processed.search(/\S/);
 
     for (const patternDef of EXTRACTION_PATTERNS) {
         // Reset regex state
@@ -360,7 +383,8 @@ export function extractAllJsonCandidates(response) {
                 raw: rawJson,
                 fullMatch: match[0],
                 source: patternDef.name,
-                priority: patternDef.priority,
+                // Scene-first: a block opening the response outranks its peers
+                priority: patternDef.priority + (sceneFirst && match.index === top ? 1 : 0),
                 confidence: calculateConfidence(patternDef, isValid, rawJson),
                 isValid,
                 parseError: parseResult.error,
@@ -372,6 +396,35 @@ export function extractAllJsonCandidates(response) {
         patternDef.pattern.lastIndex = 0;
     }
 
+    // A bare object opening the response (scene-first without a fence)
+    const leading = findLeadingJsonObject(processed);
+    if (leading?.closed) {
+        const fullMatch = processed.slice(0, leading.end);
+        const rawJson = fullMatch.trim();
+        const parseResult = tryParseJson(rawJson);
+        const isValid = parseResult.parsed !== null && isValidSceneJson(parseResult.parsed);
+        const patternDef = LEADING_JSON_PATTERN[sceneFirst ? 'sceneFirst' : 'default'];
+
+        // A looser pattern may already have caught the same object
+        const duplicate = candidates.findIndex(c => c.raw === rawJson);
+        if (duplicate !== -1 && candidates[duplicate].priority < patternDef.priority) {
+            candidates.splice(duplicate, 1);
+        }
+
+        if (!candidates.some(c => c.raw === rawJson)) {
+            candidates.push({
+                raw: rawJson,
+                fullMatch,
+                source: 'leading-json',
+                priority: patternDef.priority,
+                confidence: calculateConfidence(patternDef, isValid, rawJson),
+                isValid,
+                parseError: parseResult.error,
+                parsed: parseResult.parsed,
+            });
+        }
+    }
+
     return candidates;
 }
 
@@ -404,6 +457,42 @@ function calculateConfidence(patternDef, isValid, rawJson) {
     return Math.max(0, Math.min(100, confidence));
 }
 
+// =============================================================================
+// LEADING JSON
+// =============================================================================
+
+/**
+ * Find a bare JSON object at the very start of the text (scene-first replies)
+ * Strings are skipped so braces inside them don't count.
+ * @param {string} text - Response text
+ * @returns {{ end: number, closed: boolean }|null} Where the object ends, or null if the text doesn't start with one
+ */
+export function findLeadingJsonObject(text) {
+    const start = text.search(/\S/);
+    if (start === -1 || text[start] !== '{') return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{') depth++;
+        else if (char === '}' && --depth === 0) return { end: i + 1, closed: true };
+    }
+
+    return { end: text.length, closed: false };
+}
+
 // =============================================================================
 // SPECIALIZED EXTRACTORS
 // =============================================================================
@@ -414,7 +503,7 @@ function calculateConfidence(patternDef, isValid, rawJson) {
  * @returns {Object|null}
  */
 export function extractFromFunctionCall(response) {
-    const pattern = /"name"\s*:\s*"(?:update_scene|set_scene|vn_scene)"[\s\S]*?"arguments"\s*:\s*(\{[\s\S]*?\})/gi;
+    const pattern = /"name"\s*:\s*"(?:update_scene|set_scene|set_vn_scene|vn_scene)"[\s\S]*?"arguments"\s*:\s*(\{[\s\S]*?\})/gi;
     const match = pattern.exec(response);
 
     if (match) {
@@ -29,6 +29,9 @@ const EXPECTED_SCHEMA = {
         background: 'string|null',
         music: 'string|null',
         sfx: 'string|null',
+        transition: 'none|fade|dissolve|slide_left|slide_right|null',
+        time: 'dawn|day|dusk|night|null',
+        weather: 'clear|rain|snow|fog|null',
     },
     characters: [
         {
@@ -37,6 +40,7 @@ const EXPECTED_SCHEMA = {
             outfit: 'string|null',
             position: 'left|center|right',
             action: 'enters|exits|speaks|null',
+            effect: 'hearts|sparkle|sweat_drop|anger_vein|blush|tears|shock|null',
         },
     ],
     choices: [
@@ -45,6 +49,21 @@ const EXPECTED_SCHEMA = {
             prompt: 'string',
         },
     ],
+    camera: {
+        shake: 'light|medium|heavy|null',
+        zoom: 'string|null',
+        pan: 'left|right|null',
+        flash: 'boolean',
+        fade: 'number|null',
+    },
+    beats: [
+        {
+            line: 'number',
+            character: 'string',
+            expression: 'string|null',
+            effect: 'hearts|sparkle|sweat_drop|anger_vein|blush|tears|shock|null',
+        },
+    ],
 };
 
 // =============================================================================
@@ -59,6 +78,9 @@ const FIELD_MAPPINGS = {
     background: ['background', 'bg', 'backdrop', 'image', 'backgroundImage', 'back', 'scenery'],
     music: ['music', 'bgm', 'backgroundMusic', 'track', 'audio', 'soundtrack', 'song'],
     sfx: ['sfx', 'soundEffect', 'sound', 'effect', 'soundFx', 'fx', 'sounds'],
+    transition: ['transition', 'sceneTransition', 'transitionType', 'transitionEffect'],
+    time: ['time', 'timeOfDay', 'time_of_day', 'daytime', 'dayTime', 'period', 'hour'],
+    weather: ['weather', 'conditions', 'climate', 'sky', 'forecast', 'weatherType'],
 
     // Characters array alternatives
     characters: ['characters', 'chars', 'sprites', 'actors', 'npcs', 'people', 'cast', 'speakers'],
@@ -69,6 +91,7 @@ const FIELD_MAPPINGS = {
     outfit: ['outfit', 'clothes', 'clothing', 'costume', 'attire', 'dress', 'wear'],
     position: ['position', 'pos', 'location', 'place', 'side', 'slot', 'alignment'],
     action: ['action', 'movement', 'move', 'act', 'transition', 'state', 'status'],
+    effect: ['effect', 'fx', 'vfx', 'spriteEffect', 'overlay', 'particles', 'reaction'],
 
     // Choices array alternatives
     choices: ['choices', 'options', 'decisions', 'responses', 'buttons', 'actions', 'menu'],
@@ -76,6 +99,23 @@ const FIELD_MAPPINGS = {
     // Choice properties
     label: ['label', 'text', 'title', 'button', 'option', 'display', 'caption'],
     prompt: ['prompt', 'action', 'result', 'consequence', 'effect', 'description', 'outcome'],
+
+    // Camera object alternatives
+    camera: ['camera', 'screen', 'cam', 'cinematography', 'cameraWork', 'shot'],
+
+    // Camera properties
+    shake: ['shake', 'screenShake', 'screen_shake', 'quake', 'rumble', 'tremor'],
+    zoom: ['zoom', 'zoomOn', 'zoomIn', 'zoom_on', 'closeUp', 'closeup', 'focus'],
+    pan: ['pan', 'panDirection', 'panTo', 'pan_to', 'sweep'],
+    flash: ['flash', 'whiteFlash', 'screenFlash', 'white_flash'],
+    fade: ['fade', 'fadeToBlack', 'fade_to_black', 'fadeOut', 'blackout', 'fadeDuration'],
+
+    // Beats array alternatives
+    beats: ['beats', 'moments', 'cues', 'timeline', 'expressionBeats', 'lineBeats'],
+
+    // Beat properties
+    line: ['line', 'paragraph', 'at', 'atLine', 'lineIndex', 'index'],
+    character: ['character', 'name', 'char', 'who', 'speaker', 'characterName'],
 };
 
 // =============================================================================
@@ -104,6 +144,8 @@ export function normalizeSchemaStructure(parsed) {
         scene: null,
         characters: [],
         choices: [],
+        camera: null,
+        beats: [],
     };
 
     // Apply fixers in order
@@ -130,6 +172,14 @@ export function normalizeSchemaStructure(parsed) {
         handleStringChoices,
         splitChoiceText,
 
+        // Fix camera
+        findAndNormalizeCamera,
+        normalizeCameraFields,
+
+        // Fix beats
+        findAndNormalizeBeats,
+        normalizeBeatFields,
+
         // Cleanup
         removeUnknownTopLevel,
         ensureArrayTypes,
@@ -270,6 +320,33 @@ function normalizeSceneFields(parsed, normalized) {
         }
     }
 
+    // Normalize transition
+    for (const altName of FIELD_MAPPINGS.transition) {
+        if (scene[altName] !== undefined && altName !== 'transition') {
+            scene.transition = scene[altName];
+            delete scene[altName];
+            fixes.push(`scene.${altName} -> transition`);
+        }
+    }
+
+    // Normalize time of day
+    for (const altName of FIELD_MAPPINGS.time) {
+        if (scene[altName] !== undefined && altName !== 'time') {
+            scene.time = scene[altName];
+            delete scene[altName];
+            fixes.push(`scene.${altName} -> time`);
+        }
+    }
+
+    // Normalize weather
+    for (const altName of FIELD_MAPPINGS.weather) {
+        if (scene[altName] !== undefined && altName !== 'weather') {
+            scene.weather = scene[altName];
+            delete scene[altName];
+            fixes.push(`scene.${altName} -> weather`);
+        }
+    }
+
     return fixes.length ? { fix: `Normalized scene fields: ${fixes.join(', ')}` } : {};
 }
 
@@ -303,6 +380,27 @@ function handleFlatSceneFields(parsed, normalized) {
         }
     }
 
+    for (const altName of FIELD_MAPPINGS.transition) {
+        if (parsed[altName] !== undefined && typeof parsed[altName] === 'string' && normalized.scene.transition === undefined) {
+            normalized.scene.transition = parsed[altName];
+            found = true;
+        }
+    }
+
+    for (const altName of FIELD_MAPPINGS.time) {
+        if (parsed[altName] !== undefined && typeof parsed[altName] === 'string' && normalized.scene.time === undefined) {
+            normalized.scene.time = parsed[altName];
+            found = true;
+        }
+    }
+
+    for (const altName of FIELD_MAPPINGS.weather) {
+        if (parsed[altName] !== undefined && typeof parsed[altName] === 'string' && normalized.scene.weather === undefined) {
+            normalized.scene.weather = parsed[altName];
+            found = true;
+        }
+    }
+
     return found ? { fix: 'Collected flat scene fields into scene object' } : {};
 }
 
@@ -349,6 +447,7 @@ function normalizeCharacterFields(parsed, normalized) {
             ['outfit', FIELD_MAPPINGS.outfit],
             ['position', FIELD_MAPPINGS.position],
             ['action', FIELD_MAPPINGS.action],
+            ['effect', FIELD_MAPPINGS.effect],
         ];
 
         for (const [target, alternatives] of fieldSets) {
@@ -539,6 +638,124 @@ function splitChoiceText(parsed, normalized) {
     return fixed ? { fix: 'Split choice label:prompt format' } : {};
 }
 
+// =============================================================================
+// CAMERA FIXERS
+// =============================================================================
+
+/**
+ * Find the camera object (top level, or tucked inside the scene object)
+ */
+function findAndNormalizeCamera(parsed, normalized) {
+    for (const altName of FIELD_MAPPINGS.camera) {
+        if (parsed[altName] && typeof parsed[altName] === 'object' && !Array.isArray(parsed[altName])) {
+            normalized.camera = { ...parsed[altName] };
+            if (altName !== 'camera') {
+                return { fix: `Renamed ${altName} to camera` };
+            }
+            return {};
+        }
+    }
+
+    for (const altName of FIELD_MAPPINGS.camera) {
+        const nested = normalized.scene?.[altName];
+        if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+            normalized.camera = { ...nested };
+            delete normalized.scene[altName];
+            return { fix: `Moved scene.${altName} to camera` };
+        }
+    }
+
+    return {};
+}
+
+/**
+ * Normalize field names within the camera object
+ */
+function normalizeCameraFields(parsed, normalized) {
+    if (!normalized.camera) return {};
+
+    const camera = normalized.camera;
+    const fixes = [];
+    const normalizedCamera = {};
+
+    for (const target of ['shake', 'zoom', 'pan', 'flash', 'fade']) {
+        for (const alt of FIELD_MAPPINGS[target]) {
+            if (camera[alt] !== undefined) {
+                normalizedCamera[target] = camera[alt];
+                if (alt !== target) {
+                    fixes.push(`camera.${alt} -> ${target}`);
+                }
+                break;
+            }
+        }
+    }
+
+    normalized.camera = normalizedCamera;
+
+    return fixes.length ? { fix: `Normalized camera fields: ${fixes.join(', ')}` } : {};
+}
+
+// =============================================================================
+// BEAT FIXERS
+// =============================================================================
+
+/**
+ * Find the beats array (top level, or tucked inside the scene object)
+ */
+function findAndNormalizeBeats(parsed, normalized) {
+    for (const altName of FIELD_MAPPINGS.beats) {
+        if (Array.isArray(parsed[altName])) {
+            normalized.beats = [...parsed[altName]];
+            if (altName !== 'beats') {
+                return { fix: `Renamed ${altName} to beats` };
+            }
+            return {};
+        }
+    }
+
+    for (const altName of FIELD_MAPPINGS.beats) {
+        const nested = normalized.scene?.[altName];
+        if (Array.isArray(nested)) {
+            normalized.beats = [...nested];
+            delete normalized.scene[altName];
+            return { fix: `Moved scene.${altName} to beats` };
+        }
+    }
+
+    return {};
+}
+
+/**
+ * Normalize field names within each beat
+ */
+function normalizeBeatFields(parsed, normalized) {
+    if (!normalized.beats?.length) return {};
+
+    const fixes = [];
+
+    normalized.beats = normalized.beats
+        .filter(beat => beat && typeof beat === 'object')
+        .map(beat => {
+            const normalizedBeat = {};
+
+            for (const target of ['line', 'character', 'expression', 'effect']) {
+                for (const alt of FIELD_MAPPINGS[target]) {
+                    if (beat[alt] !== undefined) {
+                        normalizedBeat[target] = beat[alt];
+                        if (alt !== target) {
+                            fixes.push(`beat.${alt} -> ${target}`);
+                        }
+                        break;
+                    }
+                }
+            }
+
+            return normalizedBeat;
+        });
+
+    return fixes.length ? { fix: `Normalized beat fields: ${[...new Set(fixes)].join(', ')}` } : {};
+}
+
 // =============================================================================
 // CLEANUP
 // =============================================================================
@@ -547,7 +764,7 @@ function splitChoiceText(parsed, normalized) {
  * Remove unknown top-level fields (with warning)
  */
 function removeUnknownTopLevel(parsed, normalized) {
-    const knownKeys = new Set(['scene', 'characters', 'choices', 'data', 'result', 'vn_scene']);
+    const knownKeys = new Set(['scene', 'characters', 'choices', 'data', 'result', 'vn_scene', 'narrative', ...FIELD_MAPPINGS.camera, ...FIELD_MAPPINGS.beats]);
     const unknownKeys = Object.keys(parsed).filter(k => !knownKeys.has(k));
 
     if (unknownKeys.length > 0) {
@@ -574,6 +791,12 @@ function ensureArrayTypes(parsed, normalized) {
         fixed = true;
     }
 
+    // Beats must be array
+    if (normalized.beats && !Array.isArray(normalized.beats)) {
+        normalized.beats = [normalized.beats];
+        fixed = true;
+    }
+
     return fixed ? { fix: 'Wrapped non-arrays in arrays' } : {};
 }
 
@@ -585,8 +808,8 @@ function ensureStringTypes(parsed, normalized) {
 
     // Scene fields
     if (normalized.scene) {
-        for (const key of ['background', 'music', 'sfx']) {
-            if (normalized.scene[key] !== null && typeof normalized.scene[key] !== 'string') {
+        for (const key of ['background', 'music', 'sfx', 'transition', 'time', 'weather']) {
+            if (normalized.scene[key] !== null && normalized.scene[key] !== undefined && typeof normalized.scene[key] !== 'string') {
                 normalized.scene[key] = String(normalized.scene[key]);
                 fixed = true;
             }
@@ -602,6 +825,7 @@ function ensureStringTypes(parsed, normalized) {
             outfit: char.outfit !== null && char.outfit !== undefined ? String(char.outfit) : null,
             position: char.position !== null && char.position !== undefined ? String(char.position) : null,
             action: char.action !== null && char.action !== undefined ? String(char.action) : null,
+            effect: char.effect !== null && char.effect !== undefined ? String(char.effect) : null,
         }));
     }
 
@@ -11,15 +11,18 @@
  * 4. Normalize values (handles 25+ value format issues)
  * 5. Fallback: Extract from plain text if all else fails
  *
+ * Scenes that arrive as structured data (tool calls) skip straight to 3.
+ *
  * @version 1.0.0
  * ============================================================================
  */
 
 import { extractJsonFromResponse, extractAllJsonCandidates } from './extract-json.js';
-import { sanitizeJsonSyntax } from './fix-json-syntax.js';
+import { sanitizeJsonSyntax, getJsonErrorLocation } from './fix-json-syntax.js';
 import { normalizeSchemaStructure } from './fix-schema.js';
 import { normalizeAllValues } from './normalize-values.js';
 import { extractFromNarrative } from './fallback-extract.js';
+import { findClosedSceneBlock, hideUnfinishedSceneBlock } from './stream-scene.js';
 
 const MODULE_NAME = 'CT-Linter';
 
@@ -36,7 +39,8 @@ const MODULE_NAME = 'CT-Linter';
  * @property {number} confidence - 0-100 confidence score
  * @property {string[]} fixes - List of fixes applied
  * @property {string[]} warnings - Non-fatal issues encountered
- * @property {Object} diagnostics - Detailed diagnostic info
+ * @property {Object} diagnostics - Detailed diagnostic info (rawJson and
+ *   syntaxError keep the block that was found and why it failed to parse)
  */
 
 /**
@@ -48,6 +52,7 @@ const MODULE_NAME = 'CT-Linter';
  * @param {string[]} [options.validCharacters] - Known character names
  * @param {boolean} [options.allowFallback=true] - Try text extraction if JSON fails
  * @param {boolean} [options.strict=false] - Fail on any issues vs graceful degradation
+ * @param {boolean} [options.sceneFirst=false] - Expect the block before the narrative
  * @returns {LintResult}
  */
 export function lintSceneResponse(response, options = {}) {
@@ -57,6 +62,7 @@ export function lintSceneResponse(response, options = {}) {
         validCharacters = [],
         allowFallback = true,
         strict = false,
+        sceneFirst = false,
     } = options;
 
     const result = {
@@ -72,6 +78,8 @@ export function lintSceneResponse(response, options = {}) {
             syntaxFixesApplied: 0,
             schemaFixesApplied: 0,
             valueNormalizationsApplied: 0,
+            rawJson: null,
+            syntaxError: null,
         },
     };
 
@@ -85,7 +93,7 @@ export function lintSceneResponse(response, options = {}) {
     // =========================================================================
     console.debug(`[${MODULE_NAME}] Phase 1: Extracting JSON...`);
 
-    const extraction = extractJsonFromResponse(response);
+    const extraction = extractJsonFromResponse(response, { sceneFirst });
     result.diagnostics.extractionAttempts = extraction.attempts;
     result.narrative = extraction.narrative;
 
@@ -102,6 +110,7 @@ export function lintSceneResponse(response, options = {}) {
     result.source = extraction.source;
     result.confidence = extraction.confidence;
     result.fixes.push(...extraction.fixes);
+    result.diagnostics.rawJson = extraction.rawJson;
 
     // =========================================================================
     // PHASE 2: Fix JSON syntax errors
@@ -114,6 +123,7 @@ export function lintSceneResponse(response, options = {}) {
 
     if (!syntaxResult.parsed) {
         result.warnings.push('JSON syntax unfixable: ' + syntaxResult.error);
+        result.diagnostics.syntaxError = describeSyntaxError(syntaxResult.fixed, syntaxResult.error);
 
         if (allowFallback) {
             return tryFallbackExtraction(response, result, options);
@@ -168,6 +178,17 @@ export function lintSceneResponse(response, options = {}) {
     return result;
 }
 
+/**
+ * Describe where a JSON syntax error is
+ * @param {string} json - JSON the error came from (after syntax fixes)
+ * @param {string} error - Error message from JSON.parse
+ * @returns {string}
+ */
+function describeSyntaxError(json, error) {
+    const { line, column, context } = getJsonErrorLocation(json || '', error || '');
+    return `${error} (line ${line}, column ${column}, near "${context.replace(/\s+/g, ' ').trim()}")`;
+}
+
 /**
  * Try fallback text extraction
  * @param {string} response - Original response
@@ -198,6 +219,76 @@ function tryFallbackExtraction(response, result, options) {
     return result;
 }
 
+// =============================================================================
+// STRUCTURED INPUT
+// =============================================================================
+
+/**
+ * Lint a scene that arrived as structured data (tool call arguments)
+ * There is no text to extract or repair, so only the schema and value
+ * passes run. The narrative is left to the message itself.
+ * @param {Object} data - Scene object
+ * @param {Object} options - Linting options (see lintSceneResponse)
+ * @returns {LintResult}
+ */
+export function lintStructuredScene(data, options = {}) {
+    const {
+        validExpressions = [],
+        validBackgrounds = [],
+        validCharacters = [],
+    } = options;
+
+    const result = {
+        scene: null,
+        narrative: '',
+        source: 'structured',
+        confidence: 100,
+        fixes: [],
+        warnings: [],
+        diagnostics: {
+            originalLength: 0,
+            extractionAttempts: 0,
+            syntaxFixesApplied: 0,
+            schemaFixesApplied: 0,
+            valueNormalizationsApplied: 0,
+            rawJson: null,
+            syntaxError: null,
+        },
+    };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        result.source = 'none';
+        result.confidence = 0;
+        result.warnings.push('Structured scene is not an object');
+        return result;
+    }
+
+    const schemaResult = normalizeSchemaStructure(structuredClone(data));
+    result.diagnostics.schemaFixesApplied = schemaResult.fixes.length;
+    result.fixes.push(...schemaResult.fixes);
+    result.warnings.push(...schemaResult.warnings);
+
+    if (!schemaResult.normalized) {
+        result.warnings.push('Schema structure unfixable');
+        return result;
+    }
+
+    const valueResult = normalizeAllValues(schemaResult.normalized, {
+        validExpressions,
+        validBackgrounds,
+        validCharacters,
+    });
+    result.diagnostics.valueNormalizationsApplied = valueResult.fixes.length;
+    result.fixes.push(...valueResult.fixes);
+    result.warnings.push(...valueResult.warnings);
+
+    result.scene = valueResult.normalized;
+
+    console.log(`[${MODULE_NAME}] Structured scene linted: ${result.fixes.length} fixes`);
+
+    return result;
+}
+
 // =============================================================================
 // UTILITY EXPORTS
 // =============================================================================
@@ -235,6 +326,44 @@ export function stripSceneJson(response) {
     return extraction.narrative;
 }
 
+// =============================================================================
+// STREAMING
+// =============================================================================
+
+/**
+ * Lint the scene block of a reply that is still streaming
+ * Only runs once a block has closed; the rest of the reply is ignored.
+ * @param {string} partial - Reply received so far
+ * @param {Object} options - Linting options (see lintSceneResponse)
+ * @returns {LintResult|null} Lint result, or null while no block has closed
+ */
+export function lintStreamingScene(partial, options = {}) {
+    const block = findClosedSceneBlock(partial);
+    if (!block) return null;
+
+    return lintSceneResponse(block.raw, { ...options, allowFallback: false });
+}
+
+/**
+ * Strip scene JSON from a reply that is still streaming
+ * Closed blocks are removed and an unfinished one is cut off.
+ * @param {string} partial - Reply received so far
+ * @returns {string} Narrative received so far
+ */
+export function stripStreamingSceneJson(partial) {
+    let visible = hideUnfinishedSceneBlock(partial);
+
+    const block = findClosedSceneBlock(visible);
+    if (block) {
+        const rest = visible.replace(block.raw, '').trim();
+        // A schema-held reply is all block, with the narrative inside it
+        const embedded = rest ? '' : stripSceneJson(block.raw);
+        visible = rest || (embedded === block.raw.trim() ? '' : embedded);
+    }
+
+    return hasSceneData(visible) ? stripSceneJson(visible) : visible;
+}
+
 /**
  * Get diagnostic info about a response
  * @param {string} response - Response to analyze
@@ -8,8 +8,11 @@
  * - Expression normalization (synonyms, case, format)
  * - Position normalization (left/right/center variants)
  * - Action normalization (enter/exit/speak variants)
+ * - Effect normalization (sprite effect names and emoji)
  * - Background normalization (path cleanup, format)
+ * - Transition normalization (fade/dissolve/slide variants)
  * - Choice normalization (trim, length limits)
+ * - Camera normalization (shake strength, pan direction, fade duration)
  *
  * @version 1.0.0
  * ============================================================================
@@ -118,6 +121,113 @@ for (const [canonical, variants] of Object.entries(ACTION_MAPPINGS)) {
     }
 }
 
+// =============================================================================
+// TRANSITION MAPPINGS
+// =============================================================================
+
+const TRANSITION_MAPPINGS = {
+    none: ['none', 'cut', 'instant', 'hard_cut', 'immediate', 'no_transition'],
+    fade: ['fade', 'fade_in', 'fadein', 'crossfade', 'cross_fade', 'fade_through'],
+    dissolve: ['dissolve', 'blur', 'melt', 'blend'],
+    slide_left: ['slide_left', 'slideleft', 'left_slide', 'wipe_left', 'swipe_left', 'pan_left', 'push_left'],
+    slide_right: ['slide_right', 'slideright', 'right_slide', 'wipe_right', 'swipe_right', 'pan_right', 'push_right'],
+};
+
+const TRANSITION_LOOKUP = {};
+for (const [canonical, variants] of Object.entries(TRANSITION_MAPPINGS)) {
+    for (const v of variants) {
+        TRANSITION_LOOKUP[v.toLowerCase()] = canonical;
+    }
+}
+
+// =============================================================================
+// ATMOSPHERE MAPPINGS
+// =============================================================================
+
+const TIME_MAPPINGS = {
+    dawn: ['dawn', 'sunrise', 'daybreak', 'early_morning', 'morning', 'first_light'],
+    day: ['day', 'daytime', 'noon', 'midday', 'afternoon', 'daylight', 'late_morning'],
+    dusk: ['dusk', 'sunset', 'evening', 'twilight', 'golden_hour', 'sundown'],
+    night: ['night', 'nighttime', 'midnight', 'late_night', 'dark', 'late'],
+};
+
+const TIME_LOOKUP = {};
+for (const [canonical, variants] of Object.entries(TIME_MAPPINGS)) {
+    for (const v of variants) {
+        TIME_LOOKUP[v.toLowerCase()] = canonical;
+    }
+}
+
+const WEATHER_MAPPINGS = {
+    clear: ['clear', 'sunny', 'none', 'fair', 'clear_sky', 'cloudless', 'fine', 'cloudy', 'overcast'],
+    rain: ['rain', 'rainy', 'raining', 'drizzle', 'shower', 'showers', 'storm', 'stormy', 'thunderstorm', 'downpour'],
+    snow: ['snow', 'snowy', 'snowing', 'snowfall', 'blizzard', 'flurries', 'sleet'],
+    fog: ['fog', 'foggy', 'mist', 'misty', 'haze', 'hazy', 'smog'],
+};
+
+const WEATHER_LOOKUP = {};
+for (const [canonical, variants] of Object.entries(WEATHER_MAPPINGS)) {
+    for (const v of variants) {
+        WEATHER_LOOKUP[v.toLowerCase()] = canonical;
+    }
+}
+
+// =============================================================================
+// EFFECT MAPPINGS
+// =============================================================================
+
+const EFFECT_MAPPINGS = {
+    hearts: ['hearts', 'heart', 'love', 'loving', 'hearts_eyes', 'heart_eyes', 'smitten', '❤️', '💕'],
+    sparkle: ['sparkle', 'sparkles', 'sparkling', 'shine', 'shiny', 'glitter', 'stars', 'twinkle', '✨'],
+    sweat_drop: ['sweat_drop', 'sweatdrop', 'sweat', 'sweating', 'nervous_sweat', 'drop', '💧', '😅'],
+    anger_vein: ['anger_vein', 'anger', 'angry', 'vein', 'cross_vein', 'popping_vein', 'rage', '💢'],
+    blush: ['blush', 'blushing', 'flush', 'flushed', 'red_cheeks', 'embarrassed', '😳'],
+    tears: ['tears', 'tear', 'crying', 'cry', 'teary', 'sob', 'sobbing', '😢', '😭'],
+    shock: ['shock', 'shocked', 'surprise', 'surprised', 'exclamation', 'gasp', 'startled', '!', '!!', '❗'],
+};
+
+const EFFECT_LOOKUP = {};
+for (const [canonical, variants] of Object.entries(EFFECT_MAPPINGS)) {
+    for (const v of variants) {
+        EFFECT_LOOKUP[v.toLowerCase()] = canonical;
+    }
+}
+
+// =============================================================================
+// CAMERA MAPPINGS
+// =============================================================================
+
+const SHAKE_MAPPINGS = {
+    light: ['light', 'slight', 'small', 'soft', 'weak', 'gentle', 'subtle', 'low', 'little', '1'],
+    medium: ['medium', 'moderate', 'normal', 'mid', 'regular', 'true', 'yes', '2'],
+    heavy: ['heavy', 'strong', 'hard', 'big', 'violent', 'intense', 'high', 'massive', 'extreme', '3'],
+};
+
+const SHAKE_LOOKUP = {};
+for (const [canonical, variants] of Object.entries(SHAKE_MAPPINGS)) {
+    for (const v of variants) {
+        SHAKE_LOOKUP[v.toLowerCase()] = canonical;
+    }
+}
+
+const PAN_MAPPINGS = {
+    left: ['left', 'l', 'to_left', 'pan_left', 'leftward', 'leftwards', 'west'],
+    right: ['right', 'r', 'to_right', 'pan_right', 'rightward', 'rightwards', 'east'],
+};
+
+const PAN_LOOKUP = {};
+for (const [canonical, variants] of Object.entries(PAN_MAPPINGS)) {
+    for (const v of variants) {
+        PAN_LOOKUP[v.toLowerCase()] = canonical;
+    }
+}
+
+/** Fade to black length when the scene just says "fade": true (ms) */
+const DEFAULT_FADE_DURATION = 1500;
+
+/** Longest fade to black accepted (ms) */
+const MAX_FADE_DURATION = 10000;
+
 // =============================================================================
 // MAIN NORMALIZER
 // =============================================================================
@@ -161,6 +271,16 @@ export function normalizeAllValues(scene, options = {}) {
         normalizeChoiceValues(normalized.choices, result);
     }
 
+    // Normalize camera values
+    if (normalized.camera) {
+        normalized.camera = normalizeCameraValues(normalized.camera, result, { validCharacters });
+    }
+
+    // Normalize beat values
+    if (normalized.beats?.length) {
+        normalized.beats = normalizeBeatValues(normalized.beats, result, { validExpressions, validCharacters });
+    }
+
     if (result.fixes.length > 0) {
         console.debug(`[${MODULE_NAME}] Applied ${result.fixes.length} value normalizations`);
     }
@@ -194,6 +314,90 @@ function normalizeSceneValues(scene, result, options) {
     if (scene.sfx) {
         scene.sfx = normalizeAudioPath(scene.sfx);
     }
+
+    // Transition normalization
+    if (scene.transition) {
+        const original = scene.transition;
+        scene.transition = normalizeTransition(scene.transition);
+        if (scene.transition === null) {
+            result.warnings.push(`Unknown transition "${original}" dropped`);
+        } else if (scene.transition !== original) {
+            result.fixes.push(`Transition: "${original}" -> "${scene.transition}"`);
+        }
+    }
+
+    // Time of day normalization
+    if (scene.time) {
+        const original = scene.time;
+        scene.time = normalizeAtmosphere(scene.time, TIME_LOOKUP);
+        if (scene.time === null) {
+            result.warnings.push(`Unknown time of day "${original}" dropped`);
+        } else if (scene.time !== original) {
+            result.fixes.push(`Time: "${original}" -> "${scene.time}"`);
+        }
+    }
+
+    // Weather normalization
+    if (scene.weather) {
+        const original = scene.weather;
+        scene.weather = normalizeAtmosphere(scene.weather, WEATHER_LOOKUP);
+        if (scene.weather === null) {
+            result.warnings.push(`Unknown weather "${original}" dropped`);
+        } else if (scene.weather !== original) {
+            result.fixes.push(`Weather: "${original}" -> "${scene.weather}"`);
+        }
+    }
+}
+
+/**
+ * Normalize a time of day or weather value
+ * Falls back to the first known word in phrases like "light rain".
+ */
+function normalizeAtmosphere(value, lookup) {
+    if (!value || typeof value !== 'string') return null;
+
+    const normalized = value.trim().toLowerCase()
+        .replace(/^["']|["']$/g, '')
+        .replace(/[\s-]+/g, '_');
+
+    if (normalized === 'null') return null;
+
+    if (lookup[normalized]) {
+        return lookup[normalized];
+    }
+
+    for (const word of normalized.split('_')) {
+        if (lookup[word]) return lookup[word];
+    }
+
+    return null;
+}
+
+/**
+ * Normalize transition value
+ */
+function normalizeTransition(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const normalized = value.trim().toLowerCase()
+        .replace(/^["']|["']$/g, '')
+        .replace(/[\s-]+/g, '_');
+
+    if (normalized === 'null') return null;
+
+    // Look up canonical transition
+    if (TRANSITION_LOOKUP[normalized]) {
+        return TRANSITION_LOOKUP[normalized];
+    }
+
+    // Try to extract from complex strings
+    if (normalized.includes('slide') || normalized.includes('wipe')) {
+        return normalized.includes('right') ? 'slide_right' : 'slide_left';
+    }
+    if (normalized.includes('dissolve') || normalized.includes('blur')) return 'dissolve';
+    if (normalized.includes('fade')) return 'fade';
+
+    return null;
 }
 
 /**
@@ -306,6 +510,17 @@ function normalizeCharacterValues(characters, result, options) {
                 result.fixes.push(`Action: "${original}" -> "${char.action}"`);
             }
         }
+
+        // Effect normalization
+        if (char.effect) {
+            const original = char.effect;
+            char.effect = normalizeEffect(char.effect);
+            if (char.effect === null) {
+                result.warnings.push(`Unknown effect "${original}" dropped`);
+            } else if (char.effect !== original) {
+                result.fixes.push(`Effect: "${original}" -> "${char.effect}"`);
+            }
+        }
     }
 }
 
@@ -443,6 +658,35 @@ function normalizeAction(action) {
     return null;
 }
 
+/**
+ * Normalize sprite effect value
+ */
+function normalizeEffect(effect) {
+    if (!effect || typeof effect !== 'string') return null;
+
+    const normalized = effect.trim().toLowerCase()
+        .replace(/^["']|["']$/g, '')
+        .replace(/[\s-]+/g, '_');
+
+    if (normalized === 'none' || normalized === 'null') return null;
+
+    // Look up canonical effect
+    if (EFFECT_LOOKUP[normalized]) {
+        return EFFECT_LOOKUP[normalized];
+    }
+
+    // Try to extract from complex strings
+    if (normalized.includes('heart') || normalized.includes('love')) return 'hearts';
+    if (normalized.includes('sparkl') || normalized.includes('glitter')) return 'sparkle';
+    if (normalized.includes('sweat')) return 'sweat_drop';
+    if (normalized.includes('anger') || normalized.includes('vein')) return 'anger_vein';
+    if (normalized.includes('blush')) return 'blush';
+    if (normalized.includes('tear') || normalized.includes('cry')) return 'tears';
+    if (normalized.includes('shock') || normalized.includes('surpris')) return 'shock';
+
+    return null;
+}
+
 // =============================================================================
 // CHOICE VALUE NORMALIZATION
 // =============================================================================
@@ -519,6 +763,163 @@ function normalizeChoicePrompt(prompt) {
     return normalized;
 }
 
+// =============================================================================
+// CAMERA VALUE NORMALIZATION
+// =============================================================================
+
+/**
+ * Normalize camera values
+ * @returns {Object|null} Camera directions, or null when nothing is left
+ */
+function normalizeCameraValues(camera, result, options) {
+    const normalized = {
+        shake: normalizeShake(camera.shake),
+        zoom: camera.zoom ? normalizeCharacterName(String(camera.zoom), options.validCharacters) : null,
+        pan: normalizePan(camera.pan),
+        flash: normalizeFlag(camera.flash),
+        fade: normalizeFadeDuration(camera.fade),
+    };
+
+    for (const key of ['shake', 'pan', 'fade']) {
+        const original = camera[key];
+        if (original === undefined || original === null || original === false) continue;
+
+        if (normalized[key] === null) {
+            result.warnings.push(`Unknown camera ${key} "${original}" dropped`);
+        } else if (normalized[key] !== original) {
+            result.fixes.push(`Camera ${key}: "${original}" -> "${normalized[key]}"`);
+        }
+    }
+
+    const hasDirections = normalized.shake || normalized.zoom || normalized.pan || normalized.flash || normalized.fade;
+    return hasDirections ? normalized : null;
+}
+
+/**
+ * Normalize shake intensity
+ */
+function normalizeShake(value) {
+    if (value === true) return 'medium';
+    if (value === null || value === undefined || value === false) return null;
+
+    const normalized = String(value).trim().toLowerCase()
+        .replace(/^["']|["']$/g, '')
+        .replace(/[\s-]+/g, '_');
+
+    if (SHAKE_LOOKUP[normalized]) {
+        return SHAKE_LOOKUP[normalized];
+    }
+
+    // Numbers on other scales (0-1, 1-10)
+    const number = Number(normalized);
+    if (Number.isFinite(number) && number > 0) {
+        const ratio = number <= 1 ? number : Math.min(number, 10) / 10;
+        return ratio < 0.34 ? 'light' : ratio < 0.67 ? 'medium' : 'heavy';
+    }
+
+    return null;
+}
+
+/**
+ * Normalize pan direction
+ */
+function normalizePan(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const normalized = value.trim().toLowerCase()
+        .replace(/^["']|["']$/g, '')
+        .replace(/[\s-]+/g, '_');
+
+    if (PAN_LOOKUP[normalized]) {
+        return PAN_LOOKUP[normalized];
+    }
+
+    if (normalized.includes('left')) return 'left';
+    if (normalized.includes('right')) return 'right';
+
+    return null;
+}
+
+/**
+ * Normalize a yes/no flag
+ */
+function normalizeFlag(value) {
+    if (typeof value === 'string') {
+        return ['true', 'yes', 'on', 'white', '1'].includes(value.trim().toLowerCase());
+    }
+    return value === true || value === 1;
+}
+
+/**
+ * Normalize fade-to-black duration ("1.5s", "1500ms", 1500, true)
+ */
+function normalizeFadeDuration(value) {
+    if (value === true) return DEFAULT_FADE_DURATION;
+    if (value === null || value === undefined || value === false) return null;
+
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'black', 'fade_to_black', 'out'].includes(text)) return DEFAULT_FADE_DURATION;
+
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|sec|secs|seconds?)?$/.exec(text);
+    if (!match) return null;
+
+    const amount = Number(match[1]);
+    const ms = match[2] && match[2] !== 'ms' ? amount * 1000 : amount;
+    if (ms <= 0) return null;
+
+    return Math.min(Math.round(ms), MAX_FADE_DURATION);
+}
+
+// =============================================================================
+// BEAT VALUE NORMALIZATION
+// =============================================================================
+
+/**
+ * Normalize beat values
+ * Beats without a line, a character or anything to change are dropped.
+ * @returns {Object[]} Beats in line order
+ */
+function normalizeBeatValues(beats, result, options) {
+    const normalized = [];
+
+    for (const beat of beats) {
+        const line = normalizeLineIndex(beat.line);
+        const character = beat.character ? normalizeCharacterName(String(beat.character), options.validCharacters) : null;
+        const expression = beat.expression ? normalizeExpression(String(beat.expression), options.validExpressions) : null;
+        const effect = beat.effect ? normalizeEffect(String(beat.effect)) : null;
+
+        if (line === null || !character || (!expression && !effect)) {
+            result.warnings.push(`Incomplete beat dropped: ${JSON.stringify(beat)}`);
+            continue;
+        }
+
+        if (beat.expression && expression !== beat.expression) {
+            result.fixes.push(`Beat expression: "${beat.expression}" -> "${expression}"`);
+        }
+        if (beat.effect && effect === null) {
+            result.warnings.push(`Unknown beat effect "${beat.effect}" dropped`);
+        }
+
+        normalized.push({ line, character, expression, effect });
+    }
+
+    // Stable sort keeps the Director's order within a line
+    return normalized.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Normalize a beat's line index ("2", 2.0, "line 2")
+ */
+function normalizeLineIndex(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const match = /\d+/.exec(String(value));
+    if (!match) return null;
+
+    const line = Number(match[0]);
+    return Number.isSafeInteger(line) ? line : null;
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -0,0 +1,131 @@
+/**
+ * ============================================================================
+ * COTTON-TALES SCENE LINTER - STREAMING
+ * ============================================================================
+ * Works on a reply that is still arriving, token by token:
+ * - finds the scene block as soon as it closes (trailing or leading)
+ * - hides a block that has opened but not closed yet, so half-written JSON
+ *   never flashes up in the chat or the dialogue box
+ *
+ * Only the explicit VN tags and ```json fences count as scene blocks here;
+ * anything looser is left for the full pass once the reply is complete.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { findLeadingJsonObject } from './extract-json.js';
+
+// =============================================================================
+// BLOCK PATTERNS
+// =============================================================================
+
+/**
+ * Closed scene blocks, in order of preference
+ */
+const CLOSED_BLOCK_PATTERNS = [
+    /```vn-scene\s*([\s\S]*?)```/i,
+    /<vn-scene[^>]*>([\s\S]*?)<\/vn-scene>/i,
+    /\[VN-SCENE\]([\s\S]*?)\[\/VN-SCENE\]/i,
+    /```json\s*([\s\S]*?)```/i,
+];
+
+/**
+ * Openers of a scene block, paired with what closes them
+ */
+const BLOCK_OPENERS = [
+    { open: /```(?:vn-scene|json)/gi, close: '```' },
+    { open: /<vn-scene[^>]*>/gi, close: '</vn-scene>' },
+    { open: /\[VN-SCENE\]/gi, close: '[/VN-SCENE]' },
+];
+
+/**
+ * Openers as typed, for spotting one cut off by the end of the stream
+ */
+const OPENER_TEXTS = ['```vn-scene', '```json', '<vn-scene', '[vn-scene]'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Find where an opener cut off at the end of the text starts
+ * Returns -1 when the text doesn't end partway through an opener.
+ */
+function findPartialOpener(text) {
+    const tail = text.slice(-OPENER_TEXTS[0].length).toLowerCase();
+
+    for (let length = tail.length; length > 0; length--) {
+        const ending = tail.slice(-length);
+        if (OPENER_TEXTS.some(opener => opener.startsWith(ending))) {
+            return text.length - length;
+        }
+    }
+
+    return -1;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Find the first scene block that has closed
+ * @param {string} text - Reply received so far
+ * @returns {{ raw: string, block: string }|null} Block text (with fences) and its contents
+ */
+export function findClosedSceneBlock(text) {
+    if (!text) return null;
+
+    for (const pattern of CLOSED_BLOCK_PATTERNS) {
+        const match = pattern.exec(text);
+        if (match) return { raw: match[0], block: match[1] };
+    }
+
+    // Scene-first replies may open with the bare object
+    const leading = findLeadingJsonObject(text);
+    if (leading?.closed) {
+        const raw = text.slice(0, leading.end);
+        return { raw, block: raw.trim() };
+    }
+
+    return null;
+}
+
+/**
+ * Cut off a scene block that has opened but not closed yet
+ * @param {string} text - Reply received so far
+ * @returns {string} Text that is safe to show
+ */
+export function hideUnfinishedSceneBlock(text) {
+    if (!text) return '';
+
+    const lower = text.toLowerCase();
+    let cut = text.length;
+    let closedThrough = 0;
+
+    for (const { open, close } of BLOCK_OPENERS) {
+        open.lastIndex = 0;
+        let match;
+        while ((match = open.exec(text)) !== null) {
+            const after = match.index + match[0].length;
+            const closeAt = lower.indexOf(close.toLowerCase(), after);
+            if (closeAt === -1) {
+                cut = Math.min(cut, match.index);
+                break;
+            }
+            open.lastIndex = closeAt + close.length;
+            closedThrough = Math.max(closedThrough, open.lastIndex);
+        }
+    }
+
+    // A closing fence at the very end is not the start of a new block
+    const partial = findPartialOpener(text.slice(0, cut));
+    if (partial !== -1 && partial >= closedThrough) cut = partial;
+
+    // A leading object that is still open hides everything
+    const leading = findLeadingJsonObject(text);
+    if (leading && !leading.closed) cut = 0;
+
+    return text.slice(0, cut);
+}
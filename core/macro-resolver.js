@@ -13,6 +13,7 @@
 
 import { getSettings } from './settings-manager.js';
 import { getContext } from '../../../../extensions.js';
+import { getMusicLibrary, getSfxLibrary } from './audio-player.js';
 
 const MODULE_NAME = 'CT-MacroResolver';
 
@@ -29,6 +30,8 @@ const sceneState = {
     characters: [], // { name, position, expression, outfit }
     music: null,
     location: null,
+    time: null,
+    weather: null,
 };
 
 /**
@@ -56,6 +59,8 @@ export function resetSceneState() {
     sceneState.characters = [];
     sceneState.music = null;
     sceneState.location = null;
+    sceneState.time = null;
+    sceneState.weather = null;
 }
 
 // =============================================================================
@@ -336,19 +341,29 @@ const macroDefinitions = {
 
     // Audio (Phase 6 - placeholders for now)
     music: async () => {
-        // TODO: Implement audio folder scanning
-        return 'calm, tense, romantic, battle';
+        const library = await getMusicLibrary();
+        if (library.length === 0) return 'none';
+        return [...new Set(library.map(track => track.label))].join(', ');
     },
 
-    sfx: async () => {
-        // TODO: Implement SFX folder scanning
-        return 'door_open, footsteps, glass_break';
+    sfx: () => {
+        const library = getSfxLibrary();
+        if (library.length === 0) return 'none';
+        return [...new Set(library.map(sfx => sfx.label))].join(', ');
     },
 
     music_current: () => {
         return sceneState.music || 'none';
     },
 
+    time_current: () => {
+        return sceneState.time || 'unknown';
+    },
+
+    weather_current: () => {
+        return sceneState.weather || 'unknown';
+    },
+
     // Schema & settings
     vn_schema: () => {
         // Return the JSON schema the Director should use
@@ -357,6 +372,8 @@ const macroDefinitions = {
                 background: 'string|null',
                 music: 'string|null',
                 sfx: 'string|null',
+                time: 'dawn|day|dusk|night|null',
+                weather: 'clear|rain|snow|fog|null',
             },
             characters: [{
                 name: 'string',
@@ -0,0 +1,48 @@
+/**
+ * ============================================================================
+ * COTTON-TALES MESSAGE METADATA
+ * ============================================================================
+ * Read/write helpers for Cotton-Tales data stored in a chat message's `extra`.
+ *
+ * ST keeps a copy of `extra` per swipe (swipe_info[n].extra) and copies it
+ * back into the message when swiping. Writes go to both places so data
+ * attached to a swipe survives swiping away and back.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+/**
+ * Get a Cotton-Tales value from a message's extra metadata
+ * @param {Object} message - Chat message
+ * @param {string} key - One of MESSAGE_EXTRA_KEYS
+ * @returns {any|null} Stored value or null
+ */
+export function getMessageMeta(message, key) {
+    return message?.extra?.[key] ?? null;
+}
+
+/**
+ * Store a Cotton-Tales value on a message (and its active swipe)
+ * @param {Object} message - Chat message
+ * @param {string} key - One of MESSAGE_EXTRA_KEYS
+ * @param {any} value - Value to store (null removes the key)
+ */
+export function setMessageMeta(message, key, value) {
+    if (!message) return;
+
+    const targets = [message];
+    const swipeInfo = message.swipe_info?.[message.swipe_id];
+    if (swipeInfo && typeof swipeInfo === 'object') {
+        targets.push(swipeInfo);
+    }
+
+    for (const target of targets) {
+        target.extra = target.extra || {};
+        if (value === null || value === undefined) {
+            delete target.extra[key];
+        } else {
+            target.extra[key] = structuredClone(value);
+        }
+    }
+}
@@ -0,0 +1,539 @@
+/**
+ * ============================================================================
+ * COTTON-TALES NVL RENDERER
+ * ============================================================================
+ * Full-screen novel presentation (LAYOUT_MODE.NVL).
+ *
+ * The chat is laid out as pages of text over the background. Pages fill
+ * until the text would overflow, and a new page always starts where the
+ * Director changed the background. Click, Space/Enter/→ or scrolling down
+ * advances; ←/scrolling up pages back through history.
+ *
+ * Messages are formatted once and their blocks reused. When the chat
+ * changes, only the pages from the first changed message on are laid out
+ * again; a resize lays out every page, but still without re-formatting.
+ *
+ * The send form stays usable - only the chat log is swapped for pages.
+ * Dispatches ct:nvl:page whenever a page is shown (used by Auto/Skip).
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { eventSource, event_types, messageFormatting } from '../../../../../script.js';
+import { debounce } from '../../../../utils.js';
+import { debounce_timeout } from '../../../../constants.js';
+import { hasSceneData, stripSceneJson } from './linter/index.js';
+import { getMessageSnapshot } from './scene-snapshots.js';
+
+const MODULE_NAME = 'CT-NVL';
+
+/** Keys that turn the page forward / back */
+const NEXT_KEYS = ['Space', 'Enter', 'ArrowRight', 'PageDown'];
+const PREV_KEYS = ['ArrowLeft', 'PageUp'];
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Whether NVL is the active layout */
+let nvlActive = false;
+
+/**
+ * Page contents
+ * @type {{ blocks: HTMLElement[], firstMessageId: number }[]}
+ */
+let pages = [];
+
+/** Index of the page on screen */
+let currentPage = 0;
+
+/** Chat length at last build (to jump to new text) */
+let builtChatLength = 0;
+
+/**
+ * What each message looked like when it was laid out (index = message ID)
+ * @type {({ mes: string, background: string|null }|null)[]}
+ */
+let laidOut = [];
+
+/**
+ * Formatted blocks by message ID, kept while the message text is unchanged
+ * @type {Map<number, { mes: string, block: HTMLElement|null }>}
+ */
+const blockCache = new Map();
+
+/** Messages up to this index have been read */
+let readThrough = -1;
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    chatChanged: null,
+    chatUpdated: null,
+    backgroundChanged: null,
+    keydown: null,
+    resize: null,
+};
+
+// =============================================================================
+// TEXT EXTRACTION
+// =============================================================================
+
+/**
+ * Describe a message the way layout depends on it
+ * @param {Object} message - Chat message
+ * @returns {{ mes: string, background: string|null }|null} Null for messages that are never shown
+ */
+function getLayoutKey(message) {
+    if (!message || message.is_system || typeof message.mes !== 'string') return null;
+    return { mes: message.mes, background: getMessageSnapshot(message)?.background || null };
+}
+
+/**
+ * Find the first message that changed since the pages were laid out
+ * @returns {number|null} Message ID, or null if nothing changed
+ */
+function findFirstChange() {
+    const chat = getContext().chat || [];
+    const length = Math.max(chat.length, laidOut.length);
+
+    for (let messageId = 0; messageId < length; messageId++) {
+        const key = getLayoutKey(chat[messageId]);
+        const previous = laidOut[messageId] ?? null;
+        if (key?.mes !== previous?.mes || key?.background !== previous?.background) return messageId;
+    }
+
+    return null;
+}
+
+/**
+ * Get a message's block, formatting it only if its text changed
+ * @param {Object} message - Chat message
+ * @param {number} messageId - Index in chat
+ * @returns {HTMLElement|null} Block, or null if there is no narrative to show
+ */
+function getBlock(message, messageId) {
+    const cached = blockCache.get(messageId);
+    if (cached?.mes === message.mes) return cached.block;
+
+    const text = !message.is_user && hasSceneData(message.mes)
+        ? stripSceneJson(message.mes)
+        : message.mes;
+
+    const block = text.trim() ? createBlock({
+        messageId,
+        html: messageFormatting(text, message.name, message.is_system, message.is_user, messageId),
+        isUser: !!message.is_user,
+    }) : null;
+
+    blockCache.set(messageId, { mes: message.mes, block });
+    return block;
+}
+
+/**
+ * Find the background in effect before a message
+ * @param {number} messageId - Index in chat
+ * @returns {string|null}
+ */
+function getBackgroundBefore(messageId) {
+    const chat = getContext().chat || [];
+    for (let i = messageId - 1; i >= 0; i--) {
+        const background = getLayoutKey(chat[i])?.background;
+        if (background) return background;
+    }
+    return null;
+}
+
+// =============================================================================
+// PAGINATION
+// =============================================================================
+
+/**
+ * Get (or create) the NVL overlay
+ * @returns {HTMLElement}
+ */
+function getOverlay() {
+    let overlay = document.getElementById('ct-nvl');
+    if (overlay) return overlay;
+
+    overlay = document.createElement('div');
+    overlay.id = 'ct-nvl';
+    overlay.innerHTML = `
+        <div class="ct-nvl-page" role="document" aria-live="polite"></div>
+        <div class="ct-nvl-footer">
+            <button class="ct-nvl-nav" data-nav="prev" title="Previous page" aria-label="Previous page">
+                <i class="fa-solid fa-chevron-left"></i>
+            </button>
+            <span class="ct-nvl-counter"></span>
+            <button class="ct-nvl-nav" data-nav="next" title="Next page" aria-label="Next page">
+                <i class="fa-solid fa-chevron-right"></i>
+            </button>
+        </div>
+    `;
+
+    overlay.addEventListener('click', (e) => {
+        const nav = e.target.closest('.ct-nvl-nav');
+        if (nav) {
+            nav.dataset.nav === 'prev' ? previousPage() : nextPage();
+            return;
+        }
+        // Let links and text selection work
+        if (e.target.closest('a') || window.getSelection()?.toString()) return;
+        nextPage();
+    });
+
+    overlay.addEventListener('wheel', (e) => {
+        const page = overlay.querySelector('.ct-nvl-page');
+        // Scroll long pages first, then turn
+        if (page.scrollHeight > page.clientHeight) {
+            const atTop = page.scrollTop <= 0;
+            const atBottom = page.scrollTop + page.clientHeight >= page.scrollHeight - 1;
+            if ((e.deltaY > 0 && !atBottom) || (e.deltaY < 0 && !atTop)) return;
+        }
+        e.preventDefault();
+        e.deltaY > 0 ? nextPage() : previousPage();
+    }, { passive: false });
+
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+/**
+ * Build a message block element
+ * @param {{ messageId: number, html: string, isUser: boolean }} message - Formatted message
+ * @returns {HTMLElement}
+ */
+function createBlock(message) {
+    const block = document.createElement('div');
+    block.className = 'ct-nvl-block';
+    block.classList.toggle('ct-nvl-user', message.isUser);
+    block.dataset.messageId = String(message.messageId);
+    block.innerHTML = message.html;
+    return block;
+}
+
+/**
+ * Lay the chat out into pages that fit the overlay
+ * Pages before the one holding `fromMessageId` are kept as they are. Blocks
+ * are measured in the live page element, so this must run while the overlay
+ * is visible.
+ * @param {number} [fromMessageId=0] - First message that needs laying out
+ */
+function buildPages(fromMessageId = 0) {
+    const overlay = getOverlay();
+    const pageElement = overlay.querySelector('.ct-nvl-page');
+    const chat = getContext().chat || [];
+
+    // Keep the pages that end before the change; redo the one it falls on
+    const kept = pages.findIndex(p => getLastMessageId(p) >= fromMessageId);
+    const keepCount = kept === -1 ? pages.length : kept;
+    const start = Math.min(fromMessageId, pages[keepCount]?.firstMessageId ?? fromMessageId);
+
+    pages = pages.slice(0, keepCount);
+    laidOut = laidOut.slice(0, start);
+    for (const messageId of blockCache.keys()) {
+        if (messageId >= chat.length) blockCache.delete(messageId);
+    }
+
+    let page = null;
+    let background = getBackgroundBefore(start);
+
+    const startPage = (firstMessageId) => {
+        page = { blocks: [], firstMessageId };
+        pages.push(page);
+        pageElement.replaceChildren();
+    };
+
+    for (let messageId = start; messageId < chat.length; messageId++) {
+        const message = chat[messageId];
+        const key = getLayoutKey(message);
+        laidOut[messageId] = key;
+        if (!key) continue;
+
+        const pageBreak = !!key.background && !!background && key.background !== background;
+        if (key.background) background = key.background;
+
+        const block = getBlock(message, messageId);
+        if (!block) continue;
+
+        if (!page || pageBreak) {
+            startPage(messageId);
+        }
+
+        pageElement.appendChild(block);
+
+        // Overflowed: move this block to a fresh page (unless it's alone)
+        if (pageElement.scrollHeight > pageElement.clientHeight && page.blocks.length > 0) {
+            startPage(messageId);
+            pageElement.appendChild(block);
+        }
+
+        page.blocks.push(block);
+    }
+
+    pageElement.replaceChildren();
+    console.debug(`[${MODULE_NAME}] Laid out messages ${start}-${chat.length - 1}, ${pages.length} pages in all`);
+}
+
+/**
+ * Show a page
+ * @param {number} index - Page index
+ */
+function showPage(index) {
+    const overlay = getOverlay();
+    const pageElement = overlay.querySelector('.ct-nvl-page');
+
+    currentPage = Math.max(0, Math.min(index, pages.length - 1));
+    const page = pages[currentPage];
+
+    pageElement.replaceChildren(...(page?.blocks || []));
+    pageElement.scrollTop = 0;
+
+    const counter = overlay.querySelector('.ct-nvl-counter');
+    counter.textContent = pages.length > 0 ? `${currentPage + 1} / ${pages.length}` : '';
+
+    overlay.querySelector('[data-nav="prev"]').disabled = currentPage <= 0;
+    overlay.querySelector('[data-nav="next"]').disabled = currentPage >= pages.length - 1;
+    overlay.classList.toggle('ct-nvl-last-page', currentPage >= pages.length - 1);
+
+    if (!page) return;
+    readThrough = Math.max(readThrough, getLastMessageId(page));
+
+    document.dispatchEvent(new CustomEvent('ct:nvl:page', {
+        detail: { page: currentPage, ...getNvlState() },
+    }));
+}
+
+/**
+ * Get the last message on a page
+ * @param {{ blocks: HTMLElement[] }} page - Page
+ * @returns {number}
+ */
+function getLastMessageId(page) {
+    const last = page.blocks[page.blocks.length - 1];
+    return last ? Number(last.dataset.messageId) : -1;
+}
+
+/**
+ * Whether NVL is showing
+ * @returns {boolean}
+ */
+export function isNvlActive() {
+    return nvlActive;
+}
+
+/**
+ * Reading state of the current page (for Auto/Skip)
+ * @returns {{ text: string, hasNext: boolean, nextRead: boolean }|null}
+ */
+export function getNvlState() {
+    const page = pages[currentPage];
+    if (!nvlActive || !page) return null;
+
+    const next = pages[currentPage + 1];
+    return {
+        text: page.blocks.map(block => block.textContent).join('\n'),
+        hasNext: !!next,
+        nextRead: !!next && getLastMessageId(next) <= readThrough,
+    };
+}
+
+/**
+ * Open the page a message starts on (backlog jump)
+ * @param {number} messageId - Index in chat
+ * @returns {boolean} Whether the message is on a page
+ */
+export function showNvlMessage(messageId) {
+    if (!nvlActive) return false;
+
+    const index = pages.findIndex(p => p.blocks.some(b => Number(b.dataset.messageId) === messageId));
+    if (index === -1) return false;
+
+    showPage(index);
+    return true;
+}
+
+/**
+ * Advance to the next page
+ */
+export function nextPage() {
+    if (currentPage < pages.length - 1) {
+        showPage(currentPage + 1);
+    }
+}
+
+/**
+ * Go back a page
+ */
+export function previousPage() {
+    if (currentPage > 0) {
+        showPage(currentPage - 1);
+    }
+}
+
+/**
+ * Rebuild pages from the chat
+ * Stays on the current page unless new messages arrived, in which case it
+ * opens the page where the new text starts.
+ * @param {Object} [options]
+ * @param {boolean} [options.relayout=false] - Lay out every page again (the page size changed)
+ */
+function refreshPages({ relayout = false } = {}) {
+    if (!nvlActive) return;
+
+    const from = relayout ? 0 : findFirstChange();
+    if (from === null && pages.length > 0) return;
+
+    const chatLength = getContext().chat?.length || 0;
+    const previousFirst = pages[currentPage]?.firstMessageId ?? null;
+    const firstNewMessage = chatLength > builtChatLength ? builtChatLength : null;
+
+    if (relayout) pages = [];
+    buildPages(from ?? 0);
+    builtChatLength = chatLength;
+
+    let target = pages.length - 1;
+    const anchor = firstNewMessage ?? previousFirst;
+    if (anchor !== null) {
+        const index = pages.findIndex(p => p.blocks.some(b => Number(b.dataset.messageId) >= anchor));
+        if (index !== -1) target = index;
+    }
+
+    showPage(target);
+}
+
+const refreshPagesDebounced = debounce(() => refreshPages(), debounce_timeout.short);
+const relayoutPagesDebounced = debounce(() => refreshPages({ relayout: true }), debounce_timeout.short);
+
+/**
+ * Forget the current layout so the next build opens on the latest message
+ */
+function resetToLatest() {
+    const chatLength = getContext().chat?.length || 0;
+    builtChatLength = Math.max(0, chatLength - 1);
+    readThrough = chatLength - 1;
+    pages = [];
+    laidOut = [];
+    blockCache.clear();
+    currentPage = 0;
+}
+
+// =============================================================================
+// ACTIVATION
+// =============================================================================
+
+/**
+ * Show the NVL overlay and lay out the chat
+ */
+export function showNvl() {
+    if (nvlActive) return;
+
+    nvlActive = true;
+    getOverlay().classList.add('ct-nvl-visible');
+
+    resetToLatest();
+    refreshPages();
+}
+
+/**
+ * Hide the NVL overlay
+ */
+export function hideNvl() {
+    nvlActive = false;
+    pages = [];
+    laidOut = [];
+    blockCache.clear();
+    currentPage = 0;
+    document.getElementById('ct-nvl')?.remove();
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Check whether a key event came from a text field
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isTypingTarget(event) {
+    const target = /** @type {HTMLElement} */ (event.target);
+    return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+}
+
+/**
+ * Initialize the NVL renderer
+ * Call this from main index.js
+ */
+export function initNvlRenderer() {
+    eventHandlers.chatChanged = () => {
+        resetToLatest();
+        refreshPagesDebounced();
+    };
+    eventHandlers.chatUpdated = () => refreshPagesDebounced();
+    eventHandlers.backgroundChanged = () => refreshPagesDebounced();
+    eventHandlers.resize = () => relayoutPagesDebounced();
+
+    eventHandlers.keydown = (event) => {
+        if (!nvlActive || isTypingTarget(event) || event.ctrlKey || event.altKey || event.metaKey) return;
+        if (document.querySelector('.ct-choice-panel.ct-visible, #ct-backlog')) return;
+
+        if (NEXT_KEYS.includes(event.code)) {
+            event.preventDefault();
+            nextPage();
+        } else if (PREV_KEYS.includes(event.code)) {
+            event.preventDefault();
+            previousPage();
+        }
+    };
+
+    eventSource.on(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, eventHandlers.chatUpdated);
+    eventSource.on(event_types.USER_MESSAGE_RENDERED, eventHandlers.chatUpdated);
+    eventSource.on(event_types.MESSAGE_UPDATED, eventHandlers.chatUpdated);
+    eventSource.on(event_types.MESSAGE_SWIPED, eventHandlers.chatUpdated);
+    eventSource.on(event_types.MESSAGE_DELETED, eventHandlers.chatUpdated);
+    document.addEventListener('ct:background:change', eventHandlers.backgroundChanged);
+    document.addEventListener('keydown', eventHandlers.keydown);
+    window.addEventListener('resize', eventHandlers.resize);
+
+    console.log(`[${MODULE_NAME}] NVL renderer initialized`);
+}
+
+/**
+ * Cleanup NVL listeners and DOM
+ */
+export function destroyNvlRenderer() {
+    if (eventHandlers.chatChanged) {
+        eventSource.removeListener(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    }
+    if (eventHandlers.chatUpdated) {
+        eventSource.removeListener(event_types.CHARACTER_MESSAGE_RENDERED, eventHandlers.chatUpdated);
+        eventSource.removeListener(event_types.USER_MESSAGE_RENDERED, eventHandlers.chatUpdated);
+        eventSource.removeListener(event_types.MESSAGE_UPDATED, eventHandlers.chatUpdated);
+        eventSource.removeListener(event_types.MESSAGE_SWIPED, eventHandlers.chatUpdated);
+        eventSource.removeListener(event_types.MESSAGE_DELETED, eventHandlers.chatUpdated);
+    }
+    if (eventHandlers.backgroundChanged) {
+        document.removeEventListener('ct:background:change', eventHandlers.backgroundChanged);
+    }
+    if (eventHandlers.keydown) {
+        document.removeEventListener('keydown', eventHandlers.keydown);
+    }
+    if (eventHandlers.resize) {
+        window.removeEventListener('resize', eventHandlers.resize);
+    }
+
+    eventHandlers = {
+        chatChanged: null,
+        chatUpdated: null,
+        backgroundChanged: null,
+        keydown: null,
+        resize: null,
+    };
+
+    hideNvl();
+}
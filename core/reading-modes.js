@@ -0,0 +1,334 @@
+/**
+ * ============================================================================
+ * COTTON-TALES READING MODES
+ * ============================================================================
+ * Ren'Py-style Auto and Skip for the ADV dialogue box and NVL pages.
+ *
+ * Auto: once a page has finished, wait a moment scaled to its length and
+ *       turn to the next. Waits quietly when there is nothing new.
+ * Skip: race through pages that have been read and stop at the first
+ *       unread one.
+ *
+ * Both pause while the choice panel is up - Skip switches off, Auto picks
+ * up again after a choice is made.
+ *
+ * Hotkeys (outside text fields): A toggles Auto, S toggles Skip, Escape
+ * stops either. Dispatches ct:reading:mode when the mode changes.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getDialogueState, advanceDialogue, skipTypewriter, isDialogueActive } from './dialogue-box.js';
+import { getNvlState, nextPage, isNvlActive } from './nvl-renderer.js';
+import {
+    READING_MODE,
+    AUTO_ADVANCE_BASE_DELAY,
+    AUTO_ADVANCE_PER_CHAR,
+    SKIP_ADVANCE_DELAY,
+} from './constants.js';
+
+const MODULE_NAME = 'CT-Reading';
+
+/** Hotkeys per mode */
+const MODE_KEYS = {
+    KeyA: READING_MODE.AUTO,
+    KeyS: READING_MODE.SKIP,
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Current reading mode */
+let mode = READING_MODE.OFF;
+
+/** Whether Auto is waiting on the choice panel */
+let paused = false;
+
+/** Pending page turn */
+let timer = null;
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    dialoguePage: null,
+    dialogueComplete: null,
+    nvlPage: null,
+    choiceSelected: null,
+    layoutChange: null,
+    keydown: null,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Whether the choice panel is on screen
+ * @returns {boolean}
+ */
+function isChoiceVisible() {
+    return !!document.querySelector('.ct-choice-panel.ct-visible');
+}
+
+/**
+ * Whether a key event came from a text field
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isTypingTarget(event) {
+    const target = /** @type {HTMLElement} */ (event.target);
+    return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+}
+
+/**
+ * Let listeners (the control bar) know the mode changed
+ */
+function notify() {
+    document.dispatchEvent(new CustomEvent('ct:reading:mode', {
+        detail: { mode, paused },
+    }));
+}
+
+/**
+ * Cancel the pending page turn
+ */
+function clearTimer() {
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+}
+
+/**
+ * Turn the page after a delay, unless a choice has come up meanwhile
+ * @param {function(): void} advance - Page turn
+ * @param {number} delay - Wait (ms)
+ */
+function schedule(advance, delay) {
+    clearTimer();
+    timer = setTimeout(() => {
+        timer = null;
+        if (isChoiceVisible()) {
+            pauseForChoice();
+            return;
+        }
+        advance();
+    }, delay);
+}
+
+/**
+ * Stop at the choice panel
+ */
+function pauseForChoice() {
+    if (mode === READING_MODE.SKIP) {
+        setReadingMode(READING_MODE.OFF);
+        return;
+    }
+    paused = true;
+    notify();
+}
+
+/**
+ * A page has finished: decide whether to turn it
+ * @param {{ text: string, hasNext: boolean, nextRead: boolean }|null} state - Page state
+ * @param {function(): void} advance - Page turn
+ */
+function handlePageReady(state, advance) {
+    if (!state || mode === READING_MODE.OFF) return;
+
+    if (isChoiceVisible()) {
+        pauseForChoice();
+        return;
+    }
+
+    if (mode === READING_MODE.AUTO) {
+        if (state.hasNext) {
+            schedule(advance, AUTO_ADVANCE_BASE_DELAY + (state.text?.length || 0) * AUTO_ADVANCE_PER_CHAR);
+        }
+        return;
+    }
+
+    // Skip stops at the first unread page
+    if (state.hasNext && state.nextRead) {
+        schedule(advance, SKIP_ADVANCE_DELAY);
+    } else {
+        setReadingMode(READING_MODE.OFF);
+    }
+}
+
+/**
+ * Pick up from wherever the reader is now
+ */
+function resume() {
+    if (isDialogueActive()) {
+        const state = getDialogueState();
+        if (!state) return;
+
+        if (state.typing) {
+            // Skip finishes the line now; Auto waits for ct:dialogue:complete
+            if (mode === READING_MODE.SKIP) skipTypewriter();
+            return;
+        }
+        handlePageReady(state, advanceDialogue);
+    } else if (isNvlActive()) {
+        handlePageReady(getNvlState(), nextPage);
+    }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get the current reading mode
+ * @returns {string} READING_MODE value
+ */
+export function getReadingMode() {
+    return mode;
+}
+
+/**
+ * Whether Auto is waiting on the choice panel
+ * @returns {boolean}
+ */
+export function isReadingPaused() {
+    return paused;
+}
+
+/**
+ * Switch reading mode
+ * @param {string} next - READING_MODE value
+ */
+export function setReadingMode(next) {
+    const target = Object.values(READING_MODE).includes(next) ? next : READING_MODE.OFF;
+    if (target === mode && !paused) return;
+
+    mode = target;
+    paused = false;
+    clearTimer();
+    notify();
+
+    console.debug(`[${MODULE_NAME}] Mode: ${mode}`);
+    if (mode !== READING_MODE.OFF) {
+        resume();
+    }
+}
+
+/**
+ * Turn a mode on, or off if it is already on
+ * @param {string} target - READING_MODE.AUTO or READING_MODE.SKIP
+ */
+export function toggleReadingMode(target) {
+    setReadingMode(mode === target ? READING_MODE.OFF : target);
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize reading modes
+ * Call this from main index.js
+ */
+export function initReadingModes() {
+    eventHandlers.dialoguePage = (e) => {
+        clearTimer();
+        if (mode === READING_MODE.OFF) return;
+
+        if (paused) {
+            paused = false;
+            notify();
+        }
+        // Skip finishes read pages at once (after the box has filled them in)
+        // and stops when new text arrives
+        if (mode === READING_MODE.SKIP) {
+            e.detail?.read ? schedule(skipTypewriter, 0) : setReadingMode(READING_MODE.OFF);
+        }
+    };
+
+    eventHandlers.dialogueComplete = (e) => handlePageReady(e.detail, advanceDialogue);
+
+    eventHandlers.nvlPage = (e) => {
+        clearTimer();
+        handlePageReady(e.detail, nextPage);
+    };
+
+    eventHandlers.choiceSelected = () => {
+        if (!paused) return;
+        paused = false;
+        notify();
+    };
+
+    // Auto/Skip only make sense with a reader on screen
+    eventHandlers.layoutChange = () => {
+        if (!isDialogueActive() && !isNvlActive()) {
+            setReadingMode(READING_MODE.OFF);
+        }
+    };
+
+    eventHandlers.keydown = (event) => {
+        if (!isDialogueActive() && !isNvlActive()) return;
+        if (isTypingTarget(event) || event.ctrlKey || event.altKey || event.metaKey) return;
+        if (document.getElementById('ct-backlog')) return;
+
+        if (event.code === 'Escape' && mode !== READING_MODE.OFF) {
+            setReadingMode(READING_MODE.OFF);
+            return;
+        }
+
+        const target = MODE_KEYS[event.code];
+        if (target) {
+            event.preventDefault();
+            toggleReadingMode(target);
+        }
+    };
+
+    document.addEventListener('ct:dialogue:page', eventHandlers.dialoguePage);
+    document.addEventListener('ct:dialogue:complete', eventHandlers.dialogueComplete);
+    document.addEventListener('ct:nvl:page', eventHandlers.nvlPage);
+    document.addEventListener('ct:choices:selected', eventHandlers.choiceSelected);
+    document.addEventListener('ct:layout:change', eventHandlers.layoutChange);
+    document.addEventListener('keydown', eventHandlers.keydown);
+
+    console.log(`[${MODULE_NAME}] Reading modes initialized`);
+}
+
+/**
+ * Cleanup reading mode listeners
+ */
+export function destroyReadingModes() {
+    if (eventHandlers.dialoguePage) {
+        document.removeEventListener('ct:dialogue:page', eventHandlers.dialoguePage);
+    }
+    if (eventHandlers.dialogueComplete) {
+        document.removeEventListener('ct:dialogue:complete', eventHandlers.dialogueComplete);
+    }
+    if (eventHandlers.nvlPage) {
+        document.removeEventListener('ct:nvl:page', eventHandlers.nvlPage);
+    }
+    if (eventHandlers.choiceSelected) {
+        document.removeEventListener('ct:choices:selected', eventHandlers.choiceSelected);
+    }
+    if (eventHandlers.layoutChange) {
+        document.removeEventListener('ct:layout:change', eventHandlers.layoutChange);
+    }
+    if (eventHandlers.keydown) {
+        document.removeEventListener('keydown', eventHandlers.keydown);
+    }
+
+    eventHandlers = {
+        dialoguePage: null,
+        dialogueComplete: null,
+        nvlPage: null,
+        choiceSelected: null,
+        layoutChange: null,
+        keydown: null,
+    };
+
+    clearTimer();
+    mode = READING_MODE.OFF;
+    paused = false;
+}
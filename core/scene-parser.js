@@ -16,6 +16,17 @@
 
 import { updateSceneState, getSceneState } from './macro-resolver.js';
 import { getSettings } from './settings-manager.js';
+import { segmentDialogue } from './dialogue-segmenter.js';
+import {
+    SPRITE_EFFECTS,
+    TRANSITION_TYPE,
+    CAMERA_SHAKE,
+    CAMERA_PAN,
+    CAMERA_FADE_DURATION,
+    CAMERA_FADE_MAX_DURATION,
+    TIME_OF_DAY,
+    WEATHER,
+} from './constants.js';
 
 const MODULE_NAME = 'CT-SceneParser';
 
@@ -27,6 +38,9 @@ let choiceContainerId = 'ct-react-choice-root';
 let isChoicePanelMounted = false;
 let currentChoiceCallback = null;
 
+/** Settles the pending displayChoices promise with null (set while choices are open) */
+let cancelPendingChoices = null;
+
 /**
  * Initialize the React choice panel container
  */
@@ -43,7 +57,7 @@ function initChoicePanel() {
 /**
  * Show choices using React component
  * @param {Array} choices - Array of {label, prompt} objects
- * @param {Function} onChoice - Callback (choiceText, isCustom) => void
+ * @param {Function} onChoice - Callback (choiceText, isCustom, choiceId) => void
  */
 function showChoices(choices, onChoice) {
     initChoicePanel();
@@ -71,7 +85,7 @@ function showChoices(choices, onChoice) {
         showCustomInput: settings.showCustomInput !== false,
         onChoiceSelect: (choice) => {
             if (currentChoiceCallback) {
-                currentChoiceCallback(choice.text, choice.isCustom);
+                currentChoiceCallback(choice.text, choice.isCustom, choice.id);
             }
             hideChoices();
         },
@@ -124,11 +138,11 @@ const ALT_PATTERNS = [
 /**
  * Parse a Director response to extract narrative and scene data
  * @param {string} response - Full Director response
- * @returns {{ narrative: string, scene: Object|null, raw: string }}
+ * @returns {{ narrative: string, lines: import('./dialogue-segmenter.js').DialogueLine[], scene: Object|null, raw: string }}
  */
 export function parseDirectorResponse(response) {
     if (!response || typeof response !== 'string') {
-        return { narrative: '', scene: null, raw: '' };
+        return { narrative: '', lines: [], scene: null, raw: '' };
     }
 
     let sceneJson = null;
@@ -168,8 +182,16 @@ export function parseDirectorResponse(response) {
         }
     }
 
+    // Speakers on stage, with the Director's `speaks` hints
+    const characters = scene?.characters || [];
+    const lines = segmentDialogue(narrative, {
+        speakers: characters.map(c => c.name),
+        hints: characters.filter(c => c.action === 'speaks').map(c => c.name),
+    });
+
     return {
         narrative,
+        lines,
         scene,
         raw: sceneJson || '',
     };
@@ -186,9 +208,14 @@ function validateAndNormalizeScene(scene) {
             background: null,
             music: null,
             sfx: null,
+            transition: null,
+            time: null,
+            weather: null,
         },
         characters: [],
         choices: [],
+        camera: null,
+        beats: [],
     };
 
     // Scene settings
@@ -196,6 +223,14 @@ function validateAndNormalizeScene(scene) {
         normalized.scene.background = sanitizeString(scene.scene.background);
         normalized.scene.music = sanitizeString(scene.scene.music);
         normalized.scene.sfx = sanitizeString(scene.scene.sfx);
+        normalized.scene.transition = normalizeTransition(scene.scene.transition);
+        normalized.scene.time = normalizeTime(scene.scene.time);
+        normalized.scene.weather = normalizeWeather(scene.scene.weather);
+    }
+
+    // A one-off transition may also sit at the top level
+    if (!normalized.scene.transition) {
+        normalized.scene.transition = normalizeTransition(scene.transition);
     }
 
     // Characters
@@ -208,9 +243,21 @@ function validateAndNormalizeScene(scene) {
                 outfit: sanitizeString(c.outfit),
                 position: normalizePosition(c.position),
                 action: normalizeAction(c.action),
+                effect: normalizeEffect(c.effect),
             }));
     }
 
+    // Camera
+    normalized.camera = normalizeCamera(scene.camera ?? scene.screen);
+
+    // Beats
+    if (Array.isArray(scene.beats)) {
+        normalized.beats = scene.beats
+            .map(normalizeBeat)
+            .filter(Boolean)
+            .sort((a, b) => a.line - b.line);
+    }
+
     // Choices
     if (Array.isArray(scene.choices)) {
         normalized.choices = scene.choices
@@ -262,6 +309,92 @@ function normalizeAction(action) {
     return valid.includes(normalized) ? normalized : null;
 }
 
+/**
+ * Normalize sprite effect value
+ * @param {any} effect - Effect value
+ * @returns {string|null} Normalized effect (null for none)
+ */
+function normalizeEffect(effect) {
+    if (!effect || effect === 'null') return null;
+    const normalized = String(effect).toLowerCase();
+    if (normalized === SPRITE_EFFECTS.NONE) return null;
+    return Object.values(SPRITE_EFFECTS).includes(normalized) ? normalized : null;
+}
+
+/**
+ * Normalize transition value
+ * @param {any} transition - Transition value
+ * @returns {string|null} Normalized transition (null to use the settings)
+ */
+function normalizeTransition(transition) {
+    if (!transition || transition === 'null') return null;
+    const normalized = String(transition).toLowerCase();
+    return Object.values(TRANSITION_TYPE).includes(normalized) ? normalized : null;
+}
+
+/**
+ * Normalize time of day value
+ * @param {any} time - Time value
+ * @returns {string|null} Normalized time (null keeps the current one)
+ */
+function normalizeTime(time) {
+    if (!time || time === 'null') return null;
+    const normalized = String(time).toLowerCase();
+    return Object.values(TIME_OF_DAY).includes(normalized) ? normalized : null;
+}
+
+/**
+ * Normalize weather value
+ * @param {any} weather - Weather value
+ * @returns {string|null} Normalized weather (null keeps the current one)
+ */
+function normalizeWeather(weather) {
+    if (!weather || weather === 'null') return null;
+    const normalized = String(weather).toLowerCase();
+    return Object.values(WEATHER).includes(normalized) ? normalized : null;
+}
+
+/**
+ * Normalize camera directions
+ * @param {any} camera - Camera block
+ * @returns {import('./camera.js').CameraDirections|null} Normalized directions (null if none)
+ */
+function normalizeCamera(camera) {
+    if (!camera || typeof camera !== 'object') return null;
+
+    const shake = String(camera.shake || '').toLowerCase();
+    const pan = String(camera.pan || '').toLowerCase();
+    const fade = camera.fade === true ? CAMERA_FADE_DURATION : Number(camera.fade);
+
+    const normalized = {
+        shake: Object.values(CAMERA_SHAKE).includes(shake) ? shake : null,
+        zoom: sanitizeString(camera.zoom),
+        pan: Object.values(CAMERA_PAN).includes(pan) ? pan : null,
+        flash: camera.flash === true || camera.flash === 'true',
+        fade: fade > 0 ? Math.min(fade, CAMERA_FADE_MAX_DURATION) : null,
+    };
+
+    const hasDirections = normalized.shake || normalized.zoom || normalized.pan || normalized.flash || normalized.fade;
+    return hasDirections ? normalized : null;
+}
+
+/**
+ * Normalize an expression beat
+ * @param {any} beat - Beat entry
+ * @returns {{ line: number, character: string, expression: string|null, effect: string|null }|null} Beat (null if unusable)
+ */
+function normalizeBeat(beat) {
+    if (!beat || typeof beat !== 'object') return null;
+
+    const line = Number(beat.line);
+    const character = sanitizeString(beat.character ?? beat.name);
+    const expression = sanitizeString(beat.expression);
+    const effect = normalizeEffect(beat.effect);
+
+    if (!Number.isInteger(line) || line < 0 || !character || (!expression && !effect)) return null;
+    return { line, character, expression, effect };
+}
+
 // =============================================================================
 // SCENE APPLICATION
 // =============================================================================
@@ -279,12 +412,17 @@ export function applyScene(scene) {
     const changes = [];
     const currentState = getSceneState();
     const newState = {};
+    const transition = scene.scene?.transition || null;
+
+    if (transition) {
+        changes.push(`transition: ${transition}`);
+    }
 
     // Apply background change
     if (scene.scene?.background && scene.scene.background !== currentState.background) {
         newState.background = scene.scene.background;
         changes.push(`background: ${scene.scene.background}`);
-        applyBackground(scene.scene.background);
+        applyBackground(scene.scene.background, transition);
     }
 
     // Apply music change
@@ -294,6 +432,20 @@ export function applyScene(scene) {
         applyMusic(scene.scene.music);
     }
 
+    // Apply time of day and weather (null keeps the current ones)
+    const atmosphere = {};
+    if (scene.scene?.time && scene.scene.time !== currentState.time) {
+        newState.time = atmosphere.time = scene.scene.time;
+        changes.push(`time: ${scene.scene.time}`);
+    }
+    if (scene.scene?.weather && scene.scene.weather !== currentState.weather) {
+        newState.weather = atmosphere.weather = scene.scene.weather;
+        changes.push(`weather: ${scene.scene.weather}`);
+    }
+    if (Object.keys(atmosphere).length > 0) {
+        applyAtmosphere(atmosphere);
+    }
+
     // Apply SFX (one-shot, doesn't update state)
     if (scene.scene?.sfx) {
         changes.push(`sfx: ${scene.scene.sfx}`);
@@ -302,11 +454,22 @@ export function applyScene(scene) {
 
     // Apply character changes
     if (scene.characters?.length > 0) {
-        const charChanges = applyCharacters(scene.characters, currentState.characters);
+        const charChanges = applyCharacters(scene.characters, currentState.characters, transition);
         newState.characters = charChanges.newCharacters;
         changes.push(...charChanges.changes);
     }
 
+    // Apply camera directions (after characters, so zooms can find them)
+    if (scene.camera) {
+        changes.push(`camera: ${describeCamera(scene.camera)}`);
+        applyCamera(scene.camera);
+    }
+
+    // Beats play line by line in the dialogue box (dialogue-box.js)
+    if (scene.beats?.length > 0) {
+        changes.push(`beats: ${scene.beats.length}`);
+    }
+
     // Update state
     if (Object.keys(newState).length > 0) {
         updateSceneState(newState);
@@ -329,11 +492,13 @@ export function applyScene(scene) {
 /**
  * Apply background change
  * @param {string} background - Background name
+ * @param {string|null} [transition] - One-off transition type (null uses the settings)
+ * @param {boolean} [restore=false] - Rolling the stage back (no transition)
  */
-function applyBackground(background) {
+function applyBackground(background, transition = null, restore = false) {
     // Dispatch event for background handler to pick up
     const event = new CustomEvent('ct:background:change', {
-        detail: { background },
+        detail: { background, transition, restore },
     });
     document.dispatchEvent(event);
 
@@ -366,13 +531,55 @@ function applySfx(sfx) {
     console.debug(`[${MODULE_NAME}] SFX requested: ${sfx}`);
 }
 
+/**
+ * Apply time of day and weather
+ * @param {Object} atmosphere - { time?, weather? } (missing keys stay as they are)
+ * @param {boolean} [restore=false] - Swap without fading (snapshot restores)
+ */
+function applyAtmosphere(atmosphere, restore = false) {
+    const event = new CustomEvent('ct:atmosphere:change', {
+        detail: { ...atmosphere, restore },
+    });
+    document.dispatchEvent(event);
+    console.debug(`[${MODULE_NAME}] Atmosphere requested:`, atmosphere);
+}
+
+/**
+ * Apply camera directions
+ * @param {Object} camera - { shake, zoom, pan, flash, fade }
+ */
+function applyCamera(camera) {
+    const event = new CustomEvent('ct:camera', {
+        detail: { camera },
+    });
+    document.dispatchEvent(event);
+
+    console.debug(`[${MODULE_NAME}] Camera requested: ${describeCamera(camera)}`);
+}
+
+/**
+ * Summarize camera directions for logs
+ * @param {Object} camera - { shake, zoom, pan, flash, fade }
+ * @returns {string}
+ */
+function describeCamera(camera) {
+    return [
+        camera.shake && `shake ${camera.shake}`,
+        camera.zoom && `zoom ${camera.zoom}`,
+        camera.pan && `pan ${camera.pan}`,
+        camera.flash && 'flash',
+        camera.fade && `fade ${camera.fade}ms`,
+    ].filter(Boolean).join(', ');
+}
+
 /**
  * Apply character changes
  * @param {Object[]} newChars - New character states
  * @param {Object[]} currentChars - Current character states
+ * @param {string|null} [transition] - One-off transition type (null uses the settings)
  * @returns {{ newCharacters: Object[], changes: string[] }}
  */
-function applyCharacters(newChars, currentChars) {
+function applyCharacters(newChars, currentChars, transition = null) {
     const changes = [];
     const charMap = new Map(currentChars.map(c => [c.name, c]));
 
@@ -382,10 +589,10 @@ function applyCharacters(newChars, currentChars) {
         // Handle enters/exits
         if (char.action === 'enters' && !current) {
             charMap.set(char.name, char);
-            changes.push(`${char.name} enters`);
+            changes.push(`${char.name} enters${char.effect ? ` (${char.effect})` : ''}`);
 
             const event = new CustomEvent('ct:character:enter', {
-                detail: { character: char },
+                detail: { character: char, transition },
             });
             document.dispatchEvent(event);
         } else if (char.action === 'exits' && current) {
@@ -393,7 +600,7 @@ function applyCharacters(newChars, currentChars) {
             changes.push(`${char.name} exits`);
 
             const event = new CustomEvent('ct:character:exit', {
-                detail: { name: char.name },
+                detail: { name: char.name, transition },
             });
             document.dispatchEvent(event);
         } else {
@@ -418,11 +625,14 @@ function applyCharacters(newChars, currentChars) {
                     changes.push(`${char.name} moved: ${char.position}`);
                 }
             }
+            if (char.effect) {
+                changes.push(`${char.name} effect: ${char.effect}`);
+            }
 
             charMap.set(char.name, merged);
 
             const event = new CustomEvent('ct:character:update', {
-                detail: { character: merged },
+                detail: { character: merged, transition },
             });
             document.dispatchEvent(event);
         }
@@ -434,6 +644,91 @@ function applyCharacters(newChars, currentChars) {
     };
 }
 
+// =============================================================================
+// SCENE RESTORATION
+// =============================================================================
+
+/**
+ * Rebuild the stage to match a stored snapshot
+ * Unlike applyScene (which only merges forward), this also removes characters
+ * and stops music that aren't part of the snapshot.
+ * @param {Object|null} snapshot - { background, music, time, weather, characters } or null for an empty stage
+ * @returns {{ changes: string[] }}
+ */
+export function restoreScene(snapshot) {
+    const target = {
+        background: snapshot?.background || null,
+        music: snapshot?.music || null,
+        time: snapshot?.time || null,
+        weather: snapshot?.weather || null,
+        characters: Array.isArray(snapshot?.characters) ? snapshot.characters : [],
+    };
+
+    const current = getSceneState();
+    const changes = [];
+
+    // Background (keep whatever ST shows if the snapshot has none)
+    if (target.background && target.background !== current.background) {
+        applyBackground(target.background, null, true);
+        changes.push(`background: ${target.background}`);
+    }
+
+    // Music (null stops playback)
+    if (target.music !== current.music) {
+        applyMusic(target.music);
+        changes.push(`music: ${target.music || 'stopped'}`);
+    }
+
+    // Time and weather (null clears the layers)
+    if (target.time !== current.time || target.weather !== current.weather) {
+        applyAtmosphere({ time: target.time, weather: target.weather }, true);
+        changes.push(`atmosphere: ${target.time || 'none'}, ${target.weather || 'none'}`);
+    }
+
+    // Characters
+    const targetNames = new Set(target.characters.map(c => c.name));
+    const currentMap = new Map(current.characters.map(c => [c.name, c]));
+
+    for (const char of current.characters) {
+        if (!targetNames.has(char.name)) {
+            document.dispatchEvent(new CustomEvent('ct:character:exit', {
+                detail: { name: char.name, restore: true },
+            }));
+            changes.push(`${char.name} removed`);
+        }
+    }
+
+    for (const char of target.characters) {
+        const existing = currentMap.get(char.name);
+
+        if (!existing) {
+            document.dispatchEvent(new CustomEvent('ct:character:enter', {
+                detail: { character: char, restore: true },
+            }));
+            changes.push(`${char.name} restored`);
+        } else if (JSON.stringify(existing) !== JSON.stringify(char)) {
+            document.dispatchEvent(new CustomEvent('ct:character:update', {
+                detail: { character: char, restore: true },
+            }));
+            changes.push(`${char.name} reset`);
+        }
+    }
+
+    updateSceneState({
+        background: target.background || current.background,
+        music: target.music,
+        time: target.time,
+        weather: target.weather,
+        characters: target.characters.map(c => ({ ...c })),
+    });
+
+    if (changes.length > 0) {
+        console.log(`[${MODULE_NAME}] Restored scene:`, changes);
+    }
+
+    return { changes };
+}
+
 // =============================================================================
 // CHOICE HANDLING
 // =============================================================================
@@ -441,7 +736,7 @@ function applyCharacters(newChars, currentChars) {
 /**
  * Display choices to the user using the choice panel component
  * @param {Object[]} choices - Array of choice objects
- * @returns {Promise<{text: string, isCustom: boolean}|null>} Selected choice or null if cancelled
+ * @returns {Promise<{text: string, isCustom: boolean, index: number|null, label: string, prompt: string}|null>} Selected choice or null if cancelled
  */
 export async function displayChoices(choices) {
     if (!choices || choices.length === 0) {
@@ -451,12 +746,36 @@ export async function displayChoices(choices) {
     // Initialize panel if needed
     initChoicePanel();
 
+    // A newer set of choices replaces any still waiting for an answer
+    cancelPendingChoices?.();
+
     return new Promise((resolve) => {
         let resolved = false;
 
-        const onChoice = (choiceText, isCustom) => {
+        const cancel = () => {
             if (resolved) return;
             resolved = true;
+            cancelPendingChoices = null;
+            resolve(null);
+        };
+        cancelPendingChoices = cancel;
+
+        const onChoice = (choiceText, isCustom, choiceId) => {
+            if (resolved) return;
+            resolved = true;
+            cancelPendingChoices = null;
+
+            // Map the React choice id back to the Director's choice
+            const index = isCustom ? null : parseInt(String(choiceId).replace('choice-', ''), 10);
+            const source = Number.isInteger(index) ? choices[index] : null;
+
+            const selected = {
+                text: choiceText,
+                isCustom: !!isCustom,
+                index: source ? index : null,
+                label: source?.label || choiceText,
+                prompt: source?.prompt || choiceText,
+            };
 
             console.log(`[${MODULE_NAME}] Choice selected: "${choiceText}" (custom: ${isCustom})`);
 
@@ -464,28 +783,20 @@ export async function displayChoices(choices) {
             const event = new CustomEvent('ct:choices:selected', {
                 detail: {
                     choice: {
-                        label: choiceText,
-                        prompt: choiceText,
-                        isCustom,
+                        label: selected.label,
+                        prompt: selected.prompt,
+                        index: selected.index,
+                        isCustom: selected.isCustom,
                     },
                 },
             });
             document.dispatchEvent(event);
 
-            resolve({ text: choiceText, isCustom });
+            resolve(selected);
         };
 
         // Show the choice panel with options
         showChoices(choices, onChoice);
-
-        // Auto-resolve after timeout (prevents hanging)
-        setTimeout(() => {
-            if (!resolved) {
-                resolved = true;
-                hideChoices();
-                resolve(null);
-            }
-        }, 300000); // 5 minute timeout
     });
 }
 
@@ -496,14 +807,17 @@ export async function displayChoices(choices) {
 export function injectChoice(choice) {
     if (!choice) return;
 
-    const choiceText = typeof choice === 'string' ? choice : (choice.prompt || choice.label || choice.text);
+    const choiceText = typeof choice === 'string'
+        ? choice
+        : (choice.isCustom ? choice.text : (choice.prompt || choice.label || choice.text));
 
     const event = new CustomEvent('ct:choice:inject', {
         detail: {
             text: choiceText,
             label: typeof choice === 'object' ? choice.label : choiceText,
             prompt: typeof choice === 'object' ? choice.prompt : choiceText,
-            isCustom: typeof choice === 'object' ? choice.isCustom : false,
+            index: typeof choice === 'object' && Number.isInteger(choice.index) ? choice.index : null,
+            isCustom: typeof choice === 'object' ? !!choice.isCustom : false,
         },
     });
     document.dispatchEvent(event);
@@ -521,8 +835,10 @@ export function areChoicesVisible() {
 
 /**
  * Dismiss currently shown choices
+ * A displayChoices call still waiting for an answer resolves with null.
  */
 export function dismissChoices() {
+    cancelPendingChoices?.();
     hideChoices();
 }
 
@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * COTTON-TALES SCENE REPAIR
+ * ============================================================================
+ * Second chance for a scene block the linter could not read (or only read
+ * with low confidence). The broken block and what went wrong with it - the
+ * JSON.parse error and where it happened - are sent back in a quiet prompt
+ * asking for corrected JSON only, and the answer is linted again.
+ *
+ * Each message gets at most `sceneRepairAttempts` re-prompts. Requests go
+ * the same way as the Director pass (director-pass.js). The outcome is
+ * recorded on the message by director-runtime.js, so a repaired scene is
+ * replayed without asking again.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getSettings } from './settings-manager.js';
+import { lintSceneResponse } from './linter/index.js';
+import { SCENE_REPAIR_PROMPT } from './director-prompts.js';
+import { sendDirectorRequest } from './director-pass.js';
+import { SCENE_REPAIR_MIN_CONFIDENCE, SCENE_REPAIR_MAX_ATTEMPTS } from './constants.js';
+
+const MODULE_NAME = 'CT-SceneRepair';
+
+/**
+ * Outcome of a repair
+ * @typedef {Object} RepairResult
+ * @property {boolean} repaired - A readable scene came back
+ * @property {number} attempts - Re-prompts used
+ * @property {string|null} text - The corrected block (null if the repair failed)
+ * @property {import('./linter/index.js').LintResult|null} lint - Lint of the corrected block
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Get how many re-prompts a message may use
+ * @returns {number}
+ */
+function getRepairBudget() {
+    const attempts = Number(getSettings().sceneRepairAttempts) || 0;
+    return Math.max(0, Math.min(attempts, SCENE_REPAIR_MAX_ATTEMPTS));
+}
+
+/**
+ * Check whether a lint result is good enough to use
+ * @param {import('./linter/index.js').LintResult} lint
+ * @returns {boolean}
+ */
+function isUsable(lint) {
+    return !!lint?.scene && lint.confidence >= SCENE_REPAIR_MIN_CONFIDENCE;
+}
+
+/**
+ * Build the repair request: the broken block and what is wrong with it
+ * @param {import('./linter/index.js').LintResult} lint - Lint of the broken block
+ * @returns {string}
+ */
+function formatRepairRequest(lint) {
+    const problems = new Set();
+
+    if (lint.diagnostics.syntaxError) {
+        problems.add(`JSON syntax error: ${lint.diagnostics.syntaxError}`);
+    }
+    // The syntax warning is covered above, and fallback notes mean nothing to the model
+    for (const warning of lint.warnings) {
+        if (!/^(JSON syntax unfixable|Fallback extraction)/.test(warning)) problems.add(warning);
+    }
+    if (problems.size === 0) {
+        problems.add(`Read with low confidence (${lint.confidence}%)`);
+    }
+
+    return [
+        '### Broken Block',
+        '',
+        '```vn-scene',
+        lint.diagnostics.rawJson,
+        '```',
+        '',
+        '### Problems',
+        '',
+        ...[...problems].map(problem => `- ${problem}`),
+    ].join('\n');
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Check whether scene repair is switched on
+ * @returns {boolean}
+ */
+export function isSceneRepairEnabled() {
+    return getRepairBudget() > 0;
+}
+
+/**
+ * Check whether a lint result should be sent for repair
+ * Only blocks that were found but not read well qualify - a reply without
+ * any block has nothing to repair.
+ * @param {import('./linter/index.js').LintResult} lint
+ * @returns {boolean}
+ */
+export function needsSceneRepair(lint) {
+    return !!lint?.diagnostics?.rawJson && !isUsable(lint);
+}
+
+/**
+ * Re-prompt for a broken scene block until it lints or the budget runs out
+ * @param {import('./linter/index.js').LintResult} lint - Lint of the broken block
+ * @param {Object} [options] - Linting options for the corrected block (see lintSceneResponse)
+ * @returns {Promise<RepairResult>}
+ */
+export async function repairSceneBlock(lint, options = {}) {
+    const budget = getRepairBudget();
+    const result = { repaired: false, attempts: 0, text: null, lint: null };
+    let current = lint;
+
+    while (result.attempts < budget) {
+        result.attempts++;
+
+        let output;
+        try {
+            output = await sendDirectorRequest(SCENE_REPAIR_PROMPT, formatRepairRequest(current));
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Repair request failed:`, error);
+            break;
+        }
+
+        if (!output) continue;
+
+        const relint = lintSceneResponse(output, { ...options, allowFallback: false });
+        if (isUsable(relint)) {
+            result.repaired = true;
+            result.text = output;
+            result.lint = relint;
+            console.log(`[${MODULE_NAME}] Scene repaired after ${result.attempts} attempt(s)`);
+            return result;
+        }
+
+        // Ask about the newest attempt next time, if it produced a block at all
+        if (relint.diagnostics.rawJson) current = relint;
+    }
+
+    console.warn(`[${MODULE_NAME}] Scene repair failed after ${result.attempts} attempt(s)`);
+    return result;
+}
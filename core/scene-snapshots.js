@@ -0,0 +1,141 @@
+/**
+ * ============================================================================
+ * COTTON-TALES SCENE SNAPSHOTS
+ * ============================================================================
+ * Per-message record of what the stage looked like after each Director turn.
+ *
+ * Every applied scene stores a snapshot (background, music, time, weather,
+ * characters, choices) in the message's `extra` metadata. Swipes, deletes, edits and
+ * branches rebuild the stage from the latest snapshot that still exists in
+ * the chat instead of merging forward from stale state.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { saveChatDebounced } from '../../../../../script.js';
+import { MESSAGE_EXTRA_KEYS } from './constants.js';
+import { getMessageMeta, setMessageMeta } from './message-metadata.js';
+import { getSceneState } from './macro-resolver.js';
+import { restoreScene } from './scene-parser.js';
+
+const MODULE_NAME = 'CT-SceneSnapshots';
+
+// =============================================================================
+// SNAPSHOT STORAGE
+// =============================================================================
+
+/**
+ * Scene snapshot stored on a message
+ * @typedef {Object} SceneSnapshot
+ * @property {string|null} background - Background name
+ * @property {string|null} music - Music track name
+ * @property {string|null} time - Time of day
+ * @property {string|null} weather - Weather
+ * @property {Object[]} characters - Characters on stage { name, expression, outfit, position }
+ * @property {Object[]} choices - Choices offered with this message { label, prompt }
+ */
+
+/**
+ * Capture the current stage as a snapshot
+ * @param {Object[]} [choices=[]] - Choices offered with the message
+ * @returns {SceneSnapshot}
+ */
+export function captureSnapshot(choices = []) {
+    const state = getSceneState();
+
+    return {
+        background: state.background || null,
+        music: state.music || null,
+        time: state.time || null,
+        weather: state.weather || null,
+        characters: (state.characters || []).map(c => ({
+            name: c.name,
+            expression: c.expression || null,
+            outfit: c.outfit || null,
+            position: c.position || 'center',
+        })),
+        choices: (choices || []).map(c => ({
+            label: c.label,
+            prompt: c.prompt || '',
+        })),
+    };
+}
+
+/**
+ * Store the current stage on a message
+ * @param {number} messageId - Message index in chat
+ * @param {Object[]} [choices=[]] - Choices offered with the message
+ * @returns {SceneSnapshot|null} Stored snapshot
+ */
+export function saveMessageSnapshot(messageId, choices = []) {
+    const message = getContext().chat?.[Number(messageId)];
+    if (!message) return null;
+
+    const snapshot = captureSnapshot(choices);
+    setMessageMeta(message, MESSAGE_EXTRA_KEYS.SCENE, snapshot);
+    saveChatDebounced();
+
+    console.debug(`[${MODULE_NAME}] Snapshot stored on message ${messageId}`);
+    return snapshot;
+}
+
+/**
+ * Remove a message's snapshot (e.g. after an edit removed its scene block)
+ * @param {number} messageId - Message index in chat
+ */
+export function clearMessageSnapshot(messageId) {
+    const message = getContext().chat?.[Number(messageId)];
+    if (!getMessageSnapshot(message)) return;
+
+    setMessageMeta(message, MESSAGE_EXTRA_KEYS.SCENE, null);
+    saveChatDebounced();
+}
+
+/**
+ * Get the snapshot stored on a message
+ * @param {Object} message - Chat message
+ * @returns {SceneSnapshot|null}
+ */
+export function getMessageSnapshot(message) {
+    return getMessageMeta(message, MESSAGE_EXTRA_KEYS.SCENE);
+}
+
+/**
+ * Find the most recent snapshot at or before a message index
+ * @param {number} [upToIndex] - Last message index to consider (defaults to end of chat)
+ * @returns {{ messageId: number, snapshot: SceneSnapshot }|null}
+ */
+export function findLatestSnapshot(upToIndex) {
+    const chat = getContext().chat || [];
+    const start = Math.min(upToIndex ?? chat.length - 1, chat.length - 1);
+
+    for (let i = start; i >= 0; i--) {
+        const snapshot = getMessageSnapshot(chat[i]);
+        if (snapshot) {
+            return { messageId: i, snapshot };
+        }
+    }
+
+    return null;
+}
+
+// =============================================================================
+// STAGE REBUILD
+// =============================================================================
+
+/**
+ * Rebuild the stage from the latest snapshot at or before a message
+ * Falls back to an empty stage when no snapshot survives.
+ * @param {number} [upToIndex] - Last message index to consider (defaults to end of chat)
+ * @returns {{ messageId: number, snapshot: SceneSnapshot }|null} Snapshot used, if any
+ */
+export function rebuildStage(upToIndex) {
+    const latest = findLatestSnapshot(upToIndex);
+
+    restoreScene(latest?.snapshot || null);
+
+    console.debug(`[${MODULE_NAME}] Stage rebuilt from ${latest ? `message ${latest.messageId}` : 'empty state'}`);
+    return latest;
+}
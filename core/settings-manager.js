@@ -12,7 +12,7 @@
 
 import { extension_settings } from '../../../../extensions.js';
 import { saveSettingsDebounced } from '../../../../../script.js';
-import { SETTINGS_KEY, EXPRESSION_API, LAYOUT_MODE, TRANSITION_TYPE, DIALOGUE_POSITION, VECTHARE_TRIGGER } from './constants.js';
+import { SETTINGS_KEY, EXPRESSION_API, CLASSIFY_MODE, LAYOUT_MODE, TRANSITION_TYPE, DIALOGUE_POSITION, VECTHARE_TRIGGER, SCENE_ORDER, DIRECTOR_OUTPUT, SCENE_REPAIR_MAX_ATTEMPTS } from './constants.js';
 import { getDefaultSettings } from './default-settings.js';
 
 // =============================================================================
@@ -34,18 +34,33 @@ const VALIDATORS = {
     showCustomInput: (v) => typeof v === 'boolean',
     choiceButtonStyle: (v) => ['rounded', 'square', 'pill'].includes(v),
     choiceAnimation: (v) => ['fade', 'slide', 'none'].includes(v),
+    autoSendChoices: (v) => typeof v === 'boolean',
     spriteEnabled: (v) => typeof v === 'boolean',
     spritePosition: (v) => ['left', 'center', 'right'].includes(v),
     spriteTransition: (v) => Object.values(TRANSITION_TYPE).includes(v),
     spriteTransitionDuration: (v) => typeof v === 'number' && v >= 0 && v <= 2000,
     expressionApi: (v) => Object.values(EXPRESSION_API).includes(v),
+    classifyMode: (v) => Object.values(CLASSIFY_MODE).includes(v),
+    sceneOrder: (v) => Object.values(SCENE_ORDER).includes(v),
+    directorOutput: (v) => Object.values(DIRECTOR_OUTPUT).includes(v),
+    directorPass: (v) => typeof v === 'boolean',
+    directorPassUseProfile: (v) => typeof v === 'boolean',
+    sceneRepairAttempts: (v) => Number.isInteger(v) && v >= 0 && v <= SCENE_REPAIR_MAX_ATTEMPTS,
     vecthareEnabled: (v) => typeof v === 'boolean',
     vecthareTrigger: (v) => Object.values(VECTHARE_TRIGGER).includes(v),
     fallbackExpression: (v) => typeof v === 'string' && v.length > 0,
     expressionsEnabled: (v) => typeof v === 'boolean',
     backgroundTransition: (v) => Object.values(TRANSITION_TYPE).includes(v),
     backgroundTransitionDuration: (v) => typeof v === 'number' && v >= 0 && v <= 2000,
+    cameraEnabled: (v) => typeof v === 'boolean',
+    atmosphereEnabled: (v) => typeof v === 'boolean',
     customExpressionMappings: (v) => Array.isArray(v),
+    audioEnabled: (v) => typeof v === 'boolean',
+    masterVolume: (v) => typeof v === 'number' && v >= 0 && v <= 100,
+    musicVolume: (v) => typeof v === 'number' && v >= 0 && v <= 100,
+    sfxVolume: (v) => typeof v === 'number' && v >= 0 && v <= 100,
+    musicLibrary: (v) => Array.isArray(v),
+    sfxLibrary: (v) => Array.isArray(v),
     characterExpressionProfiles: (v) => typeof v === 'object' && v !== null,
 };
 
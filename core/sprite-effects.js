@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * COTTON-TALES SPRITE EFFECTS
+ * ============================================================================
+ * Short overlays played on a character sprite: hearts, sparkles, a sweat
+ * drop, an anger vein, blush, tears or a shock mark.
+ *
+ * Each effect is a layer of CSS-animated particles appended to the sprite's
+ * holder element, so it follows the character when they move slots. The
+ * layer removes itself once the effect's duration (SPRITE_EFFECT_DURATIONS)
+ * is up. Playing a new effect on the same holder replaces the old one.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { power_user } from '../../../../power-user.js';
+import { getSettings } from './settings-manager.js';
+import { SPRITE_EFFECTS, SPRITE_EFFECT_DURATIONS } from './constants.js';
+
+const MODULE_NAME = 'CT-SpriteEffects';
+
+/**
+ * Particle layout per effect
+ * count: particles to draw, html: markup of one particle
+ */
+const EFFECT_PARTICLES = {
+    [SPRITE_EFFECTS.HEARTS]: { count: 5, html: '<i class="fa-solid fa-heart"></i>' },
+    [SPRITE_EFFECTS.SPARKLE]: { count: 6, html: '<i class="fa-solid fa-star"></i>' },
+    [SPRITE_EFFECTS.SWEAT_DROP]: { count: 1, html: '<i class="fa-solid fa-droplet"></i>' },
+    [SPRITE_EFFECTS.ANGER_VEIN]: { count: 1, html: '<span class="ct-effect-glyph">💢</span>' },
+    [SPRITE_EFFECTS.BLUSH]: { count: 2, html: '' },
+    [SPRITE_EFFECTS.TEARS]: { count: 4, html: '<i class="fa-solid fa-droplet"></i>' },
+    [SPRITE_EFFECTS.SHOCK]: { count: 3, html: '' },
+};
+
+/** Pending removals per holder */
+const timers = new WeakMap();
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Whether a value is a playable effect
+ * @param {string} effect - Effect name
+ * @returns {boolean}
+ */
+export function isSpriteEffect(effect) {
+    return !!effect && effect !== SPRITE_EFFECTS.NONE && effect in EFFECT_PARTICLES;
+}
+
+/**
+ * Remove any effect playing on a holder
+ * @param {HTMLElement} holder - Sprite holder
+ */
+export function clearSpriteEffect(holder) {
+    if (!holder) return;
+
+    clearTimeout(timers.get(holder));
+    timers.delete(holder);
+    holder.querySelectorAll(':scope > .ct-sprite-effect').forEach(el => el.remove());
+}
+
+/**
+ * Play an effect over a sprite
+ * @param {HTMLElement} holder - Element wrapping the sprite (positioned)
+ * @param {string} effect - SPRITE_EFFECTS value
+ * @returns {boolean} Whether the effect was shown
+ */
+export function playSpriteEffect(holder, effect) {
+    if (!holder?.isConnected || !isSpriteEffect(effect)) return false;
+    if (getSettings().effectsEnabled === false) return false;
+
+    clearSpriteEffect(holder);
+
+    const { count, html } = EFFECT_PARTICLES[effect];
+    const duration = SPRITE_EFFECT_DURATIONS[effect] ?? 1500;
+
+    const layer = document.createElement('div');
+    layer.className = 'ct-sprite-effect';
+    layer.classList.toggle('ct-sprite-effect-still', !!power_user.reduced_motion);
+    layer.dataset.effect = effect;
+    layer.style.setProperty('--ct-effect-duration', `${duration}ms`);
+    layer.setAttribute('aria-hidden', 'true');
+
+    for (let i = 0; i < count; i++) {
+        const particle = document.createElement('span');
+        particle.className = 'ct-effect-particle';
+        particle.style.setProperty('--i', String(i));
+        particle.style.setProperty('--count', String(count));
+        particle.innerHTML = html;
+        layer.appendChild(particle);
+    }
+
+    holder.appendChild(layer);
+    timers.set(holder, setTimeout(() => {
+        timers.delete(holder);
+        layer.remove();
+    }, duration));
+
+    console.debug(`[${MODULE_NAME}] ${effect} on ${holder.dataset.name || 'sprite'} (${duration}ms)`);
+    return true;
+}
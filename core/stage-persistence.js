@@ -0,0 +1,93 @@
+/**
+ * ============================================================================
+ * COTTON-TALES STAGE PERSISTENCE
+ * ============================================================================
+ * Saves the live VN stage in the chat's metadata so reopening a chat resumes
+ * exactly where the story left off: background, music, characters (with
+ * positions and outfits) and any choices still waiting for an answer.
+ *
+ * Per-message snapshots (scene-snapshots.js) remain the source of truth for
+ * rollbacks; the chat-level copy is what gets replayed on load. The saved
+ * chat length guards against branches, which inherit the parent chat's
+ * metadata but not its later messages.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext, saveMetadataDebounced } from '../../../../extensions.js';
+import { chat_metadata } from '../../../../../script.js';
+import { CHAT_METADATA_KEY } from './constants.js';
+import { captureSnapshot } from './scene-snapshots.js';
+
+const MODULE_NAME = 'CT-StagePersistence';
+
+/**
+ * Stage state saved in chat metadata
+ * @typedef {Object} SavedStage
+ * @property {import('./scene-snapshots.js').SceneSnapshot} stage - Stage at save time
+ * @property {{ messageId: number, choices: Object[] }|null} pendingChoices - Unanswered choices
+ * @property {number} chatLength - Number of messages in chat when saved
+ * @property {number} savedAt - Timestamp
+ */
+
+/**
+ * Save the current stage to the open chat's metadata
+ * Saves made for other reasons (edits, rebuilds) leave out pendingChoices:
+ * the saved choices are then kept as long as their message is still the
+ * last one in chat - anything after it means they were answered or gone.
+ * @param {Object} [options]
+ * @param {{ messageId: number, choices: Object[] }|null} [options.pendingChoices] - Unanswered choices (null clears them)
+ */
+export function saveStageState({ pendingChoices } = {}) {
+    if (!chat_metadata) return;
+
+    const saved = chat_metadata[CHAT_METADATA_KEY] || {};
+    const chatLength = getContext().chat?.length || 0;
+    const pending = pendingChoices === undefined
+        ? (saved.pendingChoices?.messageId === chatLength - 1 ? saved.pendingChoices : null)
+        : pendingChoices;
+
+    chat_metadata[CHAT_METADATA_KEY] = {
+        ...saved,
+        stage: captureSnapshot(),
+        pendingChoices: pending?.choices?.length > 0
+            ? { messageId: pending.messageId, choices: pending.choices }
+            : null,
+        chatLength,
+        savedAt: Date.now(),
+    };
+
+    saveMetadataDebounced();
+    console.debug(`[${MODULE_NAME}] Stage saved to chat metadata`);
+}
+
+/**
+ * Get the stage saved for the open chat
+ * Returns null if the chat has changed length since saving (branch, deletes
+ * made while the extension was off), so callers fall back to snapshots.
+ * @returns {SavedStage|null}
+ */
+export function getSavedStageState() {
+    const saved = chat_metadata?.[CHAT_METADATA_KEY];
+    if (!saved?.stage) return null;
+
+    const chatLength = getContext().chat?.length || 0;
+    if (saved.chatLength !== chatLength) {
+        console.debug(`[${MODULE_NAME}] Saved stage is for ${saved.chatLength} messages, chat has ${chatLength} - ignoring`);
+        return null;
+    }
+
+    return saved;
+}
+
+/**
+ * Forget pending choices (answered, dismissed or superseded)
+ */
+export function clearPendingChoices() {
+    const saved = chat_metadata?.[CHAT_METADATA_KEY];
+    if (!saved?.pendingChoices) return;
+
+    saved.pendingChoices = null;
+    saveMetadataDebounced();
+}
@@ -0,0 +1,585 @@
+/**
+ * ============================================================================
+ * COTTON-TALES STAGE RENDERER
+ * ============================================================================
+ * Draws Director-specified characters on the VN stage.
+ *
+ * Listens for the character events emitted by scene-parser.js
+ * (ct:character:enter / exit / update) and places each character in the
+ * left, center or right slot with the requested outfit and expression.
+ * Characters are resolved from card NPCs, group members and the wider
+ * character list, so the Director can bring in anyone with sprites - not
+ * just members of the current chat.
+ *
+ * A character's one-shot `effect` (hearts, tears...) is played over their
+ * sprite by sprite-effects.js; restores never replay it.
+ *
+ * In the ADV dialogue box each line names its speaker (ct:dialogue:line);
+ * the speaker is brought forward, everyone else steps back, and the
+ * speaker's expression for that line is shown. The Director's `beats` for
+ * the line (expression or effect changes mid-reply) play at the same time.
+ * When expressions are classified per line, ct-expressions.js brings the
+ * speaker forward again with the classified expression.
+ *
+ * While the stage holds characters the classifier-driven sprite wrappers
+ * from ct-expressions.js are hidden, so the two never draw over each other.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getContext, extension_settings } from '../../../../extensions.js';
+import { eventSource, event_types, getThumbnailUrl } from '../../../../../script.js';
+import { getSettings } from './settings-manager.js';
+import { getSpritesList } from '../ct-expressions.js';
+import { playSpriteEffect } from './sprite-effects.js';
+import { getTransition, swapImages } from './transitions.js';
+import { DEFAULT_FALLBACK_EXPRESSION, LAYOUT_MODE } from './constants.js';
+
+const MODULE_NAME = 'CT-StageRenderer';
+
+/** Stage slots, left to right */
+const STAGE_POSITIONS = ['left', 'center', 'right'];
+
+/** Body class set while the stage has characters */
+const STAGE_ACTIVE_CLASS = 'ct-stage-active';
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** @type {Map<string, Object[]>} Sprite lists per folder (grouped by label) */
+const spriteLists = new Map();
+
+/** Whether the stage should be shown (VN mode on and a chat open) */
+let stageVisible = false;
+
+/**
+ * Registered event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    characterEnter: null,
+    characterExit: null,
+    characterUpdate: null,
+    dialogueLine: null,
+    layoutChange: null,
+    chatChanged: null,
+};
+
+// =============================================================================
+// CHARACTER RESOLUTION
+// =============================================================================
+
+/**
+ * Where to find a stage character's sprites
+ * @typedef {Object} StageCharacterSource
+ * @property {string[]} folders - Sprite folders to try, in order
+ * @property {string} avatarUrl - Fallback image when no sprite matches
+ * @property {boolean} isNpc - Whether this is a card NPC
+ */
+
+/**
+ * Find where a Director character name's sprites live
+ * Card NPCs win over characters, group members over the wider character list.
+ * @param {string} name - Character name from the Director
+ * @returns {StageCharacterSource}
+ */
+function resolveCharacterSource(name) {
+    const context = getContext();
+    const settings = getSettings();
+    const lowerName = String(name).toLowerCase();
+
+    const cardNpcs = settings.cardNpcs?.[context.characterId];
+    const npc = Array.isArray(cardNpcs)
+        ? cardNpcs.find(n => n?.name?.toLowerCase() === lowerName)
+        : null;
+
+    if (npc) {
+        return {
+            folders: [...new Set([npc.folderName, npc.name].filter(Boolean))],
+            avatarUrl: npc.avatar && npc.avatar.includes('/') ? npc.avatar : '',
+            isNpc: true,
+        };
+    }
+
+    const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+    const candidates = (context.characters || []).filter(c => c?.name?.toLowerCase() === lowerName);
+    const character = candidates.find(c => group?.members?.includes(c.avatar)) || candidates[0];
+
+    if (!character) {
+        return { folders: [name], avatarUrl: '', isNpc: false };
+    }
+
+    const avatarFolder = character.avatar?.replace(/\.[^/.]+$/, '') || '';
+    const override = (extension_settings.expressionOverrides || []).find(e => e.name === avatarFolder);
+
+    return {
+        folders: [...new Set([override?.path, character.name, avatarFolder].filter(Boolean))],
+        avatarUrl: character.avatar ? getThumbnailUrl('avatar', character.avatar) : '',
+        isNpc: false,
+    };
+}
+
+/**
+ * Get a folder's sprites (cached for the session)
+ * @param {string} folder - Sprite folder name
+ * @returns {Promise<Object[]>} Sprites grouped by label
+ */
+async function getFolderSprites(folder) {
+    if (!spriteLists.has(folder)) {
+        spriteLists.set(folder, await getSpritesList(folder));
+    }
+    return spriteLists.get(folder);
+}
+
+/**
+ * Find the sprite for a character's outfit and expression
+ * Outfit sprites are labelled "outfit/expression"; the default outfit has
+ * no prefix. Falls back to the fallback expression, then to the default outfit.
+ * @param {Object[]} sprites - Sprites grouped by label
+ * @param {string|null} outfit - Outfit name
+ * @param {string|null} expression - Expression label
+ * @returns {string|null} Image URL
+ */
+function chooseSprite(sprites, outfit, expression) {
+    if (!sprites?.length) return null;
+
+    const fallback = getSettings().fallbackExpression || DEFAULT_FALLBACK_EXPRESSION;
+    const prefixes = outfit && outfit !== 'default' ? [`${outfit}/`, ''] : [''];
+    const expressions = [...new Set([expression, fallback].filter(Boolean))];
+
+    for (const prefix of prefixes) {
+        for (const expr of expressions) {
+            const label = `${prefix}${expr}`.toLowerCase();
+            const sprite = sprites.find(s => s.label?.toLowerCase() === label);
+            if (sprite?.files?.length > 0) {
+                return sprite.files[0].imageSrc;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the image to show for a character (sprite, else avatar)
+ * Also used for PRT portraits.
+ * @param {Object} character - { name, expression, outfit }
+ * @returns {Promise<string>} Image URL (empty if nothing found)
+ */
+export async function resolveCharacterImage(character) {
+    const source = resolveCharacterSource(character.name);
+
+    for (const folder of source.folders) {
+        const src = chooseSprite(await getFolderSprites(folder), character.outfit, character.expression);
+        if (src) return src;
+    }
+
+    return source.avatarUrl;
+}
+
+// =============================================================================
+// STAGE DOM
+// =============================================================================
+
+/**
+ * Get (or create) the stage container
+ * @returns {HTMLElement}
+ */
+function getStageElement() {
+    let stage = document.getElementById('ct-vn-stage');
+    if (stage) return stage;
+
+    stage = document.createElement('div');
+    stage.id = 'ct-vn-stage';
+    stage.setAttribute('aria-hidden', 'true');
+
+    for (const position of STAGE_POSITIONS) {
+        const slot = document.createElement('div');
+        slot.className = 'ct-stage-slot';
+        slot.dataset.position = position;
+        stage.appendChild(slot);
+    }
+
+    document.body.appendChild(stage);
+    return stage;
+}
+
+/**
+ * Find a character's element on stage
+ * @param {string} name - Character name
+ * @returns {HTMLElement|null}
+ */
+function findCharacterElement(name) {
+    const stage = document.getElementById('ct-vn-stage');
+    if (!stage) return null;
+
+    return [...stage.querySelectorAll('.ct-stage-character')]
+        .find(el => el.dataset.name === name && !el.classList.contains('ct-stage-leaving')) || null;
+}
+
+/**
+ * Normalize a Director position to a stage slot
+ * @param {string} position - Position from the scene
+ * @returns {string}
+ */
+function normalizePosition(position) {
+    return STAGE_POSITIONS.includes(position) ? position : 'center';
+}
+
+/**
+ * Play an enter/exit animation on a stage element
+ * @param {HTMLElement} element - Character element
+ * @param {'enter'|'exit'} direction - Animation direction
+ * @param {import('./transitions.js').Transition} transition - Resolved transition
+ * @returns {Promise<void>}
+ */
+function animateCharacter(element, direction, transition) {
+    const { type, duration } = transition;
+    if (duration === 0) return Promise.resolve();
+
+    return new Promise(resolve => {
+        element.style.setProperty('--ct-stage-duration', `${duration}ms`);
+        element.classList.add(`ct-stage-${direction}`, `ct-stage-${type}`);
+
+        setTimeout(() => {
+            element.classList.remove(`ct-stage-${direction}`, `ct-stage-${type}`);
+            resolve();
+        }, duration);
+    });
+}
+
+/**
+ * Swap a character's image using the sprite transition
+ * @param {HTMLElement} element - Character element
+ * @param {string} src - New image URL
+ * @param {import('./transitions.js').Transition} transition - Resolved transition
+ */
+function setCharacterImage(element, src, transition) {
+    const img = element.querySelector('img.ct-stage-sprite');
+    if (!img || img.getAttribute('src') === src) return;
+
+    element.classList.toggle('ct-stage-no-sprite', !src);
+
+    if (transition.duration === 0 || !img.getAttribute('src')) {
+        img.src = src;
+        return;
+    }
+
+    // Finish any swap still running so only one copy is outgoing
+    element.querySelectorAll('img.ct-stage-sprite-outgoing').forEach(el => el.remove());
+
+    const clone = /** @type {HTMLElement} */ (img.cloneNode());
+    clone.classList.add('ct-stage-sprite-outgoing');
+    element.appendChild(clone);
+
+    img.src = src;
+    swapImages(clone, img, transition).then(() => clone.remove());
+}
+
+/**
+ * Move a character element to its slot
+ * @param {HTMLElement} element - Character element
+ * @param {string} position - Stage position
+ */
+function placeCharacter(element, position) {
+    const slot = getStageElement().querySelector(`.ct-stage-slot[data-position="${normalizePosition(position)}"]`);
+    if (slot && element.parentElement !== slot) {
+        slot.appendChild(element);
+    }
+}
+
+/**
+ * Keep the classifier sprites hidden while the stage has characters
+ */
+function updateStageActive() {
+    const stage = document.getElementById('ct-vn-stage');
+    const hasCharacters = !!stage?.querySelector('.ct-stage-character:not(.ct-stage-leaving)');
+
+    document.body.classList.toggle(STAGE_ACTIVE_CLASS, stageVisible && hasCharacters);
+    if (stage) {
+        stage.classList.toggle('ct-stage-visible', stageVisible);
+    }
+}
+
+// =============================================================================
+// STAGE OPERATIONS
+// =============================================================================
+
+/**
+ * Put a character on stage (or update them if already there)
+ * @param {Object} character - { name, expression, outfit, position, effect }
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Skip animation
+ * @param {string|null} [options.transition] - One-off transition type from the scene
+ */
+export async function showCharacter(character, { instant = false, transition = null } = {}) {
+    if (!character?.name) return;
+
+    const existing = findCharacterElement(character.name);
+    if (existing) {
+        await updateCharacter(character, { instant, transition });
+        return;
+    }
+
+    const element = document.createElement('div');
+    element.className = 'ct-stage-character';
+    element.dataset.name = character.name;
+    element.dataset.expression = character.expression || '';
+    element.dataset.outfit = character.outfit || 'default';
+
+    const img = document.createElement('img');
+    img.className = 'ct-stage-sprite';
+    img.alt = character.name;
+    element.appendChild(img);
+
+    placeCharacter(element, character.position);
+    updateStageActive();
+
+    const src = await resolveCharacterImage(character);
+
+    // Exited while the sprite list was loading
+    if (!element.isConnected || element.classList.contains('ct-stage-leaving')) return;
+
+    img.src = src;
+    element.classList.toggle('ct-stage-no-sprite', !src);
+    if (!instant) playSpriteEffect(element, character.effect);
+
+    await animateCharacter(element, 'enter', getTransition('sprite', { override: transition, instant }));
+    console.debug(`[${MODULE_NAME}] ${character.name} entered (${normalizePosition(character.position)})`);
+}
+
+/**
+ * Update a character's expression, outfit or position
+ * @param {Object} character - { name, expression, outfit, position, effect }
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Skip animation
+ * @param {string|null} [options.transition] - One-off transition type from the scene
+ */
+export async function updateCharacter(character, { instant = false, transition = null } = {}) {
+    if (!character?.name) return;
+
+    const element = findCharacterElement(character.name);
+    if (!element) {
+        await showCharacter(character, { instant, transition });
+        return;
+    }
+
+    placeCharacter(element, character.position);
+    element.dataset.expression = character.expression || '';
+    element.dataset.outfit = character.outfit || 'default';
+
+    const src = await resolveCharacterImage(character);
+    if (element.isConnected) {
+        setCharacterImage(element, src, getTransition('sprite', { override: transition, instant }));
+        if (!instant) playSpriteEffect(element, character.effect);
+    }
+}
+
+/**
+ * Take a character off stage
+ * @param {string} name - Character name
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Skip animation
+ * @param {string|null} [options.transition] - One-off transition type from the scene
+ */
+export async function hideCharacter(name, { instant = false, transition = null } = {}) {
+    const element = findCharacterElement(name);
+    if (!element) return;
+
+    element.classList.add('ct-stage-leaving');
+    updateStageActive();
+
+    await animateCharacter(element, 'exit', getTransition('sprite', { override: transition, instant }));
+    element.remove();
+
+    console.debug(`[${MODULE_NAME}] ${name} exited`);
+}
+
+/**
+ * Find a character on stage by a name as written in the text (any case)
+ * @param {string|null} name - Character name
+ * @returns {HTMLElement|null}
+ */
+function findNamedCharacter(name) {
+    const target = name?.toLowerCase();
+    if (!target) return null;
+
+    return [...document.querySelectorAll('#ct-vn-stage .ct-stage-character:not(.ct-stage-leaving)')]
+        .find(el => el.dataset.name?.toLowerCase() === target) || null;
+}
+
+/**
+ * Change the expression of a character already on stage
+ * @param {HTMLElement} element - Character element
+ * @param {string|null} expression - Expression to show
+ */
+function setStageExpression(element, expression) {
+    if (!expression || element.dataset.expression === expression) return;
+
+    updateCharacter({
+        name: element.dataset.name,
+        expression,
+        outfit: element.dataset.outfit,
+        position: element.parentElement?.dataset.position,
+    });
+}
+
+/**
+ * Get the sprite folder of a character on stage
+ * @param {string} name - Character name
+ * @returns {string|null} Folder name, or null if they're not on stage
+ */
+export function getStageSpriteFolder(name) {
+    if (!findNamedCharacter(name)) return null;
+    return resolveCharacterSource(name).folders[0] || null;
+}
+
+/**
+ * Bring the speaker of a dialogue line forward
+ * Shows the line's expression if it differs from the sprite on stage.
+ * @param {string|null} speaker - Speaker name (null for narration: nobody)
+ * @param {string|null} [expression] - Speaker's expression for the line
+ */
+export function focusSpeaker(speaker, expression = null) {
+    const stage = document.getElementById('ct-vn-stage');
+    if (!stage) return;
+
+    const element = findNamedCharacter(speaker);
+
+    stage.querySelectorAll('.ct-stage-character').forEach(el => {
+        el.classList.toggle('ct-stage-speaking', el === element);
+    });
+    stage.classList.toggle('ct-stage-has-speaker', !!element);
+
+    if (element) setStageExpression(element, expression);
+}
+
+/**
+ * Play the Director's beats for a dialogue line
+ * @param {Object[]} [beats=[]] - { character, expression, effect }
+ */
+export function playBeats(beats = []) {
+    for (const beat of beats) {
+        const element = findNamedCharacter(beat.character);
+        if (!element) continue;
+
+        setStageExpression(element, beat.expression);
+        if (beat.effect) playSpriteEffect(element, beat.effect);
+    }
+}
+
+/**
+ * Remove every character from the stage
+ */
+export function clearStage() {
+    document.querySelectorAll('#ct-vn-stage .ct-stage-character').forEach(el => el.remove());
+    updateStageActive();
+}
+
+/**
+ * Show or hide the stage (follows VN mode)
+ * @param {boolean} visible - Whether the stage should be shown
+ */
+export function setStageVisible(visible) {
+    stageVisible = !!visible;
+    getStageElement();
+    updateStageActive();
+}
+
+/**
+ * Forget cached sprite lists (call after sprite uploads)
+ */
+export function clearStageSpriteCache() {
+    spriteLists.clear();
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the stage renderer
+ * Call this from main index.js
+ */
+export function initStageRenderer() {
+    eventHandlers.characterEnter = (event) => {
+        const { character, restore, transition } = event.detail || {};
+        showCharacter(character, { instant: !!restore, transition });
+    };
+
+    eventHandlers.characterExit = (event) => {
+        const { name, restore, transition } = event.detail || {};
+        hideCharacter(name, { instant: !!restore, transition });
+    };
+
+    eventHandlers.characterUpdate = (event) => {
+        const { character, restore, transition } = event.detail || {};
+        updateCharacter(character, { instant: !!restore, transition });
+    };
+
+    document.addEventListener('ct:character:enter', eventHandlers.characterEnter);
+    document.addEventListener('ct:character:exit', eventHandlers.characterExit);
+    document.addEventListener('ct:character:update', eventHandlers.characterUpdate);
+
+    eventHandlers.dialogueLine = (event) => {
+        const { speaker, expression, beats } = event.detail || {};
+        playBeats(beats);
+        focusSpeaker(speaker, expression);
+    };
+
+    // Only the dialogue box names speakers
+    eventHandlers.layoutChange = (event) => {
+        if (event.detail?.layout !== LAYOUT_MODE.ADV) focusSpeaker(null);
+    };
+
+    document.addEventListener('ct:dialogue:line', eventHandlers.dialogueLine);
+    document.addEventListener('ct:layout:change', eventHandlers.layoutChange);
+
+    // Sprites may have been added since the last chat
+    eventHandlers.chatChanged = () => clearStageSpriteCache();
+    eventSource.on(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+
+    getStageElement();
+    updateStageActive();
+
+    console.log(`[${MODULE_NAME}] Stage renderer initialized`);
+}
+
+/**
+ * Cleanup stage renderer listeners and DOM
+ */
+export function destroyStageRenderer() {
+    if (eventHandlers.characterEnter) {
+        document.removeEventListener('ct:character:enter', eventHandlers.characterEnter);
+    }
+    if (eventHandlers.characterExit) {
+        document.removeEventListener('ct:character:exit', eventHandlers.characterExit);
+    }
+    if (eventHandlers.characterUpdate) {
+        document.removeEventListener('ct:character:update', eventHandlers.characterUpdate);
+    }
+    if (eventHandlers.dialogueLine) {
+        document.removeEventListener('ct:dialogue:line', eventHandlers.dialogueLine);
+    }
+    if (eventHandlers.layoutChange) {
+        document.removeEventListener('ct:layout:change', eventHandlers.layoutChange);
+    }
+    if (eventHandlers.chatChanged) {
+        eventSource.removeListener(event_types.CHAT_CHANGED, eventHandlers.chatChanged);
+    }
+
+    eventHandlers = {
+        characterEnter: null,
+        characterExit: null,
+        characterUpdate: null,
+        dialogueLine: null,
+        layoutChange: null,
+        chatChanged: null,
+    };
+
+    document.getElementById('ct-vn-stage')?.remove();
+    document.body.classList.remove(STAGE_ACTIVE_CLASS);
+    spriteLists.clear();
+    stageVisible = false;
+}
@@ -0,0 +1,270 @@
+/**
+ * ============================================================================
+ * COTTON-TALES STRUCTURED OUTPUT
+ * ============================================================================
+ * Lets the Director hand over scene directions as structured data instead of
+ * a fenced vn-scene block, on backends that support it:
+ * - tool calling (Chat Completion with function calling on): a stealth
+ *   `set_vn_scene` tool the model calls after its narrative
+ * - constrained decoding (Text Completion, TabbyAPI / llama.cpp): the whole
+ *   reply is held to a JSON schema with the narrative in a `narrative` field
+ *
+ * Both are built from VN_SCHEMA. Tool arguments are stored on the message
+ * (ct_structured_scene) and preferred over the text when the message is
+ * processed; a schema-shaped reply goes through the regular linter, which
+ * reads the narrative field. Backends with neither, and models that write a
+ * vn-scene block anyway, fall back to the regex linter.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { eventSource, event_types } from '../../../../../script.js';
+import { ToolManager } from '../../../../tool-calling.js';
+import { isJsonSchemaSupported } from '../../../../textgen-settings.js';
+import { getSettings } from './settings-manager.js';
+import { VN_SCHEMA, STRUCTURED_TOOL_NOTE, STRUCTURED_SCHEMA_NOTE } from './director-prompts.js';
+import { applyStructuredScene } from './director-runtime.js';
+import { DIRECTOR_OUTPUT, SCENE_TOOL_NAME, SKIPPED_GENERATION_TYPES } from './constants.js';
+
+const MODULE_NAME = 'CT-StructuredOutput';
+
+/** @enum {string} How structured data reaches us on the current backend */
+export const STRUCTURED_BACKEND = {
+    TOOL: 'tool',
+    SCHEMA: 'schema',
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Type of the generation in progress (null when idle) */
+let generationType = null;
+
+/**
+ * Registered ST event handlers (kept for cleanup)
+ */
+let eventHandlers = {
+    generationAfterCommands: null,
+    generationEnded: null,
+    textCompletionSettingsReady: null,
+};
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+/**
+ * Convert one VN_SCHEMA field to JSON Schema
+ * @param {Object} field - VN_SCHEMA field ({ type, values, description, items, properties })
+ * @returns {Object} JSON Schema
+ */
+function toJsonSchema(field) {
+    // Plain groups of fields (VN_SCHEMA.scene) have no type of their own
+    if (!field.type) {
+        return { type: 'object', properties: toJsonSchemaProperties(field) };
+    }
+
+    const types = field.type.split('|');
+    const nullable = types.includes('null');
+    const base = types.find(t => t !== 'null');
+    const schema = {};
+
+    if (base === 'enum') {
+        schema.type = nullable ? ['string', 'null'] : 'string';
+        schema.enum = nullable ? [...field.values, null] : [...field.values];
+    } else if (base === 'array') {
+        schema.type = 'array';
+        schema.items = { type: 'object', properties: toJsonSchemaProperties(field.items) };
+    } else if (base === 'object') {
+        schema.type = nullable ? ['object', 'null'] : 'object';
+        schema.properties = toJsonSchemaProperties(field.properties);
+    } else {
+        schema.type = nullable ? [base, 'null'] : base;
+    }
+
+    if (field.description) {
+        schema.description = field.description;
+    }
+
+    return schema;
+}
+
+/**
+ * Convert a map of VN_SCHEMA fields to JSON Schema properties
+ * @param {Object} fields - Field name → field
+ * @returns {Object} Property name → JSON Schema
+ */
+function toJsonSchemaProperties(fields = {}) {
+    return Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, toJsonSchema(field)]));
+}
+
+/**
+ * JSON Schema for a scene (the set_vn_scene tool's parameters)
+ * @returns {Object}
+ */
+export function getSceneJsonSchema() {
+    return {
+        type: 'object',
+        properties: toJsonSchemaProperties(VN_SCHEMA),
+        required: ['scene', 'characters'],
+    };
+}
+
+/**
+ * JSON Schema for a whole reply under constrained decoding
+ * @returns {Object}
+ */
+export function getReplyJsonSchema() {
+    const scene = getSceneJsonSchema();
+
+    return {
+        type: 'object',
+        properties: {
+            narrative: { type: 'string', description: 'The narrative response, as it should appear in chat' },
+            ...scene.properties,
+        },
+        required: ['narrative', ...scene.required],
+    };
+}
+
+// =============================================================================
+// BACKEND DETECTION
+// =============================================================================
+
+/**
+ * Check whether structured output is switched on
+ * @returns {boolean}
+ */
+function isStructuredEnabled() {
+    const settings = getSettings();
+    // The separate Director pass writes a plain block instead
+    return !!settings.directorEnabled && !settings.directorPass && settings.directorOutput === DIRECTOR_OUTPUT.STRUCTURED;
+}
+
+/**
+ * Find how the current backend can return structured data
+ * @returns {string|null} STRUCTURED_BACKEND value, or null to use the text block
+ */
+export function getStructuredBackend() {
+    if (!isStructuredEnabled()) return null;
+
+    if (ToolManager.isToolCallingSupported()) return STRUCTURED_BACKEND.TOOL;
+    if (isJsonSchemaSupported()) return STRUCTURED_BACKEND.SCHEMA;
+    return null;
+}
+
+/**
+ * Output instructions to add to the Director prompt
+ * Empty when the Director writes a vn-scene block as usual.
+ * @returns {string}
+ */
+export function getStructuredPromptNote() {
+    switch (getStructuredBackend()) {
+        case STRUCTURED_BACKEND.TOOL:
+            return STRUCTURED_TOOL_NOTE;
+        case STRUCTURED_BACKEND.SCHEMA:
+            return STRUCTURED_SCHEMA_NOTE;
+        default:
+            return '';
+    }
+}
+
+// =============================================================================
+// TOOL
+// =============================================================================
+
+/**
+ * Register the set_vn_scene tool with ST
+ * It is only offered to the model while structured output is on and the
+ * backend supports tool calling.
+ */
+function registerSceneTool() {
+    ToolManager.registerFunctionTool({
+        name: SCENE_TOOL_NAME,
+        displayName: 'Set VN Scene',
+        description: 'Set the visual novel scene for your reply: background, music, characters on stage, camera, beats and choices. Call once, after writing the narrative.',
+        parameters: getSceneJsonSchema(),
+        action: async (args) => {
+            const applied = applyStructuredScene(args);
+            return applied ? 'Scene applied.' : 'No message to apply the scene to.';
+        },
+        formatMessage: () => '',
+        shouldRegister: async () => getStructuredBackend() === STRUCTURED_BACKEND.TOOL,
+        // Scene changes don't belong in chat, and need no follow-up reply
+        stealth: true,
+    });
+}
+
+// =============================================================================
+// CONSTRAINED DECODING
+// =============================================================================
+
+/**
+ * Hold a Director reply to the reply schema
+ * @param {Object} params - Text Completion request parameters
+ */
+function applyReplySchema(params) {
+    if (!generationType || SKIPPED_GENERATION_TYPES.includes(generationType)) return;
+    if (getStructuredBackend() !== STRUCTURED_BACKEND.SCHEMA) return;
+
+    params.json_schema = getReplyJsonSchema();
+    // Grammars conflict with a schema
+    delete params.grammar_string;
+    console.debug(`[${MODULE_NAME}] Reply held to the scene schema`);
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize structured output
+ * Call this from main index.js (after the Director runtime)
+ */
+export function initStructuredOutput() {
+    registerSceneTool();
+
+    eventHandlers.generationAfterCommands = (type, _params, dryRun) => {
+        generationType = dryRun ? null : (type || 'normal');
+    };
+    eventHandlers.generationEnded = () => {
+        generationType = null;
+    };
+    eventHandlers.textCompletionSettingsReady = (params) => {
+        applyReplySchema(params);
+    };
+
+    eventSource.on(event_types.GENERATION_AFTER_COMMANDS, eventHandlers.generationAfterCommands);
+    eventSource.on(event_types.GENERATION_ENDED, eventHandlers.generationEnded);
+    eventSource.on(event_types.GENERATION_STOPPED, eventHandlers.generationEnded);
+    eventSource.on(event_types.TEXT_COMPLETION_SETTINGS_READY, eventHandlers.textCompletionSettingsReady);
+
+    console.log(`[${MODULE_NAME}] Structured output initialized`);
+}
+
+/**
+ * Cleanup structured output
+ */
+export function destroyStructuredOutput() {
+    if (eventHandlers.generationAfterCommands) {
+        eventSource.removeListener(event_types.GENERATION_AFTER_COMMANDS, eventHandlers.generationAfterCommands);
+    }
+    if (eventHandlers.generationEnded) {
+        eventSource.removeListener(event_types.GENERATION_ENDED, eventHandlers.generationEnded);
+        eventSource.removeListener(event_types.GENERATION_STOPPED, eventHandlers.generationEnded);
+    }
+    if (eventHandlers.textCompletionSettingsReady) {
+        eventSource.removeListener(event_types.TEXT_COMPLETION_SETTINGS_READY, eventHandlers.textCompletionSettingsReady);
+    }
+
+    eventHandlers = {
+        generationAfterCommands: null,
+        generationEnded: null,
+        textCompletionSettingsReady: null,
+    };
+
+    generationType = null;
+    ToolManager.unregisterFunctionTool(SCENE_TOOL_NAME);
+}
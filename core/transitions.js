@@ -0,0 +1,228 @@
+/**
+ * ============================================================================
+ * COTTON-TALES TRANSITIONS
+ * ============================================================================
+ * Shared timing and animation for sprite and background changes.
+ *
+ * The type and duration come from the sprite/background transition
+ * settings, unless a scene asks for a one-off transition ("transition" in
+ * the vn-scene block). Reduced motion always wins and swaps instantly.
+ *
+ * Sprites crossfade between two image elements (swapImages). Backgrounds
+ * are still changed by ST; a copy of the old background is laid over the
+ * page while ST swaps it, then animated away (transitionBackground).
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { power_user } from '../../../../power-user.js';
+import { getSettings } from './settings-manager.js';
+import { TRANSITION_TYPE, DEFAULT_TRANSITION_DURATION, BACKGROUND_SWAP_TIMEOUT } from './constants.js';
+
+const MODULE_NAME = 'CT-Transitions';
+
+/** Settings keys per transition target */
+const TRANSITION_SETTINGS = {
+    sprite: { type: 'spriteTransition', duration: 'spriteTransitionDuration' },
+    background: { type: 'backgroundTransition', duration: 'backgroundTransitionDuration' },
+};
+
+/** ST background layers, topmost first */
+const BACKGROUND_ELEMENT_IDS = ['bg_custom', 'bg1'];
+
+/**
+ * Resolved transition
+ * @typedef {Object} Transition
+ * @property {string} type - TRANSITION_TYPE value
+ * @property {number} duration - Length (ms), 0 for instant
+ */
+
+// =============================================================================
+// TIMING
+// =============================================================================
+
+/**
+ * Check a transition type
+ * @param {any} value - Candidate type
+ * @returns {string|null} TRANSITION_TYPE value or null
+ */
+export function normalizeTransitionType(value) {
+    if (!value || typeof value !== 'string') return null;
+    const normalized = value.trim().toLowerCase();
+    return Object.values(TRANSITION_TYPE).includes(normalized) ? normalized : null;
+}
+
+/**
+ * Work out how a change should animate
+ * @param {'sprite'|'background'} target - What is changing
+ * @param {Object} [options]
+ * @param {string|null} [options.override] - One-off type from the scene
+ * @param {boolean} [options.instant=false] - Skip animation (restores)
+ * @returns {Transition}
+ */
+export function getTransition(target, { override = null, instant = false } = {}) {
+    const keys = TRANSITION_SETTINGS[target] || TRANSITION_SETTINGS.sprite;
+    const settings = getSettings();
+    const type = normalizeTransitionType(override) || normalizeTransitionType(settings[keys.type]) || TRANSITION_TYPE.FADE;
+
+    if (instant || power_user.reduced_motion || type === TRANSITION_TYPE.NONE) {
+        return { type: TRANSITION_TYPE.NONE, duration: 0 };
+    }
+
+    return {
+        type,
+        duration: settings[keys.duration] ?? DEFAULT_TRANSITION_DURATION,
+    };
+}
+
+/**
+ * Play transition classes on an element and clean them up afterwards
+ * @param {HTMLElement} element - Element to animate
+ * @param {string} direction - 'in' or 'out'
+ * @param {Transition} transition - Resolved transition
+ * @returns {Promise<void>}
+ */
+function play(element, direction, { type, duration }) {
+    return new Promise(resolve => {
+        element.style.setProperty('--ct-transition-duration', `${duration}ms`);
+        element.classList.add(`ct-transition-${direction}`, `ct-transition-${type}`);
+
+        setTimeout(() => {
+            element.classList.remove(`ct-transition-${direction}`, `ct-transition-${type}`);
+            resolve();
+        }, duration);
+    });
+}
+
+// =============================================================================
+// SPRITES
+// =============================================================================
+
+/**
+ * Animate from one sprite image to another
+ * Both elements should already be in place (the outgoing one usually an
+ * absolutely positioned copy). The caller removes the outgoing element.
+ * @param {HTMLElement} outgoing - Image being replaced
+ * @param {HTMLElement} incoming - Image taking its place
+ * @param {Transition} transition - Resolved transition
+ * @returns {Promise<void>}
+ */
+export async function swapImages(outgoing, incoming, transition) {
+    incoming.style.opacity = '';
+    if (transition.duration === 0) return;
+
+    await Promise.all([
+        play(outgoing, 'out', transition),
+        play(incoming, 'in', transition),
+    ]);
+}
+
+// =============================================================================
+// BACKGROUNDS
+// =============================================================================
+
+/**
+ * Find the background layer ST is showing
+ * @returns {HTMLElement|null}
+ */
+function getVisibleBackground() {
+    for (const id of BACKGROUND_ELEMENT_IDS) {
+        const element = document.getElementById(id);
+        if (!element) continue;
+
+        const style = getComputedStyle(element);
+        if (style.display !== 'none' && style.backgroundImage && style.backgroundImage !== 'none') {
+            return element;
+        }
+    }
+    return null;
+}
+
+/**
+ * Lay a copy of a background over the page
+ * @param {HTMLElement} source - ST background layer
+ * @returns {HTMLElement}
+ */
+function createBackgroundCover(source) {
+    const style = getComputedStyle(source);
+    const rect = source.getBoundingClientRect();
+
+    document.getElementById('ct-bg-transition')?.remove();
+
+    const cover = document.createElement('div');
+    cover.id = 'ct-bg-transition';
+    cover.setAttribute('aria-hidden', 'true');
+    Object.assign(cover.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        zIndex: style.zIndex,
+        backgroundImage: style.backgroundImage,
+        backgroundSize: style.backgroundSize,
+        backgroundPosition: style.backgroundPosition,
+        backgroundRepeat: style.backgroundRepeat,
+        backgroundColor: style.backgroundColor,
+        filter: style.filter,
+    });
+
+    source.after(cover);
+    return cover;
+}
+
+/**
+ * Wait until ST has put a new background in place
+ * @param {string} previous - backgroundImage before the change
+ * @returns {Promise<void>}
+ */
+async function waitForBackgroundSwap(previous) {
+    const started = Date.now();
+
+    while (Date.now() - started < BACKGROUND_SWAP_TIMEOUT) {
+        const current = getVisibleBackground();
+        const image = current ? getComputedStyle(current).backgroundImage : 'none';
+
+        if (image !== previous) {
+            // Let the new image load before revealing it
+            const url = /url\(["']?(.*?)["']?\)/.exec(image)?.[1];
+            if (url) {
+                const preload = new Image();
+                preload.src = url;
+                await preload.decode().catch(() => {});
+            }
+            return;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+/**
+ * Change the background with a transition
+ * The old background is copied into a cover layer, the change runs
+ * underneath it, then the cover animates away.
+ * @param {function(): (void|Promise<void>)} apply - Performs the actual change
+ * @param {Transition} transition - Resolved transition
+ * @returns {Promise<void>}
+ */
+export async function transitionBackground(apply, transition) {
+    const source = transition.duration > 0 ? getVisibleBackground() : null;
+    if (!source) {
+        await apply();
+        return;
+    }
+
+    const previous = getComputedStyle(source).backgroundImage;
+    const cover = createBackgroundCover(source);
+
+    try {
+        await apply();
+        await waitForBackgroundSwap(previous);
+        await play(cover, 'out', transition);
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Background transition failed:`, error);
+    } finally {
+        cover.remove();
+    }
+}
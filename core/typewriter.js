@@ -0,0 +1,210 @@
+/**
+ * ============================================================================
+ * COTTON-TALES TYPEWRITER
+ * ============================================================================
+ * Reveals formatted HTML character by character.
+ *
+ * The full markup is rendered up front and its text nodes are emptied, then
+ * refilled a character at a time, so formatting (italics, quotes, links)
+ * is correct from the first letter. Sentence and clause punctuation adds a
+ * short pause.
+ *
+ * Content can be replaced while typing (streaming) without losing the
+ * characters already shown. When a stream gets far ahead of the reveal,
+ * the typewriter types several characters per tick to keep up.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import {
+    DEFAULT_TYPEWRITER_SPEED,
+    TYPEWRITER_SENTENCE_PAUSE,
+    TYPEWRITER_CLAUSE_PAUSE,
+    TYPEWRITER_CATCH_UP_CHARS,
+} from './constants.js';
+
+/** Punctuation that ends a sentence */
+const SENTENCE_PUNCTUATION = '.!?…';
+
+/** Punctuation that ends a clause */
+const CLAUSE_PUNCTUATION = ',;:—–';
+
+/**
+ * Typewriter controller
+ * @typedef {Object} Typewriter
+ * @property {function(string, TypewriterContentOptions=): void} setContent - Replace the text
+ * @property {function(boolean): void} setStreaming - Mark whether more text is on the way
+ * @property {function(): void} skip - Reveal everything now
+ * @property {function(): boolean} isTyping - Whether text is still being revealed
+ * @property {function(): number} getRevealed - Characters shown so far
+ * @property {function(): void} destroy - Stop typing
+ */
+
+/**
+ * @typedef {Object} TypewriterContentOptions
+ * @property {boolean} [animate=true] - Type the text (false shows it at once)
+ * @property {boolean} [keepProgress=false] - Keep the characters already shown (streaming updates)
+ * @property {boolean} [streaming=false] - More text is on the way (don't complete yet)
+ */
+
+/**
+ * Calculate the delay after revealing a character
+ * Runs of punctuation ("...", "?!") only pause once, at the end.
+ * @param {string} text - Full text of the node
+ * @param {number} index - Index of the character just revealed
+ * @param {number} speed - Base delay (ms)
+ * @returns {number} Delay (ms)
+ */
+function getCharacterDelay(text, index, speed) {
+    const char = text[index];
+    const next = text[index + 1];
+
+    if (next && !/\s|["'”’)\]*_]/.test(next)) return speed;
+
+    if (SENTENCE_PUNCTUATION.includes(char)) return speed * TYPEWRITER_SENTENCE_PAUSE;
+    if (CLAUSE_PUNCTUATION.includes(char)) return speed * TYPEWRITER_CLAUSE_PAUSE;
+    return speed;
+}
+
+/**
+ * Create a typewriter that writes into an element
+ * @param {HTMLElement} element - Element to write into
+ * @param {Object} [options]
+ * @param {function(): number} [options.getSpeed] - Delay per character (ms), read every tick
+ * @param {function(number): void} [options.onProgress] - Called with the revealed character count
+ * @param {function(): void} [options.onComplete] - Called once all text (and the stream) is done
+ * @returns {Typewriter}
+ */
+export function createTypewriter(element, { getSpeed = () => DEFAULT_TYPEWRITER_SPEED, onProgress, onComplete } = {}) {
+    /** @type {{ node: Text, text: string }[]} */
+    let segments = [];
+    let total = 0;
+    let revealed = 0;
+    let streaming = false;
+    let timer = null;
+    let completed = false;
+
+    /**
+     * Write the revealed prefix into the text nodes
+     */
+    const render = () => {
+        let remaining = revealed;
+        for (const segment of segments) {
+            const count = Math.min(remaining, segment.text.length);
+            if (segment.node.data.length !== count) {
+                segment.node.data = segment.text.slice(0, count);
+            }
+            remaining -= count;
+        }
+        onProgress?.(revealed);
+    };
+
+    /**
+     * Find the character at a revealed position
+     * @param {number} position - Character index across all nodes
+     * @returns {{ text: string, index: number }|null}
+     */
+    const locate = (position) => {
+        let offset = position;
+        for (const segment of segments) {
+            if (offset < segment.text.length) return { text: segment.text, index: offset };
+            offset -= segment.text.length;
+        }
+        return null;
+    };
+
+    const stop = () => {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+
+    const finish = () => {
+        stop();
+        if (!streaming && !completed) {
+            completed = true;
+            onComplete?.();
+        }
+    };
+
+    const tick = () => {
+        timer = null;
+
+        if (revealed >= total) {
+            finish();
+            return;
+        }
+
+        const speed = Math.max(1, Number(getSpeed()) || DEFAULT_TYPEWRITER_SPEED);
+        const pending = total - revealed;
+        const catchingUp = streaming && pending > TYPEWRITER_CATCH_UP_CHARS;
+        const step = catchingUp ? Math.ceil(pending / TYPEWRITER_CATCH_UP_CHARS) : 1;
+
+        revealed = Math.min(total, revealed + step);
+        render();
+
+        const last = locate(revealed - 1);
+        const delay = catchingUp || !last ? speed : getCharacterDelay(last.text, last.index, speed);
+        timer = setTimeout(tick, delay);
+    };
+
+    const start = () => {
+        if (!timer) {
+            timer = setTimeout(tick, 0);
+        }
+    };
+
+    return {
+        setContent(html, { animate = true, keepProgress = false, streaming: more = false } = {}) {
+            stop();
+            streaming = more;
+            element.innerHTML = html;
+
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            segments = [];
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                const text = /** @type {Text} */ (node).data;
+                if (text.length > 0) segments.push({ node: /** @type {Text} */ (node), text });
+            }
+
+            total = segments.reduce((sum, segment) => sum + segment.text.length, 0);
+            revealed = !animate ? total : keepProgress ? Math.min(revealed, total) : 0;
+            if (!keepProgress || streaming) completed = false;
+
+            render();
+            revealed < total ? start() : finish();
+        },
+
+        setStreaming(value) {
+            streaming = !!value;
+            if (streaming) {
+                completed = false;
+            } else if (revealed >= total) {
+                finish();
+            }
+        },
+
+        skip() {
+            revealed = total;
+            render();
+            finish();
+        },
+
+        isTyping() {
+            return revealed < total;
+        },
+
+        getRevealed() {
+            return revealed;
+        },
+
+        destroy() {
+            stop();
+            segments = [];
+            total = 0;
+            revealed = 0;
+        },
+    };
+}
@@ -2,7 +2,7 @@
  * ============================================================================
  * COTTON-TALES UPLOAD MANAGER
  * ============================================================================
- * Handles file uploads for sprites, sprite packs, and backgrounds.
+ * Handles file uploads for sprites, sprite packs, backgrounds, and audio.
  *
  * @author Coneja Chibi
  * @version 0.1.0-alpha
@@ -21,9 +21,14 @@ const MODULE_NAME = 'ct-upload-manager';
 export const UPLOAD_ENDPOINTS = {
     SINGLE_SPRITE: '/api/sprites/upload',
     SPRITE_PACK: '/api/sprites/upload-zip',
-    BACKGROUND: '/api/backgrounds/upload'
+    BACKGROUND: '/api/backgrounds/upload',
+    FILE: '/api/files/upload',
+    FILE_DELETE: '/api/files/delete',
 };
 
+/** Prefix for audio files stored in the user files folder */
+const AUDIO_FILE_PREFIX = 'ct_audio';
+
 // =============================================================================
 // CORE UPLOAD HANDLER
 // =============================================================================
@@ -90,6 +95,16 @@ function isValidArchiveFile(file) {
     return validTypes.includes(file.type) && file.size > 0;
 }
 
+/**
+ * Validate audio file
+ * @param {File} file - File to validate
+ * @returns {boolean} True if valid
+ */
+function isValidAudioFile(file) {
+    if (!file) return false;
+    return (file.type.startsWith('audio/') || /\.(mp3|ogg|wav|m4a|flac|webm)$/i.test(file.name)) && file.size > 0;
+}
+
 // =============================================================================
 // SPRITE UPLOADS
 // =============================================================================
@@ -165,3 +180,75 @@ export async function uploadBackground(file) {
 
     return handleFileUpload(UPLOAD_ENDPOINTS.BACKGROUND, formData);
 }
+
+// =============================================================================
+// AUDIO UPLOADS
+// =============================================================================
+
+/**
+ * Read a file as base64 (without the data URL prefix)
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Base64 data
+ */
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Upload an audio file to the user files folder
+ * @param {File} file - Audio file
+ * @param {'music'|'sfx'} kind - Library the file belongs to
+ * @returns {Promise<{ file: string, path: string }>} Stored file name and URL path
+ */
+export async function uploadAudio(file, kind) {
+    if (!file) {
+        throw new Error('No file provided');
+    }
+
+    if (!isValidAudioFile(file)) {
+        throw new Error(`Invalid audio file: ${file.type || file.name}. Please use MP3, OGG, WAV, M4A, or FLAC.`);
+    }
+
+    // ST only accepts [a-zA-Z0-9_-.] in user file names
+    const extension = (file.name.match(/\.([a-z0-9]+)$/i)?.[1] || 'mp3').toLowerCase();
+    const baseName = file.name.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 48) || 'audio';
+    const storedName = `${AUDIO_FILE_PREFIX}_${kind}_${Date.now()}_${baseName}.${extension}`;
+
+    const result = await fetch(UPLOAD_ENDPOINTS.FILE, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ name: storedName, data: await readFileAsBase64(file) }),
+    });
+
+    if (!result.ok) {
+        const errorText = await result.text().catch(() => result.statusText);
+        throw new Error(`Upload failed: ${result.status} ${errorText}`);
+    }
+
+    const data = await result.json();
+    return { file: file.name, path: data.path };
+}
+
+/**
+ * Delete an uploaded audio file
+ * @param {string} path - File path returned by uploadAudio
+ * @returns {Promise<void>}
+ */
+export async function deleteAudio(path) {
+    if (!path) return;
+
+    const result = await fetch(UPLOAD_ENDPOINTS.FILE_DELETE, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ path }),
+    });
+
+    if (!result.ok) {
+        console.warn(`[${MODULE_NAME}] Could not delete ${path}: ${result.status}`);
+    }
+}
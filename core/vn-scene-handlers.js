@@ -10,6 +10,9 @@
  */
 
 import { eventSource, event_types } from '../../../../../script.js';
+import { findBestMatch, getFileMatchKeys } from './fuzzy-match.js';
+import { playMusic, stopMusic, playSfx } from './audio-player.js';
+import { getTransition, transitionBackground } from './transitions.js';
 
 const MODULE_NAME = 'CT-SceneHandlers';
 
@@ -55,95 +58,55 @@ function refreshBackgroundCache() {
 function findBackground(query) {
     if (!query) return null;
 
-    const q = query.toLowerCase().trim();
-
     // Refresh cache if empty or stale
     if (backgroundCache.length === 0) {
         refreshBackgroundCache();
     }
 
-    // 1. Exact match (with or without extension)
-    let match = backgroundCache.find(bg =>
-        bg.name === q ||
-        bg.file.toLowerCase() === q ||
-        bg.file.toLowerCase().replace(/\.[^.]+$/, '') === q
-    );
-    if (match) return match;
-
-    // 2. Starts with
-    match = backgroundCache.find(bg =>
-        bg.name.startsWith(q) ||
-        bg.file.toLowerCase().startsWith(q)
-    );
-    if (match) return match;
-
-    // 3. Contains
-    match = backgroundCache.find(bg =>
-        bg.name.includes(q) ||
-        bg.file.toLowerCase().includes(q)
-    );
-    if (match) return match;
-
-    // 4. Word match (e.g., "beach" matches "sunny_beach.jpg")
-    const words = q.split(/[\s_-]+/);
-    match = backgroundCache.find(bg => {
-        const bgWords = bg.name.split(/[\s_-]+/);
-        return words.some(w => bgWords.some(bw => bw.includes(w) || w.includes(bw)));
-    });
-    if (match) return match;
-
-    // 5. Levenshtein distance for typo tolerance (simple version)
-    let bestScore = Infinity;
-    let bestMatch = null;
-    for (const bg of backgroundCache) {
-        const score = levenshteinDistance(q, bg.name);
-        if (score < bestScore && score <= Math.max(3, q.length * 0.4)) {
-            bestScore = score;
-            bestMatch = bg;
-        }
-    }
-
-    return bestMatch;
+    return findBestMatch(query, backgroundCache, bg => getFileMatchKeys(bg.name, bg.file));
 }
 
 /**
- * Simple Levenshtein distance for typo tolerance
+ * Hand a background over to ST
+ * @param {{ name: string, file: string, element: HTMLElement }} match - Matched background
+ * @param {string} background - Requested name (for messages)
  */
-function levenshteinDistance(a, b) {
-    if (a.length === 0) return b.length;
-    if (b.length === 0) return a.length;
-
-    const matrix = [];
-    for (let i = 0; i <= b.length; i++) {
-        matrix[i] = [i];
-    }
-    for (let j = 0; j <= a.length; j++) {
-        matrix[0][j] = j;
-    }
-
-    for (let i = 1; i <= b.length; i++) {
-        for (let j = 1; j <= a.length; j++) {
-            if (b.charAt(i - 1) === a.charAt(j - 1)) {
-                matrix[i][j] = matrix[i - 1][j - 1];
-            } else {
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j - 1] + 1,
-                    matrix[i][j - 1] + 1,
-                    matrix[i - 1][j] + 1
-                );
-            }
+function setStBackground(match, background) {
+    // Use ST's native background system via event
+    // This triggers the same code path as clicking a background
+    try {
+        // Method 1: Click the background element (most reliable, triggers all ST handlers)
+        const bgElement = match.element.querySelector('.bg_example') || match.element;
+        if (bgElement) {
+            bgElement.click();
+            console.log(`[${MODULE_NAME}] Background set via click: "${match.file}"`);
+            return;
         }
+    } catch (err) {
+        console.warn(`[${MODULE_NAME}] Click method failed, trying event method`);
     }
 
-    return matrix[b.length][a.length];
+    // Method 2: Emit ST's FORCE_SET_BACKGROUND event
+    try {
+        const bgUrl = `url("backgrounds/${encodeURIComponent(match.file)}")`;
+        eventSource.emit(event_types.FORCE_SET_BACKGROUND, {
+            url: bgUrl,
+            path: match.file,
+        });
+        console.log(`[${MODULE_NAME}] Background set via event: "${match.file}"`);
+    } catch (err) {
+        console.error(`[${MODULE_NAME}] Failed to set background:`, err);
+        toastr.error(`Failed to set background: "${background}"`);
+    }
 }
 
 /**
  * Handle background change request from scene-parser
- * @param {CustomEvent} event - Event with detail.background
+ * Restores (detail.restore) swap the background without a transition.
+ * @param {CustomEvent} event - Event with detail.background and optional detail.transition / detail.restore
  */
 async function handleBackgroundChange(event) {
-    const { background } = event.detail || {};
+    const { background, transition, restore } = event.detail || {};
 
     if (!background) {
         console.warn(`[${MODULE_NAME}] No background specified in event`);
@@ -162,56 +125,43 @@ async function handleBackgroundChange(event) {
 
     console.log(`[${MODULE_NAME}] Matched to: "${match.file}"`);
 
-    // Use ST's native background system via event
-    // This triggers the same code path as clicking a background
-    try {
-        // Method 1: Click the background element (most reliable, triggers all ST handlers)
-        const bgElement = match.element.querySelector('.bg_example') || match.element;
-        if (bgElement) {
-            bgElement.click();
-            console.log(`[${MODULE_NAME}] Background set via click: "${match.file}"`);
-            return;
-        }
-    } catch (err) {
-        console.warn(`[${MODULE_NAME}] Click method failed, trying event method`);
-    }
-
-    // Method 2: Emit ST's FORCE_SET_BACKGROUND event
-    try {
-        const bgUrl = `url("backgrounds/${encodeURIComponent(match.file)}")`;
-        eventSource.emit(event_types.FORCE_SET_BACKGROUND, {
-            url: bgUrl,
-            path: match.file,
-        });
-        console.log(`[${MODULE_NAME}] Background set via event: "${match.file}"`);
-    } catch (err) {
-        console.error(`[${MODULE_NAME}] Failed to set background:`, err);
-        toastr.error(`Failed to set background: "${background}"`);
-    }
+    await transitionBackground(
+        () => setStBackground(match, background),
+        getTransition('background', { override: transition, instant: !!restore }),
+    );
 }
 
 // =============================================================================
-// MUSIC HANDLING (placeholder for future)
+// MUSIC HANDLING
 // =============================================================================
 
 /**
  * Handle music change request
+ * A null/empty track stops the music (used when rolling the stage back)
  * @param {CustomEvent} event - Event with detail.track
  */
-function handleMusicChange(event) {
+async function handleMusicChange(event) {
     const { track } = event.detail || {};
-    // TODO: Integrate with ambient sounds extension or custom audio system
-    console.debug(`[${MODULE_NAME}] Music change requested: "${track}" (not implemented)`);
+
+    if (!track) {
+        await stopMusic();
+        return;
+    }
+
+    console.log(`[${MODULE_NAME}] Music change requested: "${track}"`);
+    await playMusic(track);
 }
 
 /**
  * Handle SFX play request
  * @param {CustomEvent} event - Event with detail.sfx
  */
-function handleSfxPlay(event) {
+async function handleSfxPlay(event) {
     const { sfx } = event.detail || {};
-    // TODO: Integrate with sound effects system
-    console.debug(`[${MODULE_NAME}] SFX requested: "${sfx}" (not implemented)`);
+    if (!sfx) return;
+
+    console.debug(`[${MODULE_NAME}] SFX requested: "${sfx}"`);
+    await playSfx(sfx);
 }
 
 // =============================================================================
@@ -226,10 +176,10 @@ export function initSceneHandlers() {
     // Background changes
     document.addEventListener('ct:background:change', handleBackgroundChange);
 
-    // Music changes (future)
+    // Music changes
     document.addEventListener('ct:music:change', handleMusicChange);
 
-    // SFX plays (future)
+    // SFX plays
     document.addEventListener('ct:sfx:play', handleSfxPlay);
 
     // Refresh background cache when ST's background list updates
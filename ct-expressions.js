@@ -28,6 +28,7 @@ import {
     getRequestHeaders,
     getThumbnailUrl,
     online_status,
+    saveChatDebounced,
     saveSettingsDebounced,
     substituteParams,
     substituteParamsExtended,
@@ -63,11 +64,21 @@ import {
     PROMPT_TYPE,
     DEFAULT_LLM_PROMPT,
     EMOTION_DESCRIPTIONS,
+    EXPRESSION_SOURCE,
+    MESSAGE_EXTRA_KEYS,
+    CLASSIFY_MODE,
+    DIALOGUE_LINE_KIND,
 } from './core/constants.js';
 import {
     classifyWithCustomEmotions,
     getCharacterEmotions,
 } from './core/custom-classifier.js';
+import { hasSceneData, stripSceneJson } from './core/linter/index.js';
+import { getMessageScene } from './core/director-runtime.js';
+import { setMessageMeta } from './core/message-metadata.js';
+import { getTransition, swapImages } from './core/transitions.js';
+import { isDialogueActive } from './core/dialogue-box.js';
+import { focusSpeaker, getStageSpriteFolder } from './core/stage-renderer.js';
 
 // Shared extension utilities
 import { isWebLlmSupported, generateWebLlmChatPrompt, ConnectionManagerRequestService } from '../../shared.js';
@@ -123,6 +134,8 @@ let eventHandlers = {
     groupUpdated: null,
     generationStarted: null,
     generationEnded: null,
+    dialogueLine: null,
+    lateScene: null,
 };
 
 // =============================================================================
@@ -185,16 +198,16 @@ function getFolderNameByMessage(message) {
  */
 function getLastCharacterMessage() {
     const context = getContext();
-    const reversedChat = context.chat.slice().reverse();
 
-    for (let mes of reversedChat) {
+    for (let i = context.chat.length - 1; i >= 0; i--) {
+        const mes = context.chat[i];
         if (mes.is_user || mes.is_system || mes.extra?.type === system_message_types.NARRATOR) {
             continue;
         }
-        return { mes: mes.mes, name: mes.name, original_avatar: mes.original_avatar, force_avatar: mes.force_avatar };
+        return { mes: mes.mes, name: mes.name, original_avatar: mes.original_avatar, force_avatar: mes.force_avatar, index: i };
     }
 
-    return { mes: '', name: null, original_avatar: null, force_avatar: null };
+    return { mes: '', name: null, original_avatar: null, force_avatar: null, index: -1 };
 }
 
 // =============================================================================
@@ -334,7 +347,7 @@ function chooseSpriteForExpression(spriteFolderName, expression, { prevExpressio
 }
 
 /**
- * Animated crossfade between sprites
+ * Animated swap between sprites, using the sprite transition setting
  * @param {JQuery} img - Image element
  * @param {string} path - New image path
  */
@@ -353,8 +366,6 @@ async function setImage(img, path) {
         expressionClone.attr('src', path);
         expressionClone.appendTo(img.parent());
 
-        const duration = 200;
-
         img.addClass('ct-expression-animating');
         expressionClone.addClass('ct-expression-animating');
 
@@ -367,10 +378,7 @@ async function setImage(img, path) {
 
         img.css('position', 'absolute').width(imgWidth).height(imgHeight);
 
-        // Fade in clone
-        expressionClone.animate({ opacity: 1 }, duration).promise().done(function() {
-            // Fade out original
-            img.animate({ opacity: 0 }, duration);
+        swapImages(img[0], expressionClone[0], getTransition('sprite')).then(() => {
             img.remove();
 
             // Clone becomes new original
@@ -431,7 +439,6 @@ async function setExpression(spriteFolderName, expression, { force = false } = {
             expressionClone.attr('title', expression);
             expressionClone.appendTo($('#ct-expression-holder'));
 
-            const duration = 200;
             img.addClass('ct-expression-animating');
 
             const imgWidth = img.width();
@@ -443,8 +450,7 @@ async function setExpression(spriteFolderName, expression, { force = false } = {
             img.css('position', 'absolute').width(imgWidth).height(imgHeight);
             expressionClone.addClass('ct-expression-animating');
 
-            expressionClone.animate({ opacity: 1 }, duration).promise().done(function() {
-                img.animate({ opacity: 0 }, duration);
+            swapImages(img[0], expressionClone[0], getTransition('sprite')).then(() => {
                 img.remove();
                 expressionClone.attr('id', 'ct-expression-image');
                 expressionClone.removeClass('ct-expression-animating ct-expression-clone');
@@ -628,7 +634,12 @@ async function getLastMessageSprite(avatar) {
         const context = getContext();
         const character = context.characters.find(x => x.avatar == avatar);
         const charFolder = character?.avatar?.replace(/\.[^/.]+$/, '') || null;
-        return await getExpressionLabel(lastMessage.mes || '', null, charFolder);
+        const resolved = await resolveExpression(lastMessage.mes || '', {
+            message: lastMessage,
+            names: [lastMessage.name, character?.name],
+            charFolder,
+        });
+        return resolved.label;
     }
     return null;
 }
@@ -1000,25 +1011,7 @@ async function classifyWithVectHare(text, labels, charFolder = null) {
     const settings = getSettings();
     const vhSettings = getVectHareSettings();
 
-    // Priority 0: Check for custom per-character emotion classifier
-    if (charFolder) {
-        const customEmotions = getCharacterEmotions(charFolder);
-        if (Object.keys(customEmotions).length > 0) {
-            try {
-                const customResult = await classifyWithCustomEmotions(charFolder, text);
-                if (customResult?.emotion) {
-                    // Check if the custom emotion is in our allowed labels
-                    const matchedLabel = labels.find(l => l.toLowerCase() === customResult.emotion.toLowerCase());
-                    if (matchedLabel) {
-                        console.log(`[${MODULE_NAME}] Custom classifier: "${matchedLabel}" (${customResult.score.toFixed(3)})${customResult.boosted ? ' [keyword-boosted]' : ''}`);
-                        return matchedLabel;
-                    }
-                }
-            } catch (error) {
-                console.debug(`[${MODULE_NAME}] Custom classifier failed:`, error);
-            }
-        }
-    }
+    // The per-character custom classifier has already run (resolveExpression)
 
     // Priority 1: Use VectHare's dedicated classifier API if available
     if (isVectHareClassifierAvailable() && !vhSettings?.emotion_use_similarity) {
@@ -1361,6 +1354,165 @@ async function getExpressionLabel(text, apiOverride = null, charFolder = null) {
     return fallback;
 }
 
+// =============================================================================
+// EXPRESSION PRIORITY
+// =============================================================================
+
+/**
+ * Get the expression the Director gave a character in a message's scene
+ * @param {Object|null} message - Chat message
+ * @param {string[]} names - Names the character may appear under (speaker, folder)
+ * @returns {string|null} Expression label or null
+ */
+function getDirectorExpression(message, names) {
+    if (!getSettings().directorEnabled || !message) {
+        return null;
+    }
+
+    const scene = getMessageScene(message);
+    const wanted = names.filter(Boolean).map(n => n.toLowerCase());
+    const character = scene?.characters?.find(c => wanted.includes(String(c.name).toLowerCase()));
+
+    return character?.expression || null;
+}
+
+/**
+ * Pick a message's expression by priority:
+ * Director schema > per-character custom classifier > global classifier > fallback
+ *
+ * @param {string} text - Raw message text
+ * @param {Object} options
+ * @param {Object|null} [options.message=null] - Chat message whose Director scene applies
+ * @param {string[]} [options.names=[]] - Names the speaker may appear under in the scene
+ * @param {string|null} [options.charFolder=null] - Character folder for custom emotions
+ * @returns {Promise<{label: string, source: string}>} Expression and which source picked it
+ */
+async function resolveExpression(text, { message = null, names = [], charFolder = null } = {}) {
+    const fallback = getSettings().fallbackExpression || DEFAULT_FALLBACK_EXPRESSION;
+
+    // 1. Director schema
+    const directorExpression = getDirectorExpression(message, names);
+    if (directorExpression) {
+        return { label: directorExpression, source: EXPRESSION_SOURCE.DIRECTOR };
+    }
+
+    // Classify the narrative only - the scene JSON would skew every classifier
+    const narrative = hasSceneData(text) ? stripSceneJson(text) : text;
+
+    // 2. Per-character custom classifier
+    if (charFolder && narrative && Object.keys(getCharacterEmotions(charFolder)).length > 0) {
+        try {
+            const custom = await classifyWithCustomEmotions(charFolder, narrative);
+            // Only labels the expression list knows about
+            const labels = custom?.emotion ? await getExpressionsList() : [];
+            const matchedLabel = labels.find(l => l.toLowerCase() === custom.emotion.toLowerCase());
+            if (matchedLabel) {
+                console.log(`[${MODULE_NAME}] Custom classifier: "${matchedLabel}" (${custom.score.toFixed(3)})${custom.boosted ? ' [keyword-boosted]' : ''}`);
+                return { label: matchedLabel, source: EXPRESSION_SOURCE.CUSTOM };
+            }
+        } catch (error) {
+            console.debug(`[${MODULE_NAME}] Custom classifier failed:`, error);
+        }
+    }
+
+    // 3. Global classifier (returns the fallback itself when it can't classify)
+    const label = await getExpressionLabel(narrative, null, charFolder);
+    if (label && label !== fallback) {
+        return { label, source: EXPRESSION_SOURCE.CLASSIFIER };
+    }
+
+    // 4. Fallback
+    return { label: label || fallback, source: EXPRESSION_SOURCE.FALLBACK };
+}
+
+/**
+ * Record which expression a message got and where it came from
+ * @param {number} messageIndex - Message index in chat
+ * @param {string} character - Sprite folder / character the expression applies to
+ * @param {{label: string, source: string}} result - Resolved expression
+ */
+function recordMessageExpression(messageIndex, character, result) {
+    const message = getContext().chat?.[messageIndex];
+    if (!message) return;
+
+    setMessageMeta(message, MESSAGE_EXTRA_KEYS.EXPRESSION, {
+        label: result.label,
+        source: result.source,
+        character,
+    });
+    saveChatDebounced();
+
+    console.debug(`[${MODULE_NAME}] Message ${messageIndex}: "${result.label}" from ${result.source}`);
+}
+
+// =============================================================================
+// PER-LINE CLASSIFICATION
+// =============================================================================
+
+/** Latest dialogue line sent to the classifier (older results are dropped) */
+let lineRequest = 0;
+
+/**
+ * Whether the dialogue box classifies line by line instead of the worker
+ * @returns {boolean}
+ */
+function isClassifyingLines() {
+    return getSettings().classifyMode === CLASSIFY_MODE.LINE && isDialogueActive();
+}
+
+/**
+ * Classify a dialogue box line and show it on the speaker's sprite
+ * Without the stage only the message author's lines are classified - theirs
+ * is the sprite on screen. With the stage any character on it can speak, and
+ * the result goes to their stage sprite. A Director expression for the line
+ * wins either way.
+ * @param {Object} detail - ct:dialogue:line detail
+ */
+async function handleDialogueLine(detail) {
+    const settings = getSettings();
+    if (!settings.enabled || settings.classifyMode !== CLASSIFY_MODE.LINE) return;
+
+    // Any newer line makes a pending result stale, even one we skip
+    const request = ++lineRequest;
+
+    const { messageId, speaker, kind, text, expression, streaming } = detail || {};
+    if (streaming || expression || !speaker || !text || kind === DIALOGUE_LINE_KIND.NARRATION) return;
+
+    const context = getContext();
+    const message = context.chat?.[messageId];
+    if (!message || message.is_user || message.is_system) return;
+
+    const onStage = document.body.classList.contains('ct-stage-active');
+    let spriteFolderName;
+    if (onStage) {
+        spriteFolderName = getStageSpriteFolder(speaker);
+        if (!spriteFolderName) return;
+    } else {
+        if (String(message.name).toLowerCase() !== speaker.toLowerCase()) return;
+        spriteFolderName = getSpriteFolderName(message, message.name);
+    }
+    const charFolder = spriteFolderName?.split('/')[0] || spriteFolderName;
+
+    try {
+        const resolved = await resolveExpression(text, { charFolder });
+        if (request !== lineRequest) return;
+
+        console.debug(`[${MODULE_NAME}] Line ${messageId}:${detail.page}: "${resolved.label}" from ${resolved.source}`);
+
+        if (onStage) {
+            focusSpeaker(speaker, resolved.label);
+            return;
+        }
+
+        if (spriteFolderName === message.name && !context.groupId) {
+            spriteFolderName = context.name2;
+        }
+        await sendExpressionCall(spriteFolderName, resolved.label, { force: !!context.groupId });
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Line classification failed:`, error);
+    }
+}
+
 // =============================================================================
 // MAIN WORKER
 // =============================================================================
@@ -1466,11 +1618,24 @@ async function moduleWorker() {
         return;
     }
 
+    // The dialogue box classifies each line as it is shown
+    if (isClassifyingLines()) {
+        lastCharacter = context.groupId || context.characterId;
+        lastMessage = currentLastMessage.mes;
+        return;
+    }
+
     try {
         inApiCall = true;
         // Pass character folder for custom emotions support
         const charFolder = spriteFolderName?.split('/')[0] || spriteFolderName;
-        let expression = await getExpressionLabel(currentLastMessage.mes, null, charFolder);
+        const resolved = await resolveExpression(currentLastMessage.mes, {
+            message: context.chat[currentLastMessage.index] || null,
+            names: [currentLastMessage.name, charFolder],
+            charFolder,
+        });
+        const expression = resolved.label;
+        recordMessageExpression(currentLastMessage.index, charFolder, resolved);
 
         if (spriteFolderName === currentLastMessage.name && !context.groupId) {
             spriteFolderName = context.name2;
@@ -1495,6 +1660,10 @@ async function moduleWorker() {
 async function sendExpressionCall(spriteFolderName, expression, { force = false, vnMode = null } = {}) {
     setLastExpression(spriteFolderName.split('/')[0], expression);
 
+    document.dispatchEvent(new CustomEvent('ct:expression:change', {
+        detail: { character: spriteFolderName.split('/')[0], expression },
+    }));
+
     if (vnMode === null) {
         vnMode = isVisualNovelMode();
     }
@@ -1640,6 +1809,24 @@ export async function initExpressions() {
         console.debug(`[${MODULE_NAME}] GENERATION_ENDED`);
     };
 
+    eventHandlers.dialogueLine = (event) => handleDialogueLine(event.detail);
+
+    // A scene that arrived after its message (scene tool, Director pass, repair)
+    // replaces whatever the classifier picked for it
+    eventHandlers.lateScene = async (event) => {
+        if (event.detail?.messageId !== getLastCharacterMessage().index) return;
+
+        try {
+            await waitUntilCondition(() => !inApiCall, 10000, 100);
+        } catch {
+            console.debug(`[${MODULE_NAME}] Classifier still busy, skipping late scene`);
+            return;
+        }
+
+        lastMessage = null;
+        updateFunction();
+    };
+
     // Register event handlers
     eventSource.on(event_types.MESSAGE_RECEIVED, eventHandlers.messageReceived);
     eventSource.on(event_types.MESSAGE_SWIPED, eventHandlers.messageSwiped);
@@ -1647,6 +1834,8 @@ export async function initExpressions() {
     eventSource.on(event_types.GROUP_UPDATED, eventHandlers.groupUpdated);
     eventSource.on(event_types.GENERATION_STARTED, eventHandlers.generationStarted);
     eventSource.on(event_types.GENERATION_ENDED, eventHandlers.generationEnded);
+    document.addEventListener('ct:dialogue:line', eventHandlers.dialogueLine);
+    document.addEventListener('ct:director:scene', eventHandlers.lateScene);
     $(window).on('resize', updateVisualNovelModeDebounced);
 
     // Initial visibility setup (no classification)
@@ -1686,6 +1875,12 @@ export function cleanupExpressions() {
     if (eventHandlers.generationEnded) {
         eventSource.removeListener(event_types.GENERATION_ENDED, eventHandlers.generationEnded);
     }
+    if (eventHandlers.dialogueLine) {
+        document.removeEventListener('ct:dialogue:line', eventHandlers.dialogueLine);
+    }
+    if (eventHandlers.lateScene) {
+        document.removeEventListener('ct:director:scene', eventHandlers.lateScene);
+    }
     $(window).off('resize', updateVisualNovelModeDebounced);
 
     // Clear handler references
@@ -1696,6 +1891,8 @@ export function cleanupExpressions() {
         groupUpdated: null,
         generationStarted: null,
         generationEnded: null,
+        dialogueLine: null,
+        lateScene: null,
     };
 
     // Remove DOM elements
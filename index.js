@@ -29,7 +29,23 @@ import { openSpriteManager, closeSpriteManager } from './ui/sprite-manager.js';
 import { initExpressions, setExpressionsVisible, cleanupExpressions } from './ct-expressions.js';
 
 // Cotton-Tales modules - Scene Handlers
-import { initSceneHandlers } from './core/vn-scene-handlers.js';
+import { initSceneHandlers, destroySceneHandlers } from './core/vn-scene-handlers.js';
+import { initAudioPlayer, destroyAudioPlayer } from './core/audio-player.js';
+import { initStageRenderer, destroyStageRenderer, setStageVisible } from './core/stage-renderer.js';
+import { initCamera, destroyCamera } from './core/camera.js';
+import { initAtmosphere, destroyAtmosphere } from './core/atmosphere.js';
+import { initLayoutManager, destroyLayoutManager, setLayoutActive } from './core/layout-manager.js';
+import { initNvlRenderer, destroyNvlRenderer } from './core/nvl-renderer.js';
+import { initDialogueBox, destroyDialogueBox } from './core/dialogue-box.js';
+import { initReadingModes, destroyReadingModes } from './core/reading-modes.js';
+import { initControlBar, destroyControlBar } from './core/control-bar.js';
+import { initBacklog, destroyBacklog } from './core/backlog.js';
+
+// Cotton-Tales modules - Director
+import { initDirectorRuntime, destroyDirectorRuntime } from './core/director-runtime.js';
+import { initDirectorInjection, destroyDirectorInjection } from './core/director-injection.js';
+import { initStructuredOutput, destroyStructuredOutput } from './core/structured-output.js';
+import { initChoiceHandler, destroyChoiceHandler } from './core/choice-handler.js';
 
 // =============================================================================
 // SETTINGS MANAGEMENT
@@ -111,11 +127,15 @@ function applyVNState(enabled, { updateExpressions = false } = {}) {
         if (!hasActiveChat) {
             // On landing page - activate landing page styling
             disableVNLayout();
+            setStageVisible(false);
+            setLayoutActive(false);
             setTimeout(() => activateLandingPage(), 150);
         } else {
             // In active chat - enable VN layout
             deactivateLandingPage();
             enableVNLayout();
+            setStageVisible(true);
+            setLayoutActive(true);
             if (updateExpressions) {
                 setExpressionsVisible(true);
             }
@@ -126,6 +146,8 @@ function applyVNState(enabled, { updateExpressions = false } = {}) {
             setExpressionsVisible(false);
         }
         disableVNLayout();
+        setStageVisible(false);
+        setLayoutActive(false);
         deactivateLandingPage();
     }
 }
@@ -204,6 +226,7 @@ async function init() {
             loadCSS('ui/sprite-manager.css'),
             loadCSS('styles/settings-panel.css'),
             loadCSS('styles/landing-page.css'),
+            loadCSS('styles/vn-layouts.css'),
         ]);
     } catch (err) {
         console.warn(`[${EXTENSION_NAME}] Some stylesheets failed to load, extension may not display correctly`);
@@ -234,6 +257,38 @@ async function init() {
     // Initialize scene handlers (background, music, sfx)
     initSceneHandlers();
 
+    // Initialize audio (music playback)
+    initAudioPlayer();
+
+    // Draw Director-placed characters on the stage
+    initStageRenderer();
+
+    // Camera directions (shake, zoom, pan, flash, fade)
+    initCamera();
+
+    // Time of day and weather over the background
+    initAtmosphere();
+
+    // Layout styles (ADV / PRT / NVL)
+    initNvlRenderer();
+    initDialogueBox();
+    initReadingModes();
+    initControlBar();
+    initBacklog();
+    initLayoutManager();
+
+    // Initialize Director runtime (lint, apply and strip scene output)
+    initDirectorRuntime();
+
+    // Inject Director prompt into generations
+    initDirectorInjection();
+
+    // Scene tool / JSON schema for structured Director output
+    initStructuredOutput();
+
+    // Send picked choices as the next user turn
+    initChoiceHandler();
+
     // Check initial state and apply appropriate mode
     const settings = getSettings();
     if (settings.enabled) {
@@ -273,6 +328,25 @@ export function cleanup() {
     // Cleanup expressions module
     cleanupExpressions();
 
+    // Cleanup scene handlers, audio, stage and layout
+    destroySceneHandlers();
+    destroyAudioPlayer();
+    destroyStageRenderer();
+    destroyCamera();
+    destroyAtmosphere();
+    destroyLayoutManager();
+    destroyNvlRenderer();
+    destroyDialogueBox();
+    destroyReadingModes();
+    destroyControlBar();
+    destroyBacklog();
+
+    // Cleanup Director runtime
+    destroyDirectorRuntime();
+    destroyDirectorInjection();
+    destroyStructuredOutput();
+    destroyChoiceHandler();
+
     // Cleanup UI
     disableVNLayout();
     deactivateLandingPage();
@@ -0,0 +1,396 @@
+/**
+ * ============================================================================
+ * COTTON-TALES AUDIO TAB UI
+ * ============================================================================
+ * UI component for the Audio settings tab: volume controls plus the music
+ * and SFX libraries (upload, label, preview, delete).
+ *
+ * Labels are what the Director sees through {{ct_music}} / {{ct_sfx}}, so
+ * short descriptive names ("rainy cafe", "door slam") match best.
+ *
+ * @version 1.0.0
+ * ============================================================================
+ */
+
+import { getSettings, updateSetting } from '../core/settings-manager.js';
+import { refreshAudioSettings, previewAudioFile, stopPreview, clearAudioCache } from '../core/audio-player.js';
+
+/** Library settings key per audio kind */
+const LIBRARY_KEYS = {
+    music: 'musicLibrary',
+    sfx: 'sfxLibrary',
+};
+
+/** ID of the library entry currently previewing */
+let previewingId = null;
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+/**
+ * Turn an uploaded file name into a default label
+ * @param {string} fileName - Original file name
+ * @returns {string}
+ */
+function defaultLabel(fileName) {
+    return String(fileName).replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+}
+
+// =============================================================================
+// HTML
+// =============================================================================
+
+/**
+ * Generate a volume slider row
+ * @param {string} id - Slider element ID
+ * @param {string} label - Display label
+ * @param {number} value - Current value (0-100)
+ * @returns {string} HTML
+ */
+function getVolumeSliderHTML(id, label, value) {
+    return `
+        <div class="ct-slider-row">
+            <div class="ct-slider-header">
+                <span class="ct-slider-label">${label}</span>
+                <span class="ct-slider-value" id="${id}_val">${value}%</span>
+            </div>
+            <input type="range" class="ct-slider" id="${id}"
+                   min="0" max="100" value="${value}" />
+        </div>
+    `;
+}
+
+/**
+ * Generate the list of library entries for one kind
+ * @param {'music'|'sfx'} kind - Library kind
+ * @returns {string} HTML
+ */
+function getLibraryListHTML(kind) {
+    const library = getSettings()[LIBRARY_KEYS[kind]] || [];
+
+    if (library.length === 0) {
+        return `
+            <div class="ct-empty-state">
+                <div class="ct-empty-state-text">
+                    ${kind === 'music' ? 'No tracks uploaded yet' : 'No sound effects uploaded yet'}
+                </div>
+            </div>
+        `;
+    }
+
+    return library.map(entry => `
+        <div class="ct-audio-item" data-kind="${kind}" data-id="${escapeHtml(entry.id)}">
+            <button class="ct-btn-icon ct-audio-preview" title="Preview" aria-label="Preview ${escapeHtml(entry.label)}">
+                <i class="fa-solid ${previewingId === entry.id ? 'fa-stop' : 'fa-play'}"></i>
+            </button>
+            <div class="ct-audio-info">
+                <input type="text" class="ct-input ct-audio-label" value="${escapeHtml(entry.label)}"
+                       placeholder="Label the Director will use" />
+                <span class="ct-audio-file" title="${escapeHtml(entry.file)}">${escapeHtml(entry.file)}</span>
+            </div>
+            <button class="ct-btn-icon ct-audio-delete" title="Delete" aria-label="Delete ${escapeHtml(entry.label)}">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Generate a library section (header, upload button, list)
+ * @param {'music'|'sfx'} kind - Library kind
+ * @returns {string} HTML
+ */
+function getLibrarySectionHTML(kind) {
+    const isMusic = kind === 'music';
+
+    return `
+        <div class="ct-section-label" style="margin-top: 24px;">
+            <i class="fa-solid ${isMusic ? 'fa-music' : 'fa-bell'}"></i>
+            ${isMusic ? 'Music Library' : 'Sound Effects'}
+        </div>
+
+        <p style="font-size: 12px; color: var(--ct-text-light); margin-bottom: 12px;">
+            ${isMusic
+                ? 'Looping background tracks. SillyTavern\'s installed bgm assets are also available to the Director.'
+                : 'Short one-shot sounds. They play over the music without interrupting it.'}
+        </p>
+
+        <div class="ct-action-row" style="margin-bottom: 12px;">
+            <button class="ct-btn ct-btn-sm ct-audio-upload" data-kind="${kind}">
+                <i class="fa-solid fa-upload"></i>
+                ${isMusic ? 'Upload Tracks' : 'Upload SFX'}
+            </button>
+        </div>
+
+        <div class="ct-audio-list" id="ct_${kind}_library">
+            ${getLibraryListHTML(kind)}
+        </div>
+    `;
+}
+
+/**
+ * Generate the Audio tab HTML
+ * @returns {string} HTML for Audio tab
+ */
+export function getAudioTabHTML() {
+    const settings = getSettings();
+
+    return `
+        <div class="ct-section-label">
+            <i class="fa-solid fa-volume-high"></i>
+            Audio Playback
+        </div>
+
+        <div class="ct-toggle-row">
+            <div>
+                <div class="ct-toggle-label">Enable Audio</div>
+                <div class="ct-toggle-sublabel">Play music and sound effects from Director scenes</div>
+            </div>
+            <label class="ct-switch">
+                <input type="checkbox" id="ct_audio_enabled" ${settings.audioEnabled ? 'checked' : ''} />
+                <span class="ct-switch-slider"></span>
+            </label>
+        </div>
+
+        ${getVolumeSliderHTML('ct_master_volume', 'Master Volume', settings.masterVolume)}
+        ${getVolumeSliderHTML('ct_music_volume', 'Music Volume', settings.musicVolume)}
+        ${getVolumeSliderHTML('ct_sfx_volume', 'SFX Volume', settings.sfxVolume)}
+
+        ${getLibrarySectionHTML('music')}
+        ${getLibrarySectionHTML('sfx')}
+    `;
+}
+
+/**
+ * Re-render one library list
+ * @param {'music'|'sfx'} kind - Library kind
+ */
+function refreshLibraryList(kind) {
+    const list = document.getElementById(`ct_${kind}_library`);
+    if (list) {
+        list.innerHTML = getLibraryListHTML(kind);
+    }
+}
+
+// =============================================================================
+// LIBRARY ACTIONS
+// =============================================================================
+
+/**
+ * Get a copy of a library for editing
+ * @param {'music'|'sfx'} kind - Library kind
+ * @returns {Object[]}
+ */
+function getLibrary(kind) {
+    return [...(getSettings()[LIBRARY_KEYS[kind]] || [])];
+}
+
+/**
+ * Save a library and notify the audio player
+ * @param {'music'|'sfx'} kind - Library kind
+ * @param {Object[]} library - Updated library
+ */
+async function saveLibrary(kind, library) {
+    await updateSetting(LIBRARY_KEYS[kind], library);
+    clearAudioCache();
+}
+
+/**
+ * Prompt for audio files and add them to a library
+ * @param {'music'|'sfx'} kind - Library kind
+ */
+function handleUpload(kind) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*';
+    input.multiple = true;
+
+    input.onchange = async (e) => {
+        const files = [...(e.target.files || [])];
+        if (files.length === 0) return;
+
+        const { uploadAudio } = await import('../core/upload-manager.js');
+        const library = getLibrary(kind);
+        let added = 0;
+
+        if (typeof toastr !== 'undefined') {
+            toastr.info(`Uploading ${files.length} file${files.length > 1 ? 's' : ''}...`);
+        }
+
+        for (const file of files) {
+            try {
+                const { file: fileName, path } = await uploadAudio(file, kind);
+                library.push({
+                    id: `${kind}_${Date.now()}_${added}`,
+                    label: defaultLabel(fileName),
+                    file: fileName,
+                    path,
+                });
+                added++;
+            } catch (error) {
+                console.error('[CT-AudioTab] Upload failed:', error);
+                if (typeof toastr !== 'undefined') {
+                    toastr.error(`${file.name}: ${error.message}`);
+                }
+            }
+        }
+
+        if (added > 0) {
+            await saveLibrary(kind, library);
+            refreshLibraryList(kind);
+            if (typeof toastr !== 'undefined') {
+                toastr.success(`Added ${added} file${added > 1 ? 's' : ''}`);
+            }
+        }
+    };
+
+    input.click();
+}
+
+/**
+ * Toggle preview for a library entry
+ * @param {'music'|'sfx'} kind - Library kind
+ * @param {string} id - Entry ID
+ */
+function handlePreview(kind, id) {
+    if (previewingId === id) {
+        stopPreview();
+        previewingId = null;
+        refreshLibraryList(kind);
+        return;
+    }
+
+    const entry = getLibrary(kind).find(e => e.id === id);
+    if (!entry) return;
+
+    const previousKind = previewingId?.startsWith('sfx') ? 'sfx' : 'music';
+    previewingId = id;
+
+    const audio = previewAudioFile(entry.path, kind);
+    audio.addEventListener('ended', () => {
+        if (previewingId === id) {
+            previewingId = null;
+            refreshLibraryList(kind);
+        }
+    }, { once: true });
+
+    refreshLibraryList(previousKind);
+    refreshLibraryList(kind);
+}
+
+/**
+ * Remove a library entry and its uploaded file
+ * @param {'music'|'sfx'} kind - Library kind
+ * @param {string} id - Entry ID
+ */
+async function handleDelete(kind, id) {
+    const library = getLibrary(kind);
+    const entry = library.find(e => e.id === id);
+    if (!entry) return;
+
+    if (!confirm(`Delete "${entry.label}"?`)) return;
+
+    if (previewingId === id) {
+        stopPreview();
+        previewingId = null;
+    }
+
+    const { deleteAudio } = await import('../core/upload-manager.js');
+    await deleteAudio(entry.path);
+
+    await saveLibrary(kind, library.filter(e => e.id !== id));
+    refreshLibraryList(kind);
+}
+
+/**
+ * Rename a library entry
+ * @param {'music'|'sfx'} kind - Library kind
+ * @param {string} id - Entry ID
+ * @param {string} label - New label
+ */
+async function handleRename(kind, id, label) {
+    const library = getLibrary(kind);
+    const index = library.findIndex(e => e.id === id);
+    if (index === -1) return;
+
+    const trimmed = label.trim();
+    if (!trimmed || trimmed === library[index].label) return;
+
+    library[index] = { ...library[index], label: trimmed };
+    await saveLibrary(kind, library);
+}
+
+// =============================================================================
+// EVENT BINDING
+// =============================================================================
+
+/**
+ * Bind a volume slider that also updates live playback
+ * @param {string} id - Slider element ID
+ * @param {string} settingKey - Setting to update
+ */
+function bindVolumeSlider(id, settingKey) {
+    const display = document.getElementById(`${id}_val`);
+    let saveTimeout = null;
+
+    document.getElementById(id)?.addEventListener('input', (e) => {
+        const val = parseInt(e.target.value, 10);
+        if (display) display.textContent = `${val}%`;
+
+        if (saveTimeout) clearTimeout(saveTimeout);
+        saveTimeout = setTimeout(async () => {
+            await updateSetting(settingKey, val);
+            refreshAudioSettings();
+        }, 150);
+    });
+}
+
+/**
+ * Bind Audio tab event handlers
+ */
+export function bindAudioTabEvents() {
+    document.getElementById('ct_audio_enabled')?.addEventListener('change', async (e) => {
+        await updateSetting('audioEnabled', e.target.checked);
+        refreshAudioSettings();
+    });
+
+    bindVolumeSlider('ct_master_volume', 'masterVolume');
+    bindVolumeSlider('ct_music_volume', 'musicVolume');
+    bindVolumeSlider('ct_sfx_volume', 'sfxVolume');
+
+    document.querySelectorAll('.ct-audio-upload').forEach(btn => {
+        btn.addEventListener('click', () => handleUpload(btn.dataset.kind));
+    });
+
+    // Library lists are re-rendered, so delegate from their containers
+    for (const kind of Object.keys(LIBRARY_KEYS)) {
+        const list = document.getElementById(`ct_${kind}_library`);
+        if (!list) continue;
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.ct-audio-item');
+            if (!item) return;
+
+            if (e.target.closest('.ct-audio-preview')) {
+                handlePreview(kind, item.dataset.id);
+            } else if (e.target.closest('.ct-audio-delete')) {
+                handleDelete(kind, item.dataset.id);
+            }
+        });
+
+        list.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('ct-audio-label')) return;
+            const item = e.target.closest('.ct-audio-item');
+            if (item) {
+                handleRename(kind, item.dataset.id, e.target.value);
+            }
+        });
+    }
+}
@@ -9,7 +9,8 @@
  */
 
 import { getSettings, updateSetting } from '../core/settings-manager.js';
-import { DEFAULT_DIRECTOR_PROMPT, MINIMAL_DIRECTOR_PROMPT, DETAILED_DIRECTOR_PROMPT, getResolvedDirectorPrompt } from '../core/director-prompts.js';
+import { getPresetTemplate, getResolvedDirectorPrompt } from '../core/director-prompts.js';
+import { SCENE_ORDER, DIRECTOR_OUTPUT, SCENE_REPAIR_MAX_ATTEMPTS } from '../core/constants.js';
 
 /**
  * Escape HTML to prevent XSS
@@ -51,6 +52,28 @@ export function getDirectorTabHTML() {
             </select>
         </div>
 
+        <!-- Scene Order Selector -->
+        <div class="ct-slider-row">
+            <div class="ct-slider-header">
+                <span class="ct-slider-label">Scene Block</span>
+            </div>
+            <select class="ct-select" id="ct_scene_order">
+                <option value="${SCENE_ORDER.NARRATIVE_FIRST}" ${settings.sceneOrder !== SCENE_ORDER.SCENE_FIRST ? 'selected' : ''}>After narrative</option>
+                <option value="${SCENE_ORDER.SCENE_FIRST}" ${settings.sceneOrder === SCENE_ORDER.SCENE_FIRST ? 'selected' : ''}>Scene first - stage changes before the text</option>
+            </select>
+        </div>
+
+        <!-- Scene Output Selector -->
+        <div class="ct-slider-row">
+            <div class="ct-slider-header">
+                <span class="ct-slider-label">Scene Output</span>
+            </div>
+            <select class="ct-select" id="ct_director_output">
+                <option value="${DIRECTOR_OUTPUT.TEXT}" ${settings.directorOutput !== DIRECTOR_OUTPUT.STRUCTURED ? 'selected' : ''}>Text block - works everywhere</option>
+                <option value="${DIRECTOR_OUTPUT.STRUCTURED}" ${settings.directorOutput === DIRECTOR_OUTPUT.STRUCTURED ? 'selected' : ''}>Structured - tool call or JSON schema if supported</option>
+            </select>
+        </div>
+
         <!-- Custom Prompt Editor -->
         <div class="ct-custom-prompt-section" id="ct_custom_prompt_section" style="display: ${settings.directorPromptStyle === 'custom' ? 'block' : 'none'};">
             <div class="ct-slider-row">
@@ -81,6 +104,7 @@ Use macros like {{ct_backgrounds}}, {{ct_expressions}}, etc.">${escapeHtml(setti
                 <option value="system_end" ${settings.directorPromptPosition === 'system_end' ? 'selected' : ''}>End of System Prompt</option>
                 <option value="system_start" ${settings.directorPromptPosition === 'system_start' ? 'selected' : ''}>Start of System Prompt</option>
                 <option value="after_scenario" ${settings.directorPromptPosition === 'after_scenario' ? 'selected' : ''}>After Scenario</option>
+                <option value="before_examples" ${settings.directorPromptPosition === 'before_examples' ? 'selected' : ''}>Before Example Messages</option>
             </select>
         </div>
 
@@ -111,6 +135,8 @@ Use macros like {{ct_backgrounds}}, {{ct_expressions}}, etc.">${escapeHtml(setti
                     <span class="ct-macro-chip" data-macro="{{ct_bg_current}}">{{ct_bg_current}}</span>
                     <span class="ct-macro-chip" data-macro="{{ct_expressions}}">{{ct_expressions}}</span>
                     <span class="ct-macro-chip" data-macro="{{ct_outfits}}">{{ct_outfits}}</span>
+                    <span class="ct-macro-chip" data-macro="{{ct_music}}">{{ct_music}}</span>
+                    <span class="ct-macro-chip" data-macro="{{ct_sfx}}">{{ct_sfx}}</span>
                 </div>
             </div>
             <div class="ct-macro-category">
@@ -190,6 +216,53 @@ Use macros like {{ct_backgrounds}}, {{ct_expressions}}, etc.">${escapeHtml(setti
             </label>
         </div>
 
+        <!-- Separate Director Pass Toggle -->
+        <div class="ct-toggle-row">
+            <div>
+                <div class="ct-toggle-label">Separate Director Pass</div>
+                <div class="ct-toggle-sublabel">Reply is narrative only; a second quiet generation writes the scene</div>
+            </div>
+            <label class="ct-switch">
+                <input type="checkbox" id="ct_director_pass" ${settings.directorPass ? 'checked' : ''} />
+                <span class="ct-switch-slider"></span>
+            </label>
+        </div>
+
+        <!-- Director Pass Connection Profile Toggle -->
+        <div class="ct-toggle-row">
+            <div>
+                <div class="ct-toggle-label">Pass Uses Expression Profile</div>
+                <div class="ct-toggle-sublabel">Run the Director pass on the expression connection profile</div>
+            </div>
+            <label class="ct-switch">
+                <input type="checkbox" id="ct_director_pass_profile" ${settings.directorPassUseProfile ? 'checked' : ''} />
+                <span class="ct-switch-slider"></span>
+            </label>
+        </div>
+
+        <!-- Scene Repair Attempts -->
+        <div class="ct-slider-row">
+            <div class="ct-slider-header">
+                <span class="ct-slider-label">Scene Repair Attempts</span>
+                <span class="ct-slider-value" id="ct_scene_repair_val">${settings.sceneRepairAttempts ?? 1}</span>
+            </div>
+            <input type="range" class="ct-slider" id="ct_scene_repair_attempts"
+                   min="0" max="${SCENE_REPAIR_MAX_ATTEMPTS}" value="${settings.sceneRepairAttempts ?? 1}" />
+            <div class="ct-slider-hint">Quietly ask for fixed JSON when a scene block can't be read. 0 turns repair off.</div>
+        </div>
+
+        <!-- Parse While Streaming Toggle -->
+        <div class="ct-toggle-row">
+            <div>
+                <div class="ct-toggle-label">Apply While Streaming</div>
+                <div class="ct-toggle-sublabel">Change background, music and entrances before the reply finishes</div>
+            </div>
+            <label class="ct-switch">
+                <input type="checkbox" id="ct_parse_streaming" ${settings.parseWhileStreaming !== false ? 'checked' : ''} />
+                <span class="ct-switch-slider"></span>
+            </label>
+        </div>
+
         <!-- Strip Scene JSON Toggle -->
         <div class="ct-toggle-row">
             <div>
@@ -221,6 +294,14 @@ export function bindDirectorTabEvents() {
         }
     });
 
+    document.getElementById('ct_scene_order')?.addEventListener('change', async (e) => {
+        await updateSetting('sceneOrder', e.target.value);
+    });
+
+    document.getElementById('ct_director_output')?.addEventListener('change', async (e) => {
+        await updateSetting('directorOutput', e.target.value);
+    });
+
     // Custom prompt textarea
     const customPrompt = document.getElementById('ct_custom_director_prompt');
     let saveTimeout = null;
@@ -236,8 +317,9 @@ export function bindDirectorTabEvents() {
     // Load default button
     document.getElementById('ct_load_default_prompt')?.addEventListener('click', () => {
         if (customPrompt) {
-            customPrompt.value = DEFAULT_DIRECTOR_PROMPT;
-            updateSetting('customDirectorPrompt', DEFAULT_DIRECTOR_PROMPT);
+            const template = getPresetTemplate('default', getSettings().sceneOrder);
+            customPrompt.value = template;
+            updateSetting('customDirectorPrompt', template);
         }
     });
 
@@ -288,6 +370,27 @@ export function bindDirectorTabEvents() {
         await updateSetting('autoParseResponses', e.target.checked);
     });
 
+    document.getElementById('ct_director_pass')?.addEventListener('change', async (e) => {
+        await updateSetting('directorPass', e.target.checked);
+    });
+
+    document.getElementById('ct_director_pass_profile')?.addEventListener('change', async (e) => {
+        await updateSetting('directorPassUseProfile', e.target.checked);
+    });
+
+    const repairSlider = document.getElementById('ct_scene_repair_attempts');
+    repairSlider?.addEventListener('input', (e) => {
+        const label = document.getElementById('ct_scene_repair_val');
+        if (label) label.textContent = e.target.value;
+    });
+    repairSlider?.addEventListener('change', async (e) => {
+        await updateSetting('sceneRepairAttempts', parseInt(e.target.value, 10));
+    });
+
+    document.getElementById('ct_parse_streaming')?.addEventListener('change', async (e) => {
+        await updateSetting('parseWhileStreaming', e.target.checked);
+    });
+
     document.getElementById('ct_strip_json')?.addEventListener('change', async (e) => {
         await updateSetting('stripSceneJson', e.target.checked);
     });
@@ -12,13 +12,17 @@
 
 import { getContext } from '../../../../extensions.js';
 import { getRequestHeaders } from '../../../../../script.js';
-import { EXTENSION_NAME, VERSION, EXPRESSION_API, PROMPT_TYPE, DEFAULT_LLM_PROMPT, VECTHARE_TRIGGER, CLASSIFIER_MODELS, DEFAULT_EXPRESSIONS } from '../core/constants.js';
+import { EXTENSION_NAME, VERSION, EXPRESSION_API, CLASSIFY_MODE, PROMPT_TYPE, DEFAULT_LLM_PROMPT, VECTHARE_TRIGGER, CLASSIFIER_MODELS, DEFAULT_EXPRESSIONS } from '../core/constants.js';
 import { getSettings, updateSetting } from '../core/settings-manager.js';
 import { isVectHareAvailable, clearEmotionEmbeddingsCache } from '../ct-expressions.js';
 import { ConnectionManagerRequestService } from '../../../shared.js';
 import { getCustomEmotionsTabHTML, bindCustomEmotionEvents } from './custom-emotions-ui.js';
 import { openSummaryVectorEditor, deleteSummaryVector, openKeywordBoostEditor, deleteKeywordBoost } from './vecthare-editors.js';
 import { getDirectorTabHTML, bindDirectorTabEvents } from './director-tab.js';
+import { getAudioTabHTML, bindAudioTabEvents } from './audio-tab.js';
+import { applyLayout } from '../core/layout-manager.js';
+import { setDialogueOpacity } from '../core/dialogue-box.js';
+import { refreshAtmosphere } from '../core/atmosphere.js';
 
 // =============================================================================
 // CALLBACK REGISTRATION (breaks circular dependency with index.js)
@@ -271,6 +275,10 @@ function getModalHTML() {
                                 <i class="fa-solid fa-clapperboard" aria-hidden="true"></i>
                                 <span>Scenes</span>
                             </button>
+                            <button class="ct-sidebar-item" data-tab="audio" id="ct-sidebar-audio" role="tab" aria-selected="false" aria-controls="ct-tab-audio">
+                                <i class="fa-solid fa-music" aria-hidden="true"></i>
+                                <span>Audio</span>
+                            </button>
                         </div>
 
                         <div class="ct-sidebar-section">
@@ -321,6 +329,11 @@ function getModalHTML() {
                             ${getScenesTabHTML()}
                         </div>
 
+                        <!-- Audio Tab -->
+                        <div class="ct-modal-tab" data-tab="audio" id="ct-tab-audio" role="tabpanel" aria-labelledby="ct-sidebar-audio">
+                            ${getAudioTabHTML()}
+                        </div>
+
                         <!-- Director Tab -->
                         <div class="ct-modal-tab" data-tab="director" id="ct-tab-director" role="tabpanel" aria-labelledby="ct-sidebar-director">
                             ${getDirectorTabHTML()}
@@ -745,6 +758,17 @@ function getExpressionsTabHTML() {
             </select>
         </div>
 
+        <!-- Classify Mode -->
+        <div class="ct-slider-row">
+            <div class="ct-slider-header">
+                <span class="ct-slider-label">Classify</span>
+            </div>
+            <select class="ct-select" id="ct_classify_mode">
+                <option value="${CLASSIFY_MODE.MESSAGE}" ${settings.classifyMode !== CLASSIFY_MODE.LINE ? 'selected' : ''}>Whole message</option>
+                <option value="${CLASSIFY_MODE.LINE}" ${settings.classifyMode === CLASSIFY_MODE.LINE ? 'selected' : ''}>Each dialogue line (ADV)</option>
+            </select>
+        </div>
+
         <!-- Filter Available -->
         <div class="ct-toggle-row">
             <div>
@@ -886,7 +910,8 @@ function getDisplayTabHTML() {
             </div>
             <select class="ct-select" id="ct_layout_mode">
                 <option value="adv" ${settings.layoutMode === 'adv' ? 'selected' : ''}>ADV - Full screen, dialogue at bottom (Ren'Py)</option>
-                <option value="prt" disabled>PRT - Portrait panels on side (Coming Soon)</option>
+                <option value="prt" ${settings.layoutMode === 'prt' ? 'selected' : ''}>PRT - Portrait panels on side (RPG)</option>
+                <option value="nvl" ${settings.layoutMode === 'nvl' ? 'selected' : ''}>NVL - Full screen text pages (novel)</option>
             </select>
         </div>
 
@@ -947,6 +972,8 @@ function getDisplayTabHTML() {
             <select class="ct-select" id="ct_sprite_transition">
                 <option value="fade" ${settings.spriteTransition === 'fade' ? 'selected' : ''}>Fade</option>
                 <option value="dissolve" ${settings.spriteTransition === 'dissolve' ? 'selected' : ''}>Dissolve</option>
+                <option value="slide_left" ${settings.spriteTransition === 'slide_left' ? 'selected' : ''}>Slide Left</option>
+                <option value="slide_right" ${settings.spriteTransition === 'slide_right' ? 'selected' : ''}>Slide Right</option>
                 <option value="none" ${settings.spriteTransition === 'none' ? 'selected' : ''}>Instant</option>
             </select>
         </div>
@@ -995,6 +1022,18 @@ function getScenesTabHTML() {
             </label>
         </div>
 
+        <!-- Auto Send Toggle -->
+        <div class="ct-toggle-row">
+            <div>
+                <div class="ct-toggle-label">Auto-Send Choices</div>
+                <div class="ct-toggle-sublabel">Send picked choices right away instead of filling the input</div>
+            </div>
+            <label class="ct-switch">
+                <input type="checkbox" id="ct_auto_send_choices" ${settings.autoSendChoices ? 'checked' : ''} />
+                <span class="ct-switch-slider"></span>
+            </label>
+        </div>
+
         <!-- Button Style -->
         <div class="ct-slider-row">
             <div class="ct-slider-header">
@@ -1044,6 +1083,8 @@ function getScenesTabHTML() {
             <select class="ct-select" id="ct_bg_transition">
                 <option value="fade" ${settings.backgroundTransition === 'fade' ? 'selected' : ''}>Fade</option>
                 <option value="dissolve" ${settings.backgroundTransition === 'dissolve' ? 'selected' : ''}>Dissolve</option>
+                <option value="slide_left" ${settings.backgroundTransition === 'slide_left' ? 'selected' : ''}>Slide Left</option>
+                <option value="slide_right" ${settings.backgroundTransition === 'slide_right' ? 'selected' : ''}>Slide Right</option>
                 <option value="none" ${settings.backgroundTransition === 'none' ? 'selected' : ''}>Instant</option>
             </select>
         </div>
@@ -1058,6 +1099,30 @@ function getScenesTabHTML() {
                    min="100" max="2000" step="100" value="${settings.backgroundTransitionDuration}" />
         </div>
 
+        <!-- Camera Toggle -->
+        <div class="ct-toggle-row">
+            <div>
+                <div class="ct-toggle-label">Camera Directions</div>
+                <div class="ct-toggle-sublabel">Shake, zoom, pan, flash and fade from schema</div>
+            </div>
+            <label class="ct-switch">
+                <input type="checkbox" id="ct_camera" ${settings.cameraEnabled ? 'checked' : ''} />
+                <span class="ct-switch-slider"></span>
+            </label>
+        </div>
+
+        <!-- Atmosphere Toggle -->
+        <div class="ct-toggle-row">
+            <div>
+                <div class="ct-toggle-label">Time & Weather</div>
+                <div class="ct-toggle-sublabel">Dusk, night, rain, snow and fog over the background</div>
+            </div>
+            <label class="ct-switch">
+                <input type="checkbox" id="ct_atmosphere" ${settings.atmosphereEnabled ? 'checked' : ''} />
+                <span class="ct-switch-slider"></span>
+            </label>
+        </div>
+
         <div class="ct-section-label" style="margin-top: 24px;">
             <i class="fa-solid fa-wand-sparkles"></i>
             Stage Composer
@@ -2003,12 +2068,18 @@ function bindEvents() {
 
     // Display settings
     bindSlider('ct_dialogue_opacity', 'dialogueOpacity', 'ct_opacity_val', '%');
+    document.getElementById('ct_dialogue_opacity')?.addEventListener('input', (e) => {
+        setDialogueOpacity(parseInt(e.target.value, 10));
+    });
     bindSlider('ct_typewriter_speed', 'typewriterSpeed', 'ct_speed_val', 'ms');
     bindSlider('ct_transition_duration', 'spriteTransitionDuration', 'ct_trans_val', 'ms');
     bindSlider('ct_choice_count', 'choiceCount', 'ct_choice_val', '');
     bindSlider('ct_bg_transition_duration', 'backgroundTransitionDuration', 'ct_bg_trans_val', 'ms');
 
-    bindSelect('ct_layout_mode', 'layoutMode');
+    document.getElementById('ct_layout_mode')?.addEventListener('change', (e) => {
+        updateSetting('layoutMode', e.target.value);
+        applyLayout();
+    });
     bindSelect('ct_sprite_transition', 'spriteTransition');
     bindSelect('ct_choice_style', 'choiceButtonStyle');
     bindSelect('ct_choice_animation', 'choiceAnimation');
@@ -2017,7 +2088,13 @@ function bindEvents() {
     bindToggle('ct_typewriter', 'typewriterEnabled');
     bindToggle('ct_effects', 'effectsEnabled');
     bindToggle('ct_custom_input', 'showCustomInput');
+    bindToggle('ct_auto_send_choices', 'autoSendChoices');
     bindToggle('ct_auto_bg', 'autoBackgroundEnabled');
+    bindToggle('ct_camera', 'cameraEnabled');
+    document.getElementById('ct_atmosphere')?.addEventListener('change', (e) => {
+        updateSetting('atmosphereEnabled', e.target.checked);
+        refreshAtmosphere();
+    });
 
     // Stage composer button
     document.getElementById('ct_open_stage')?.addEventListener('click', () => {
@@ -2162,6 +2239,7 @@ function bindEvents() {
 
     // Fallback expression
     bindSelect('ct_fallback_expression', 'fallbackExpression');
+    bindSelect('ct_classify_mode', 'classifyMode');
 
     // Classification options toggles
     bindToggle('ct_filter_available', 'filterAvailableExpressions');
@@ -2450,6 +2528,7 @@ function bindModalEvents() {
         bindEvents();
         bindCustomEmotionEvents();
         bindDirectorTabEvents();
+        bindAudioTabEvents();
         modalEventsBound = true;
     }
 }